@@ -2,7 +2,33 @@
  * AIPlayer class for Gomoku game
  * Provides adaptive opponents across easy, medium, and hard difficulties.
  */
-import { log, LOG_AI, EMPTY, BLACK, WHITE, BOARD_SIZE } from './config.js';
+import { log, LOG_AI, EMPTY, BLACK, WHITE, BOARD_SIZE, WIN_LENGTH } from './config.js';
+import {
+    ZobristHasher,
+    TranspositionTable,
+    DEFAULT_TRANSPOSITION_TABLE_SIZE,
+    TT_EXACT,
+    TT_LOWER,
+    TT_UPPER
+} from './src/ai/transposition.js';
+import { LineEvaluator, scoreLineRuns } from './src/ai/line-evaluator.js';
+import {
+    findForcingWin,
+    THREAT_VCF,
+    THREAT_VCT,
+    DEFAULT_VCF_DEPTH
+} from './src/ai/threat-search.js';
+import { OpeningBook } from './src/ai/opening-book.js';
+import { MctsNode, DEFAULT_MCTS_ITERATIONS, DEFAULT_MCTS_EXPLORATION } from './src/ai/mcts.js';
+import {
+    registerStrategy,
+    getStrategy,
+    resolveStrategyOptions,
+    OPTION_INTEGER,
+    OPTION_NUMBER
+} from './src/ai/strategies.js';
+import { checkWin, isListedMove, normalizeRules, normalizeVariant, RULES_RENJU } from './src/engine/game.js';
+import { isForbiddenMove } from './src/engine/renju.js';
 
 const EASY_CANDIDATE_LIMIT = 12;
 const EASY_TOP_CHOICES = 3;
@@ -11,14 +37,30 @@ const MEDIUM_RESPONSE_LIMIT = 6;
 const HARD_CANDIDATE_LIMIT = 8;
 const HARD_SEARCH_DEPTH = 3;
 const HARD_THREAT_CANDIDATE_LIMIT = 16;
+const PAIR_CANDIDATE_LIMIT = 10;
 const WIN_SCORE = 1_000_000;
-
+const OPENING_BALANCE_MARGIN = 800;
+const HARD_VCT_DEPTH = 2;
+const HARD_THREAT_NODE_LIMIT = 1500;
+const MCTS_CANDIDATE_LIMIT = 10;
+const MCTS_ROLLOUT_DEPTH = 10;
+const MCTS_ROLLOUT_CHOICES = 4;
+// Playouts that end undecided score sigmoid(evaluation / scale), so an open three is worth about 0.8.
+const MCTS_EVALUATION_SCALE = 5000;
+const MCTS_PROGRESS_INTERVAL = 25;
+
+// Pattern names assume five in a row; for other win lengths "four" means one stone short of a win.
+// Broken patterns are two runs split by one empty cell (`X_XXX`, `XX_XX`, `_X_XX_`); they score
+// on top of the runs they are made of. `behavior.patternScores` overrides any of these.
 const PATTERN_SCORES = {
     five: WIN_SCORE,
     openFour: 60000,
     semiOpenFour: 15000,
+    brokenFour: 15000,
     openThree: 7000,
+    openBrokenThree: 6000,
     semiOpenThree: 2000,
+    semiOpenBrokenThree: 1500,
     openTwo: 800,
     semiOpenTwo: 250
 };
@@ -32,6 +74,24 @@ function normalizePositiveInteger(value, fallback) {
     return integer > 0 ? integer : fallback;
 }
 
+// Like normalizePositiveInteger, but an explicit 0 is kept so a feature can be switched off.
+function normalizeOptionalLimit(value, fallback) {
+    return Number(value) === 0 ? 0 : normalizePositiveInteger(value, fallback);
+}
+
+
+function resolvePatternScores(overrides) {
+    const scores = { ...PATTERN_SCORES };
+    if (overrides && typeof overrides === 'object') {
+        Object.keys(PATTERN_SCORES).forEach(key => {
+            const value = Number(overrides[key]);
+            if (overrides[key] !== undefined && Number.isFinite(value)) {
+                scores[key] = value;
+            }
+        });
+    }
+    return scores;
+}
 
 function getTimestampMs() {
     if (typeof globalThis !== 'undefined' && globalThis.performance && typeof globalThis.performance.now === 'function') {
@@ -50,33 +110,70 @@ function cloneMove(move) {
 
 class AIPlayer {
     constructor(difficulty, playerColor, options = {}) {
-        const { random, telemetry, behavior } = options;
+        const { random, telemetry, behavior, boardSize, winLength, rules, variant, openingBook } = options;
         const behaviorOptions = behavior && typeof behavior === 'object' ? behavior : {};
 
         this.difficulty = difficulty;
         this.playerColor = playerColor;
+        this.boardSize = normalizePositiveInteger(boardSize, BOARD_SIZE);
+        const normalizedWinLength = normalizePositiveInteger(winLength, WIN_LENGTH);
+        // The engine's rule set; the forced-win solver needs it to know what counts as a win and
+        // where Black may not play. Like the engine, Renju always plays to five.
+        this.rules = normalizeRules(rules);
+        this.winLength = normalizedWinLength >= 3 && this.rules !== RULES_RENJU ? normalizedWinLength : WIN_LENGTH;
+        // Only used to match the opening book; Connect6 turns go through makeMovePair.
+        this.variant = normalizeVariant(variant);
         this.random = typeof random === 'function' ? random : Math.random;
         this.telemetry = telemetry || null;
+        this.progressListener = null;
+        this.abortSignal = null;
+        this.searchLimits = null;
 
         const nameInput = typeof behaviorOptions.name === 'string' ? behaviorOptions.name.trim() : '';
         this.behaviorLabel = nameInput.length > 0 ? nameInput : null;
         this.behaviorDescription = typeof behaviorOptions.description === 'string' ? behaviorOptions.description : null;
 
-        this.easyCandidateLimit = normalizePositiveInteger(behaviorOptions.easyCandidateLimit, EASY_CANDIDATE_LIMIT);
-        this.easyTopChoices = Math.min(
-            normalizePositiveInteger(behaviorOptions.easyTopChoices, EASY_TOP_CHOICES),
-            this.easyCandidateLimit
-        );
-        this.mediumCandidateLimit = normalizePositiveInteger(behaviorOptions.mediumCandidateLimit, MEDIUM_CANDIDATE_LIMIT);
-        this.mediumResponseLimit = Math.min(
-            normalizePositiveInteger(behaviorOptions.mediumResponseLimit, MEDIUM_RESPONSE_LIMIT),
-            this.mediumCandidateLimit
-        );
-        this.hardCandidateLimit = normalizePositiveInteger(behaviorOptions.hardCandidateLimit, HARD_CANDIDATE_LIMIT);
-        this.hardSearchDepth = normalizePositiveInteger(behaviorOptions.hardSearchDepth, HARD_SEARCH_DEPTH);
-        this.hardThreatCandidateLimit = normalizePositiveInteger(behaviorOptions.hardThreatCandidateLimit, HARD_THREAT_CANDIDATE_LIMIT);
+        // Settings of every registered strategy by name, so the difficulty can be switched between
+        // moves. They are kept apart from the player's own state, and from each other.
+        this.strategyOptions = resolveStrategyOptions(behaviorOptions);
+        const { easy, medium } = this.strategyOptions;
+        if (easy) {
+            easy.easyTopChoices = Math.min(easy.easyTopChoices, easy.easyCandidateLimit);
+        }
+        if (medium) {
+            medium.mediumResponseLimit = Math.min(medium.mediumResponseLimit, medium.mediumCandidateLimit);
+        }
+        this.pairCandidateLimit = normalizePositiveInteger(behaviorOptions.pairCandidateLimit, PAIR_CANDIDATE_LIMIT);
+        this.patternScores = resolvePatternScores(behaviorOptions.patternScores);
+        // With a time budget the hard search deepens one ply at a time up to hardSearchDepth,
+        // and the mcts search stops early.
+        this.timeLimitMs = normalizePositiveInteger(behaviorOptions.timeLimitMs, null);
+        // The table survives between moves so later searches reuse earlier work; 0 disables it.
+        this.transpositionTableSize = normalizeOptionalLimit(behaviorOptions.transpositionTableSize, DEFAULT_TRANSPOSITION_TABLE_SIZE);
+        this.transpositionTable = this.transpositionTableSize > 0 ? new TranspositionTable(this.transpositionTableSize) : null;
+        this.zobrist = this.transpositionTable ? new ZobristHasher(this.boardSize) : null;
+        this.positionHash = null;
+        this.evaluator = null;
+        this.openingBook = null;
+        if (openingBook && behaviorOptions.useOpeningBook !== false) {
+            // Plain book data is accepted as well, since worker players get their options as a structured clone.
+            const book = openingBook instanceof OpeningBook ? openingBook : new OpeningBook(openingBook);
+            if (book.boardSize === this.boardSize && book.winLength === this.winLength
+                && book.rules === this.rules && book.variant === this.variant) {
+                this.openingBook = book;
+            }
+        }
+
+        log(LOG_AI, 'AI player created', { difficulty, playerColor, boardSize: this.boardSize, winLength: this.winLength, rules: this.rules, profile: this.behaviorLabel || null });
+    }
 
-        log(LOG_AI, 'AI player created', { difficulty, playerColor, profile: this.behaviorLabel || null });
+    /**
+     * @param {string} [name] - Strategy name; defaults to the current difficulty.
+     * @returns {Object<string, number>} The strategy's resolved options; empty for a strategy
+     *   registered after this player was created.
+     */
+    getStrategyOptions(name = this.difficulty) {
+        return this.strategyOptions[name] || {};
     }
 
     createMetrics() {
@@ -107,10 +204,25 @@ class AIPlayer {
         }
     }
 
+    /**
+     * Report search progress to the `onProgress` callback of the current `makeMove` call.
+     */
+    reportProgress(update) {
+        if (!this.progressListener) {
+            return;
+        }
+        try {
+            this.progressListener({ difficulty: this.difficulty, ...update });
+        } catch (error) {
+            const message = error instanceof Error ? error.message : String(error);
+            log(LOG_AI, 'Progress callback failed', { error: message });
+        }
+    }
+
     countOccupiedCells(board) {
         let count = 0;
-        for (let row = 0; row < BOARD_SIZE; row++) {
-            for (let col = 0; col < BOARD_SIZE; col++) {
+        for (let row = 0; row < this.boardSize; row++) {
+            for (let col = 0; col < this.boardSize; col++) {
                 if (board[row][col] !== EMPTY) {
                     count += 1;
                 }
@@ -121,8 +233,8 @@ class AIPlayer {
 
     hasCriticalThreat(board, player) {
         const directions = [[1, 0], [0, 1], [1, 1], [1, -1]];
-        for (let row = 0; row < BOARD_SIZE; row++) {
-            for (let col = 0; col < BOARD_SIZE; col++) {
+        for (let row = 0; row < this.boardSize; row++) {
+            for (let col = 0; col < this.boardSize; col++) {
                 if (board[row][col] !== player) {
                     continue;
                 }
@@ -143,10 +255,18 @@ class AIPlayer {
                     const forwardOpen = this.isEmptyCell(board, x, y);
                     const backwardOpen = this.isEmptyCell(board, row - dx, col - dy);
                     const openEnds = (forwardOpen ? 1 : 0) + (backwardOpen ? 1 : 0);
-                    if (length >= 4 && openEnds > 0) {
+                    if (length >= this.winLength - 1 && openEnds > 0) {
                         return true;
                     }
-                    if (length === 3 && openEnds === 2) {
+                    if (length === this.winLength - 2 && openEnds === 2) {
+                        return true;
+                    }
+                    // Split fours (`X_XXX`) and split open threes (`_X_XX_`) are just as urgent.
+                    const gapped = this.findGappedRun(board, x, y, dx, dy, player);
+                    if (gapped && length + gapped.length >= this.winLength - 1) {
+                        return true;
+                    }
+                    if (gapped && length + gapped.length === this.winLength - 2 && backwardOpen && gapped.forwardOpen) {
                         return true;
                     }
                 }
@@ -155,22 +275,66 @@ class AIPlayer {
         return false;
     }
 
+    /**
+     * Look past the single empty cell at (`row`, `col`) that ends a run.
+     * @returns {?{length: number, forwardOpen: boolean}} The run of `player` stones right after
+     *   the gap and whether the cell after it is empty, or null when there is no such run.
+     */
+    findGappedRun(board, row, col, dx, dy, player) {
+        if (!this.isEmptyCell(board, row, col)) {
+            return null;
+        }
+        let length = 0;
+        let x = row + dx;
+        let y = col + dy;
+        while (this.isInside(x, y) && board[x][y] === player) {
+            length += 1;
+            x += dx;
+            y += dy;
+        }
+        return length > 0 ? { length, forwardOpen: this.isEmptyCell(board, x, y) } : null;
+    }
+
     getAdaptiveCandidateLimit(board, player, baseLimit) {
         if (typeof baseLimit !== 'number' || baseLimit <= 0) {
             return baseLimit;
         }
         const opponent = this.getOpponentColor(player);
         if (this.hasCriticalThreat(board, player) || this.hasCriticalThreat(board, opponent)) {
-            return Math.max(baseLimit, this.hardThreatCandidateLimit);
+            return Math.max(baseLimit, this.strategyOptions.hard.hardThreatCandidateLimit);
         }
         return baseLimit;
     }
 
-    makeMove(board) {
-        if (!Array.isArray(board) || board.length !== BOARD_SIZE || board[0].length !== BOARD_SIZE) {
+    /**
+     * @param {number[][]} board - Current board matrix.
+     * @param {Object} [options]
+     * @param {Array<{row: number, col: number}>} [options.legalMoves] - Restricts the answer to these cells,
+     *   as `isListedMove` reads the list: left out, any empty cell may be played; empty, none may, and
+     *   the answer is null.
+     * @param {Function} [options.onProgress] - Called with `{difficulty, stage, completed, total, bestMove}`
+     *   as the medium and hard strategies work through their candidates; the hard search adds `depth`.
+     * @param {AbortSignal} [options.signal] - Stops the hard search early. It then plays the best move
+     *   of the deepest search iteration that finished.
+     * @returns {?{row: number, col: number}}
+     */
+    makeMove(board, options = {}) {
+        if (!Array.isArray(board) || board.length !== this.boardSize || board[0].length !== this.boardSize) {
             throw new Error('Invalid board state');
         }
+        this.progressListener = typeof options.onProgress === 'function' ? options.onProgress : null;
+        this.abortSignal = options.signal || null;
+        try {
+            return this.withEvaluator(board, () => this.selectMove(board, options));
+        } finally {
+            this.progressListener = null;
+            this.abortSignal = null;
+            this.searchLimits = null;
+            this.positionHash = null;
+        }
+    }
 
+    selectMove(board, options) {
         const metrics = this.telemetry ? this.createMetrics() : null;
         let startTime = null;
         let move = null;
@@ -180,20 +344,14 @@ class AIPlayer {
         }
 
         log(LOG_AI, 'AI deciding move', { difficulty: this.difficulty });
-        switch (this.difficulty) {
-            case 'easy':
-                move = this.makeEasyMove(board, metrics);
-                break;
-            case 'medium':
-                move = this.makeMediumMove(board, metrics);
-                break;
-            case 'hard':
-                move = this.makeHardMove(board, metrics);
-                break;
-            default:
-                log(LOG_AI, 'Invalid difficulty level', { difficulty: this.difficulty });
-                throw new Error('Invalid difficulty level');
+        const strategy = getStrategy(this.difficulty);
+        if (!strategy) {
+            log(LOG_AI, 'Invalid difficulty level', { difficulty: this.difficulty });
+            throw new Error('Invalid difficulty level');
         }
+        move = this.makeBookMove(board, options.legalMoves, metrics) || strategy.selectMove(this, board, metrics, this.getStrategyOptions());
+
+        move = this.constrainToLegalMoves(board, move, options.legalMoves, metrics);
 
         if (metrics) {
             const elapsed = getTimestampMs() - startTime;
@@ -206,6 +364,225 @@ class AIPlayer {
         return move;
     }
 
+    /**
+     * Play from the opening book when it knows the position.
+     * @returns {?{row: number, col: number}} The book move, or null to search as usual.
+     */
+    makeBookMove(board, legalMoves, metrics) {
+        if (!this.openingBook) {
+            return null;
+        }
+        const candidates = this.openingBook.lookup(board);
+        const move = this.openingBook.chooseMove(board, this.random, legalMoves);
+        if (metrics) {
+            metrics.bookCandidates = candidates.length;
+        }
+        if (!move) {
+            return null;
+        }
+        log(LOG_AI, 'AI playing book move', { row: move.row, col: move.col, candidates: candidates.length });
+        if (metrics) {
+            metrics.strategy = 'book';
+            metrics.candidateCount = candidates.length;
+            metrics.decision = 'opening-book';
+        }
+        return move;
+    }
+
+    /**
+     * Choose every placement for the current turn. Gomoku turns are a single stone;
+     * Connect6 turns after the first are two, searched as a pair so the second stone
+     * can complete or block what the first one starts.
+     *
+     * @param {number[][]} board - Current board matrix (left unchanged).
+     * @param {{stonesRemaining?: number, legalMoves?: Array<{row: number, col: number}>}} options -
+     *   `legalMoves` as for `makeMove`.
+     * @returns {Array<{row: number, col: number}>} Placements in the order they should be applied.
+     */
+    makeTurn(board, options = {}) {
+        const { stonesRemaining = 1, legalMoves } = options;
+        if (stonesRemaining < 2) {
+            const move = this.makeMove(board, { legalMoves });
+            return move ? [move] : [];
+        }
+        if (!Array.isArray(board) || board.length !== this.boardSize || board[0].length !== this.boardSize) {
+            throw new Error('Invalid board state');
+        }
+
+        const strategy = getStrategy(this.difficulty);
+        if (strategy && !strategy.pairSearch) {
+            return this.makeSequentialPair(board, legalMoves);
+        }
+
+        const metrics = this.telemetry ? this.createMetrics() : null;
+        let startTime = null;
+        if (metrics) {
+            metrics.boardOccupancy = this.countOccupiedCells(board);
+            metrics.strategy = `${this.difficulty}-pair`;
+            startTime = getTimestampMs();
+        }
+
+        log(LOG_AI, 'AI deciding two-stone turn', { difficulty: this.difficulty });
+        const moves = this.withEvaluator(board, () => this.findBestPair(board, legalMoves, metrics));
+
+        if (metrics) {
+            const elapsed = getTimestampMs() - startTime;
+            metrics.durationMs = elapsed >= 0 ? elapsed : 0;
+            metrics.move = cloneMove(moves[0]);
+            metrics.moves = moves.map(cloneMove);
+            metrics.result = moves.length > 0 ? 'move-selected' : 'no-move';
+            this.emitTelemetry(metrics);
+        }
+        return moves;
+    }
+
+    makeSequentialPair(board, legalMoves) {
+        const moves = [];
+        for (let index = 0; index < 2; index += 1) {
+            const remainingLegal = Array.isArray(legalMoves)
+                ? legalMoves.filter(legal => board[legal.row][legal.col] === EMPTY)
+                : legalMoves;
+            const move = this.makeMove(board, { legalMoves: remainingLegal });
+            if (!move) {
+                break;
+            }
+            moves.push(move);
+            this.setCell(board, move.row, move.col, this.playerColor);
+            if (this.checkWinningMove(board, move.row, move.col, this.playerColor)) {
+                break;
+            }
+        }
+        moves.forEach(move => {
+            this.setCell(board, move.row, move.col, EMPTY);
+        });
+        return moves;
+    }
+
+    findBestPair(board, legalMoves, metrics = null) {
+        const player = this.playerColor;
+        const opponent = this.getOpponentColor();
+        const isLegal = move => isListedMove(move, legalMoves);
+
+        const winningMove = this.findWinningMove(board, player);
+        if (winningMove && isLegal(winningMove)) {
+            if (metrics) {
+                metrics.decision = 'immediate-win';
+                metrics.selectedScore = WIN_SCORE;
+            }
+            return [winningMove];
+        }
+
+        const limit = this.getAdaptiveCandidateLimit(board, player, this.pairCandidateLimit);
+        const candidates = this.prepareCandidates(board, limit).filter(isLegal);
+        // Cells that finish an opponent line must be considered even when they rank poorly.
+        this.findWinningMoves(board, opponent).forEach(block => {
+            if (isLegal(block) && !candidates.some(move => move.row === block.row && move.col === block.col)) {
+                candidates.push(block);
+            }
+        });
+        if (metrics) {
+            metrics.candidateCount = candidates.length;
+            metrics.pairsEvaluated = 0;
+        }
+        if (candidates.length < 2) {
+            return candidates.slice(0, 1).map(cloneMove);
+        }
+
+        let bestScore = -Infinity;
+        let bestPair = null;
+        for (let i = 0; i < candidates.length; i += 1) {
+            const first = candidates[i];
+            this.setCell(board, first.row, first.col, player);
+            for (let j = i + 1; j < candidates.length; j += 1) {
+                const second = candidates[j];
+                this.setCell(board, second.row, second.col, player);
+                let score;
+                if (this.checkWinningMove(board, second.row, second.col, player)) {
+                    score = WIN_SCORE;
+                } else if (this.canWinWithPair(board, opponent)) {
+                    score = -WIN_SCORE;
+                } else {
+                    score = this.evaluateBoard(board, player);
+                }
+                this.setCell(board, second.row, second.col, EMPTY);
+                if (metrics) {
+                    metrics.pairsEvaluated += 1;
+                }
+                if (score > bestScore) {
+                    bestScore = score;
+                    bestPair = [cloneMove(first), cloneMove(second)];
+                }
+            }
+            this.setCell(board, first.row, first.col, EMPTY);
+            if (bestScore === WIN_SCORE) {
+                break;
+            }
+        }
+
+        log(LOG_AI, 'Pair search selected turn', { moves: bestPair, score: bestScore, profile: this.behaviorLabel || undefined });
+        if (metrics) {
+            metrics.decision = bestScore === WIN_SCORE ? 'pair-win' : 'pair-search';
+            metrics.selectedScore = bestScore;
+        }
+        return bestPair;
+    }
+
+    canWinWithPair(board, player) {
+        if (this.findWinningMove(board, player)) {
+            return true;
+        }
+        for (const { row, col } of this.findPotentialMoves(board)) {
+            this.setCell(board, row, col, player);
+            const followUp = this.findWinningMove(board, player);
+            this.setCell(board, row, col, EMPTY);
+            if (followUp) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    constrainToLegalMoves(board, move, legalMoves, metrics = null) {
+        if (!Array.isArray(legalMoves) || (move && isListedMove(move, legalMoves))) {
+            return move;
+        }
+        if (legalMoves.length === 0) {
+            log(LOG_AI, 'No legal move available', { rejected: move });
+            return null;
+        }
+        const [best] = this.rankCandidates(board, legalMoves, this.playerColor, this.playerColor);
+        log(LOG_AI, 'Move replaced by best legal alternative', { rejected: move, move: cloneMove(best) });
+        if (metrics) {
+            metrics.decision = 'legal-restriction';
+            metrics.selectedScore = best.score;
+        }
+        return cloneMove(best);
+    }
+
+    /**
+     * Pick an option when an opening protocol (Swap / Swap2) offers a colour choice.
+     * Clearly lopsided positions take the stronger colour; balanced ones defer with
+     * `place-two` when the protocol allows it.
+     *
+     * @param {number[][]} board - Current board matrix.
+     * @param {string[]} choices - Legal options such as `black`, `white` or `place-two`.
+     * @returns {string} The selected option.
+     */
+    chooseOpening(board, choices = ['black', 'white']) {
+        const blackAdvantage = this.evaluateBoard(board, BLACK);
+        let choice;
+        if (choices.includes('place-two') && Math.abs(blackAdvantage) < OPENING_BALANCE_MARGIN) {
+            choice = 'place-two';
+        } else {
+            choice = blackAdvantage > 0 ? 'black' : 'white';
+        }
+        if (!choices.includes(choice)) {
+            choice = choices[0];
+        }
+        log(LOG_AI, 'AI chose opening option', { choice, blackAdvantage, choices });
+        return choice;
+    }
+
     makeEasyMove(board, metrics = null) {
         log(LOG_AI, 'Easy difficulty evaluating options');
         if (metrics) {
@@ -221,8 +598,7 @@ class AIPlayer {
             return winningMove;
         }
 
-        const opponent = this.getOpponentColor();
-        const blockingMove = this.findWinningMove(board, opponent);
+        const blockingMove = this.findBlockingMove(board);
         if (blockingMove) {
             log(LOG_AI, 'Easy difficulty blocking immediate threat', { move: blockingMove });
             if (metrics) {
@@ -232,12 +608,12 @@ class AIPlayer {
             return blockingMove;
         }
 
-        const ranked = this.prepareCandidates(board, this.easyCandidateLimit);
+        const ranked = this.prepareCandidates(board, this.strategyOptions.easy.easyCandidateLimit);
         if (metrics) {
             metrics.candidateCount = ranked.length;
         }
         if (ranked.length > 0) {
-            const selection = ranked.slice(0, Math.min(this.easyTopChoices, ranked.length));
+            const selection = ranked.slice(0, Math.min(this.strategyOptions.easy.easyTopChoices, ranked.length));
             const choice = selection[Math.floor(this.random() * selection.length)];
             const move = { row: choice.row, col: choice.col };
             log(LOG_AI, 'Easy difficulty selecting from top candidates', { move, profile: this.behaviorLabel || undefined });
@@ -275,7 +651,7 @@ class AIPlayer {
         }
 
         const opponent = this.getOpponentColor();
-        const blockingMove = this.findWinningMove(board, opponent);
+        const blockingMove = this.findBlockingMove(board);
         if (blockingMove) {
             log(LOG_AI, 'Medium difficulty blocking winning threat', { move: blockingMove });
             if (metrics) {
@@ -285,7 +661,7 @@ class AIPlayer {
             return blockingMove;
         }
 
-        const candidates = this.prepareCandidates(board, this.mediumCandidateLimit);
+        const candidates = this.prepareCandidates(board, this.strategyOptions.medium.mediumCandidateLimit);
         if (metrics) {
             metrics.candidateCount = candidates.length;
         }
@@ -300,19 +676,20 @@ class AIPlayer {
         let bestScore = -Infinity;
         let bestMove = null;
 
-        for (const candidate of candidates) {
+        for (const [index, candidate] of candidates.entries()) {
+            this.reportProgress({ stage: 'search', completed: index, total: candidates.length, bestMove: cloneMove(bestMove) });
             if (metrics) {
                 metrics.consideredCandidates += 1;
             }
             const { row, col } = candidate;
-            board[row][col] = this.playerColor;
+            this.setCell(board, row, col, this.playerColor);
 
             let score;
             if (this.checkWinningMove(board, row, col, this.playerColor)) {
                 score = WIN_SCORE;
             } else {
                 const baseScore = this.evaluateBoard(board, this.playerColor);
-                const opponentReplies = this.prepareCandidatesForPlayer(board, opponent, this.mediumResponseLimit);
+                const opponentReplies = this.prepareCandidatesForPlayer(board, opponent, this.strategyOptions.medium.mediumResponseLimit);
                 if (metrics) {
                     metrics.responsesEvaluated += opponentReplies.length;
                 }
@@ -327,7 +704,7 @@ class AIPlayer {
                 score = worstReply;
             }
 
-            board[row][col] = EMPTY;
+            this.setCell(board, row, col, EMPTY);
 
             if (score > bestScore) {
                 bestScore = score;
@@ -353,18 +730,23 @@ class AIPlayer {
     }
 
     makeHardMove(board, metrics = null) {
+        const { hardSearchDepth, hardCandidateLimit } = this.strategyOptions.hard;
         log(LOG_AI, 'Hard difficulty running minimax search', {
             profile: this.behaviorLabel || undefined,
-            depth: this.hardSearchDepth
+            depth: hardSearchDepth
         });
         if (metrics) {
             metrics.strategy = 'hard';
-            metrics.searchDepth = this.hardSearchDepth;
+            metrics.searchDepth = hardSearchDepth;
             metrics.profile = this.behaviorLabel;
             metrics.consideredCandidates = 0;
             metrics.nodesEvaluated = 0;
             metrics.maxDepthReached = 0;
             metrics.prunedBranches = 0;
+            metrics.ttProbes = 0;
+            metrics.ttHits = 0;
+            metrics.ttStores = 0;
+            metrics.threatNodes = 0;
         }
         const winningMove = this.findWinningMove(board, this.playerColor);
         if (winningMove) {
@@ -376,8 +758,7 @@ class AIPlayer {
             return winningMove;
         }
 
-        const opponent = this.getOpponentColor();
-        const blockingMove = this.findWinningMove(board, opponent);
+        const blockingMove = this.findBlockingMove(board);
         if (blockingMove) {
             log(LOG_AI, 'Hard difficulty blocking opponent win before searching', { move: blockingMove, profile: this.behaviorLabel || undefined });
             if (metrics) {
@@ -387,7 +768,23 @@ class AIPlayer {
             return blockingMove;
         }
 
-        const candidateLimit = this.getAdaptiveCandidateLimit(board, this.playerColor, this.hardCandidateLimit);
+        const forcingWin = this.findForcingWin(board, metrics);
+        if (forcingWin) {
+            const [first] = forcingWin.sequence;
+            log(LOG_AI, 'Hard difficulty playing a forced win', {
+                mode: forcingWin.mode,
+                sequence: forcingWin.sequence,
+                profile: this.behaviorLabel || undefined
+            });
+            if (metrics) {
+                metrics.decision = forcingWin.mode;
+                metrics.selectedScore = WIN_SCORE;
+                metrics.forcingSequenceLength = forcingWin.sequence.length;
+            }
+            return { row: first.row, col: first.col };
+        }
+
+        const candidateLimit = this.getAdaptiveCandidateLimit(board, this.playerColor, hardCandidateLimit);
         const candidates = this.prepareCandidates(board, candidateLimit);
         if (metrics) {
             metrics.candidateCount = candidates.length;
@@ -400,71 +797,439 @@ class AIPlayer {
             return this.makeRandomMove(board);
         }
 
+        // Without a time budget a single full-depth pass keeps the search exactly as before.
+        this.searchLimits = {
+            deadline: this.timeLimitMs ? getTimestampMs() + this.timeLimitMs : null,
+            aborted: null
+        };
+        this.positionHash = this.zobrist ? this.zobrist.hashBoard(board) : null;
+        const firstDepth = this.timeLimitMs ? 1 : hardSearchDepth;
+        let ordered = candidates.map(cloneMove);
+        let completed = null;
+        for (let depth = firstDepth; depth <= hardSearchDepth; depth += 1) {
+            const result = this.searchRoot(board, ordered, depth, metrics);
+            if (!result) {
+                break;
+            }
+            completed = { ...result, depth };
+            if (result.score >= WIN_SCORE) {
+                break;
+            }
+            // Search the previous best first so the next iteration prunes harder.
+            ordered = [result.move, ...ordered.filter(move => move.row !== result.move.row || move.col !== result.move.col)];
+        }
+        const aborted = this.searchLimits.aborted;
+        if (metrics) {
+            metrics.timeLimitMs = this.timeLimitMs;
+            metrics.completedDepth = completed ? completed.depth : 0;
+            metrics.searchAborted = aborted;
+            metrics.ttHitRate = metrics.ttProbes > 0 ? Number((metrics.ttHits / metrics.ttProbes).toFixed(4)) : 0;
+            metrics.ttSize = this.transpositionTable ? this.transpositionTable.size : 0;
+        }
+
+        if (completed) {
+            const { move: bestMove, score: bestScore, depth } = completed;
+            log(LOG_AI, 'Hard difficulty move selected', { move: bestMove, score: bestScore, profile: this.behaviorLabel || undefined, depth, aborted: aborted || undefined });
+            if (metrics) {
+                metrics.decision = 'search';
+                metrics.selectedScore = bestScore;
+            }
+            return bestMove;
+        }
+
+        if (aborted) {
+            // Not even the first iteration finished; the best-ranked candidate is the next best guess.
+            log(LOG_AI, 'Hard difficulty search stopped before completing a depth', { reason: aborted, profile: this.behaviorLabel || undefined });
+            if (metrics) {
+                metrics.decision = 'search-aborted';
+                metrics.selectedScore = null;
+            }
+            return cloneMove(candidates[0]);
+        }
+
+        log(LOG_AI, 'Hard difficulty falling back to medium heuristics', { profile: this.behaviorLabel || undefined });
+        if (metrics) {
+            metrics.decision = 'medium-fallback';
+            metrics.selectedScore = null;
+            metrics.fallbackStrategy = 'medium';
+        }
+        return this.makeMediumMove(board);
+    }
+
+    /**
+     * Monte Carlo tree search with UCT selection. Each iteration walks down the tree, adds one
+     * child, plays the game on for up to `mctsRolloutDepth` moves and feeds the result back up.
+     * Without a time budget the search always runs `mctsIterations` iterations, so a seeded
+     * `random` makes it repeatable.
+     */
+    makeMctsMove(board, metrics = null) {
+        const { mctsIterations } = this.strategyOptions.mcts;
+        log(LOG_AI, 'MCTS difficulty running tree search', {
+            profile: this.behaviorLabel || undefined,
+            iterations: mctsIterations
+        });
+        if (metrics) {
+            metrics.strategy = 'mcts';
+            metrics.simulations = 0;
+            metrics.treeSize = 0;
+            metrics.maxTreeDepth = 0;
+            metrics.rolloutPlies = 0;
+        }
+        const winningMove = this.findWinningMove(board, this.playerColor);
+        if (winningMove) {
+            log(LOG_AI, 'MCTS difficulty finishing with immediate win', { move: winningMove, profile: this.behaviorLabel || undefined });
+            if (metrics) {
+                metrics.decision = 'immediate-win';
+                metrics.selectedScore = WIN_SCORE;
+            }
+            return winningMove;
+        }
+
+        const blockingMove = this.findBlockingMove(board);
+        if (blockingMove) {
+            log(LOG_AI, 'MCTS difficulty blocking opponent win before searching', { move: blockingMove, profile: this.behaviorLabel || undefined });
+            if (metrics) {
+                metrics.decision = 'block-threat';
+                metrics.selectedScore = null;
+            }
+            return blockingMove;
+        }
+
+        const root = new MctsNode(null, null, this.getOpponentColor());
+        this.expandMctsNode(board, root, this.playerColor);
+        if (metrics) {
+            metrics.candidateCount = root.untried.length;
+        }
+        if (root.untried.length === 0) {
+            if (metrics) {
+                metrics.decision = 'random-fallback';
+                metrics.selectedScore = null;
+            }
+            return this.makeRandomMove(board);
+        }
+
+        this.searchLimits = {
+            deadline: this.timeLimitMs ? getTimestampMs() + this.timeLimitMs : null,
+            aborted: null
+        };
+        const stats = { simulations: 0, treeSize: 1, maxTreeDepth: 0, rolloutPlies: 0 };
+        while (stats.simulations < mctsIterations && !(stats.simulations > 0 && this.isSearchAborted())) {
+            if (stats.simulations % MCTS_PROGRESS_INTERVAL === 0) {
+                const leader = root.mostVisitedChild();
+                this.reportProgress({
+                    stage: 'search',
+                    completed: stats.simulations,
+                    total: mctsIterations,
+                    bestMove: leader ? cloneMove(leader.move) : null
+                });
+            }
+            this.runMctsIteration(board, root, stats);
+        }
+
+        const best = root.mostVisitedChild();
+        const aborted = this.searchLimits.aborted;
+        if (metrics) {
+            Object.assign(metrics, stats);
+            metrics.timeLimitMs = this.timeLimitMs;
+            metrics.searchAborted = aborted;
+            metrics.selectedVisits = best.visits;
+            metrics.decision = 'search';
+            metrics.selectedScore = Number(best.meanValue.toFixed(4));
+        }
+        log(LOG_AI, 'MCTS difficulty move selected', {
+            move: best.move,
+            visits: best.visits,
+            value: best.meanValue,
+            simulations: stats.simulations,
+            profile: this.behaviorLabel || undefined,
+            aborted: aborted || undefined
+        });
+        return cloneMove(best.move);
+    }
+
+    /**
+     * Fill in the moves a tree node may try, best first. A win is the only move worth trying,
+     * and a threatened win leaves only the blocks.
+     */
+    expandMctsNode(board, node, player) {
+        const winningMove = this.findWinningMove(board, player);
+        if (winningMove) {
+            node.untried = [winningMove];
+            return;
+        }
+        const blocks = this.findWinningMoves(board, this.getOpponentColor(player))
+            .filter(({ row, col }) => this.canPlay(board, row, col, player));
+        const candidates = blocks.length > 0
+            ? this.rankCandidates(board, blocks, player, player)
+            : this.prepareCandidates(board, this.strategyOptions.mcts.mctsCandidateLimit, player, player);
+        node.untried = candidates
+            .filter(({ row, col }) => board[row][col] === EMPTY)
+            .map(cloneMove);
+    }
+
+    runMctsIteration(board, root, stats) {
+        const placed = [];
+        const place = (move, player) => {
+            this.setCell(board, move.row, move.col, player);
+            placed.push(move);
+        };
+
+        let node = root;
+        while (!node.terminal && node.isFullyExpanded() && node.children.length > 0) {
+            node = node.selectChild(this.strategyOptions.mcts.mctsExploration);
+            place(node.move, node.player);
+        }
+        if (!node.terminal) {
+            const player = this.getOpponentColor(node.player);
+            if (node.untried === null) {
+                this.expandMctsNode(board, node, player);
+            }
+            if (node.untried.length > 0) {
+                const move = node.untried.shift();
+                const terminal = this.checkWinningMove(board, move.row, move.col, player);
+                node = node.addChild(move, player);
+                node.terminal = terminal;
+                stats.treeSize += 1;
+                place(move, player);
+            }
+        }
+        stats.maxTreeDepth = Math.max(stats.maxTreeDepth, placed.length);
+
+        let result;
+        if (node.terminal) {
+            result = node.player === this.playerColor ? 1 : 0;
+        } else {
+            result = this.playOut(board, this.getOpponentColor(node.player), place, stats);
+        }
+        node.backpropagate(result, this.playerColor);
+        stats.simulations += 1;
+
+        for (let index = placed.length - 1; index >= 0; index -= 1) {
+            this.setCell(board, placed[index].row, placed[index].col, EMPTY);
+        }
+    }
+
+    /**
+     * Play on from the current position, each side winning or blocking when it can and otherwise
+     * drawing from its best `mctsRolloutChoices` moves by `evaluateMove`, the better ones more often.
+     * @returns {number} The outcome for `playerColor` between 0 and 1; undecided games are scored
+     *   by the board evaluation.
+     */
+    playOut(board, player, place, stats) {
+        let mover = player;
+        for (let ply = 0; ply < this.strategyOptions.mcts.mctsRolloutDepth; ply += 1) {
+            const moves = this.findPlayableMoves(board, mover);
+            if (moves.length === 0) {
+                break;
+            }
+            const opponent = this.getOpponentColor(mover);
+            if (moves.some(move => this.checkWinningMove(board, move.row, move.col, mover))) {
+                return mover === this.playerColor ? 1 : 0;
+            }
+            let move = moves.find(candidate => this.checkWinningMove(board, candidate.row, candidate.col, opponent));
+            if (!move) {
+                const pool = this.rankCandidates(board, moves, mover, mover).slice(0, this.strategyOptions.mcts.mctsRolloutChoices);
+                // Rank weights: the best of n moves is n times as likely as the worst.
+                let threshold = this.random() * (pool.length * (pool.length + 1)) / 2;
+                move = pool[pool.length - 1];
+                for (const [index, candidate] of pool.entries()) {
+                    threshold -= pool.length - index;
+                    if (threshold < 0) {
+                        move = candidate;
+                        break;
+                    }
+                }
+            }
+            place(move, mover);
+            stats.rolloutPlies += 1;
+            mover = opponent;
+        }
+        const score = this.evaluateBoard(board, this.playerColor);
+        return 1 / (1 + Math.exp(-score / MCTS_EVALUATION_SCALE));
+    }
+
+    /**
+     * Look for a forced win by continuous fours, then by fours and threes, within the
+     * configured depths. Both searches share `threatNodeLimit`.
+     * @returns {?{mode: string, sequence: Array<{row: number, col: number, player: number}>, nodes: number}}
+     */
+    findForcingWin(board, metrics = null) {
+        const { vcfDepth, vctDepth, threatNodeLimit } = this.strategyOptions.hard;
+        const searches = [[THREAT_VCF, vcfDepth], [THREAT_VCT, vctDepth]];
+        let nodesLeft = threatNodeLimit;
+        for (const [mode, maxDepth] of searches) {
+            if (maxDepth === 0 || nodesLeft <= 0) {
+                continue;
+            }
+            const result = findForcingWin(board, this.playerColor, {
+                mode,
+                maxDepth,
+                maxNodes: nodesLeft,
+                rules: this.rules,
+                winLength: this.winLength
+            });
+            nodesLeft -= result.nodes;
+            if (metrics) {
+                metrics.threatNodes += result.nodes;
+            }
+            if (result.sequence) {
+                return result;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Whether the current hard search has run out of time or been aborted through the signal.
+     */
+    isSearchAborted() {
+        const limits = this.searchLimits;
+        if (!limits) {
+            return false;
+        }
+        if (!limits.aborted) {
+            if (this.abortSignal && this.abortSignal.aborted) {
+                limits.aborted = 'signal';
+            } else if (limits.deadline !== null && getTimestampMs() >= limits.deadline) {
+                limits.aborted = 'time';
+            }
+        }
+        return limits.aborted !== null;
+    }
+
+    /**
+     * Search every root candidate to `depth` plies.
+     * @returns {?{move: {row: number, col: number}, score: number}} Null when the search was aborted
+     *   before the iteration finished.
+     */
+    searchRoot(board, candidates, depth, metrics = null) {
         let bestScore = -Infinity;
         let bestMove = null;
 
-        for (const candidate of candidates) {
+        for (const [index, candidate] of candidates.entries()) {
+            this.reportProgress({ stage: 'search', depth, completed: index, total: candidates.length, bestMove: cloneMove(bestMove) });
             if (metrics) {
                 metrics.consideredCandidates += 1;
             }
             const { row, col } = candidate;
-            board[row][col] = this.playerColor;
+            this.placeSearchStone(board, row, col, this.playerColor);
             let score;
             if (this.checkWinningMove(board, row, col, this.playerColor)) {
                 score = WIN_SCORE;
             } else {
-                score = this.minimax(board, this.hardSearchDepth - 1, false, -Infinity, Infinity, metrics, 1);
+                score = this.minimax(board, depth - 1, false, -Infinity, Infinity, metrics, 1);
             }
-            board[row][col] = EMPTY;
+            this.removeSearchStone(board, row, col, this.playerColor);
 
+            if (this.isSearchAborted()) {
+                return null;
+            }
             if (score > bestScore) {
                 bestScore = score;
                 bestMove = { row, col };
             }
         }
 
-        if (bestMove) {
-            log(LOG_AI, 'Hard difficulty move selected', { move: bestMove, score: bestScore, profile: this.behaviorLabel || undefined, depth: this.hardSearchDepth });
-            if (metrics) {
-                metrics.decision = 'search';
-                metrics.selectedScore = bestScore;
+        return bestMove ? { move: bestMove, score: bestScore } : null;
+    }
+
+    placeSearchStone(board, row, col, player) {
+        this.setCell(board, row, col, player);
+        if (this.positionHash) {
+            this.zobrist.toggle(this.positionHash, row, col, player);
+        }
+    }
+
+    removeSearchStone(board, row, col, player) {
+        this.setCell(board, row, col, EMPTY);
+        if (this.positionHash) {
+            this.zobrist.toggle(this.positionHash, row, col, player);
+        }
+    }
+
+    /**
+     * Look up the current search position. Scores are always from `playerColor`'s point of view.
+     */
+    probeTransposition(current, metrics) {
+        if (!this.positionHash) {
+            return null;
+        }
+        const key = this.zobrist.key(this.positionHash, current, this.playerColor);
+        const entry = this.transpositionTable.get(key);
+        if (metrics) {
+            metrics.ttProbes += 1;
+            if (entry) {
+                metrics.ttHits += 1;
             }
-            return bestMove;
         }
+        return { key, entry: entry || null };
+    }
 
-        log(LOG_AI, 'Hard difficulty falling back to medium heuristics', { profile: this.behaviorLabel || undefined });
+    storeTransposition(probe, entry, metrics) {
+        if (!probe) {
+            return;
+        }
+        this.transpositionTable.set(probe.key, entry);
         if (metrics) {
-            metrics.decision = 'medium-fallback';
-            metrics.selectedScore = null;
-            metrics.fallbackStrategy = 'medium';
+            metrics.ttStores += 1;
         }
-        return this.makeMediumMove(board);
     }
 
     minimax(board, depth, maximizingPlayer, alpha, beta, metrics = null, currentDepth = 1) {
+        if (this.isSearchAborted()) {
+            // The caller discards this iteration, so the value does not matter.
+            return 0;
+        }
         if (metrics) {
             metrics.nodesEvaluated = (metrics.nodesEvaluated ?? 0) + 1;
             metrics.maxDepthReached = Math.max(metrics.maxDepthReached ?? 0, currentDepth);
         }
+
+        const current = maximizingPlayer ? this.playerColor : this.getOpponentColor();
+        const probe = this.probeTransposition(current, metrics);
+        const cached = probe && probe.entry;
+        if (cached && cached.depth >= depth) {
+            if (cached.flag === TT_EXACT) {
+                return cached.score;
+            }
+            if (cached.flag === TT_LOWER) {
+                alpha = Math.max(alpha, cached.score);
+            } else if (cached.flag === TT_UPPER) {
+                beta = Math.min(beta, cached.score);
+            }
+            if (alpha >= beta) {
+                return cached.score;
+            }
+        }
+        const alphaBefore = alpha;
+        const betaBefore = beta;
+
         if (depth === 0) {
-            return this.evaluateBoard(board, this.playerColor);
+            const score = this.evaluateBoard(board, this.playerColor);
+            this.storeTransposition(probe, { depth, score, flag: TT_EXACT, bestMove: null }, metrics);
+            return score;
         }
 
-        const current = maximizingPlayer ? this.playerColor : this.getOpponentColor();
-        const candidateLimit = this.getAdaptiveCandidateLimit(board, current, this.hardCandidateLimit);
-        const candidates = this.prepareCandidatesForPlayer(board, current, candidateLimit);
+        const candidateLimit = this.getAdaptiveCandidateLimit(board, current, this.strategyOptions.hard.hardCandidateLimit);
+        let candidates = this.prepareCandidatesForPlayer(board, current, candidateLimit);
         if (metrics) {
             metrics.maxBranchingFactor = Math.max(metrics.maxBranchingFactor ?? 0, candidates.length);
         }
         if (candidates.length === 0) {
             return this.evaluateBoard(board, this.playerColor);
         }
+        const hashMove = cached && cached.bestMove;
+        if (hashMove && board[hashMove.row][hashMove.col] === EMPTY) {
+            // The best move from an earlier visit is the likeliest cutoff, so try it first.
+            candidates = [hashMove, ...candidates.filter(move => move.row !== hashMove.row || move.col !== hashMove.col)];
+        }
 
         let best = maximizingPlayer ? -Infinity : Infinity;
+        let bestMove = null;
 
         for (const candidate of candidates) {
             const { row, col } = candidate;
-            board[row][col] = current;
+            this.placeSearchStone(board, row, col, current);
 
             let score;
             if (this.checkWinningMove(board, row, col, current)) {
@@ -473,7 +1238,13 @@ class AIPlayer {
                 score = this.minimax(board, depth - 1, !maximizingPlayer, alpha, beta, metrics, currentDepth + 1);
             }
 
-            board[row][col] = EMPTY;
+            this.removeSearchStone(board, row, col, current);
+            if (this.searchLimits && this.searchLimits.aborted) {
+                return 0;
+            }
+            if (maximizingPlayer ? score > best : score < best) {
+                bestMove = { row, col };
+            }
 
             if (maximizingPlayer) {
                 best = Math.max(best, score);
@@ -500,11 +1271,45 @@ class AIPlayer {
             return this.evaluateBoard(board, this.playerColor);
         }
 
+        let flag = TT_EXACT;
+        if (best <= alphaBefore) {
+            flag = TT_UPPER;
+        } else if (best >= betaBefore) {
+            flag = TT_LOWER;
+        }
+        this.storeTransposition(probe, { depth, score: best, flag, bestMove }, metrics);
         return best;
     }
 
+    /**
+     * Run `task` with an incremental evaluator attached to `board`; nested calls on the same
+     * board share it. While it is attached, every change to the board must go through `setCell`.
+     */
+    withEvaluator(board, task) {
+        if (this.evaluator && this.evaluator.board === board) {
+            return task();
+        }
+        const previous = this.evaluator;
+        this.evaluator = new LineEvaluator(board, this.boardSize, (cells, length, player) => scoreLineRuns(cells, length, player, this));
+        try {
+            return task();
+        } finally {
+            this.evaluator = previous;
+        }
+    }
+
+    setCell(board, row, col, value) {
+        board[row][col] = value;
+        if (this.evaluator && this.evaluator.board === board) {
+            this.evaluator.update(row, col);
+        }
+    }
+
     evaluateBoard(board, perspective) {
         const opponent = this.getOpponentColor(perspective);
+        if (this.evaluator && this.evaluator.board === board) {
+            return this.evaluator.total(perspective) - this.evaluator.total(opponent);
+        }
         const ownScore = this.scoreLinesForPlayer(board, perspective);
         const opponentScore = this.scoreLinesForPlayer(board, opponent);
         return ownScore - opponentScore;
@@ -514,8 +1319,8 @@ class AIPlayer {
         let score = 0;
         const directions = [[1, 0], [0, 1], [1, 1], [1, -1]];
 
-        for (let row = 0; row < BOARD_SIZE; row++) {
-            for (let col = 0; col < BOARD_SIZE; col++) {
+        for (let row = 0; row < this.boardSize; row++) {
+            for (let col = 0; col < this.boardSize; col++) {
                 if (board[row][col] !== player) continue;
                 for (const [dx, dy] of directions) {
                     const prevRow = row - dx;
@@ -536,6 +1341,10 @@ class AIPlayer {
                     const forwardOpen = this.isEmptyCell(board, x, y);
                     const backwardOpen = this.isEmptyCell(board, row - dx, col - dy);
                     score += this.scorePattern(length, backwardOpen, forwardOpen);
+                    const gapped = this.findGappedRun(board, x, y, dx, dy, player);
+                    if (gapped) {
+                        score += this.scoreGappedPattern(length, gapped.length, backwardOpen, gapped.forwardOpen);
+                    }
                 }
             }
         }
@@ -544,32 +1353,52 @@ class AIPlayer {
     }
 
     scorePattern(length, backwardOpen, forwardOpen) {
-        if (length >= 5) {
-            return PATTERN_SCORES.five;
+        if (length >= this.winLength) {
+            return this.patternScores.five;
         }
 
         const openEnds = (backwardOpen ? 1 : 0) + (forwardOpen ? 1 : 0);
-        if (openEnds === 0) {
+        if (openEnds === 0 || length < 2) {
             return 0;
         }
 
-        switch (length) {
-            case 4:
-                return openEnds === 2 ? PATTERN_SCORES.openFour : PATTERN_SCORES.semiOpenFour;
-            case 3:
-                return openEnds === 2 ? PATTERN_SCORES.openThree : PATTERN_SCORES.semiOpenThree;
+        // Score by how many stones the run is short of a win rather than its raw length.
+        switch (this.winLength - length) {
+            case 1:
+                return openEnds === 2 ? this.patternScores.openFour : this.patternScores.semiOpenFour;
             case 2:
-                return openEnds === 2 ? PATTERN_SCORES.openTwo : PATTERN_SCORES.semiOpenTwo;
+                return openEnds === 2 ? this.patternScores.openThree : this.patternScores.semiOpenThree;
+            case 3:
+                return openEnds === 2 ? this.patternScores.openTwo : this.patternScores.semiOpenTwo;
             default:
                 return 0;
         }
     }
 
+    /**
+     * Score two runs of `firstLength` and `secondLength` stones split by one empty cell.
+     * `backwardOpen` and `forwardOpen` describe the cells outside the pair.
+     */
+    scoreGappedPattern(firstLength, secondLength, backwardOpen, forwardOpen) {
+        const stones = firstLength + secondLength;
+        // Filling the gap completes the line, so this is a four whatever the outer ends hold.
+        if (stones >= this.winLength - 1) {
+            return this.patternScores.brokenFour;
+        }
+        if (stones === this.winLength - 2) {
+            const openEnds = (backwardOpen ? 1 : 0) + (forwardOpen ? 1 : 0);
+            if (openEnds === 2) {
+                return this.patternScores.openBrokenThree;
+            }
+            return openEnds === 1 ? this.patternScores.semiOpenBrokenThree : 0;
+        }
+        return 0;
+    }
+
     prepareCandidates(board, limit, player = this.playerColor, perspective = this.playerColor) {
-        const potentialMoves = this.findPotentialMoves(board);
-        let candidates = potentialMoves;
+        let candidates = this.findPlayableMoves(board, player);
         if (candidates.length === 0) {
-            const center = Math.floor(BOARD_SIZE / 2);
+            const center = Math.floor(this.boardSize / 2);
             candidates = [{ row: center, col: center }];
         }
         const ranked = this.rankCandidates(board, candidates, player, perspective);
@@ -592,16 +1421,16 @@ class AIPlayer {
     }
 
     evaluateMove(board, row, col, player, perspective = this.playerColor) {
-        board[row][col] = player;
+        this.setCell(board, row, col, player);
         const score = this.evaluateBoard(board, perspective);
-        board[row][col] = EMPTY;
+        this.setCell(board, row, col, EMPTY);
         return score;
     }
 
     findEmptyCells(board) {
         const emptyCells = [];
-        for (let row = 0; row < BOARD_SIZE; row++) {
-            for (let col = 0; col < BOARD_SIZE; col++) {
+        for (let row = 0; row < this.boardSize; row++) {
+            for (let col = 0; col < this.boardSize; col++) {
                 if (board[row][col] === EMPTY) {
                     emptyCells.push({ row, col });
                 }
@@ -626,8 +1455,8 @@ class AIPlayer {
     findPotentialMoves(board) {
         const potentialMoves = new Set();
         const directions = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
-        for (let row = 0; row < BOARD_SIZE; row++) {
-            for (let col = 0; col < BOARD_SIZE; col++) {
+        for (let row = 0; row < this.boardSize; row++) {
+            for (let col = 0; col < this.boardSize; col++) {
                 if (board[row][col] !== EMPTY) {
                     for (const [dx, dy] of directions) {
                         const newRow = row + dx;
@@ -645,9 +1474,31 @@ class AIPlayer {
         });
     }
 
+    /**
+     * Whether `player` may place a stone at (row, col): the cell is empty and, under Renju,
+     * is not one of Black's forbidden points.
+     */
+    canPlay(board, row, col, player) {
+        if (board[row][col] !== EMPTY) {
+            return false;
+        }
+        return !(this.rules === RULES_RENJU && player === BLACK && isForbiddenMove(board, row, col));
+    }
+
+    /**
+     * `findPotentialMoves` without the points `player` may not play.
+     */
+    findPlayableMoves(board, player) {
+        const moves = this.findPotentialMoves(board);
+        if (this.rules !== RULES_RENJU || player !== BLACK) {
+            return moves;
+        }
+        return moves.filter(({ row, col }) => this.canPlay(board, row, col, player));
+    }
+
     findWinningMove(board, player) {
-        for (let row = 0; row < BOARD_SIZE; row++) {
-            for (let col = 0; col < BOARD_SIZE; col++) {
+        for (let row = 0; row < this.boardSize; row++) {
+            for (let col = 0; col < this.boardSize; col++) {
                 if (board[row][col] === EMPTY && this.checkWinningMove(board, row, col, player)) {
                     return { row, col };
                 }
@@ -656,29 +1507,36 @@ class AIPlayer {
         return null;
     }
 
-    checkWinningMove(board, row, col, player) {
-        const directions = [[1, 0], [0, 1], [1, 1], [1, -1]];
-        for (const [dx, dy] of directions) {
-            let count = 1;
-            count += this.countStonesInDirection(board, row, col, dx, dy, player);
-            count += this.countStonesInDirection(board, row, col, -dx, -dy, player);
-            if (count >= 5) {
-                return true;
+    /**
+     * A cell where the opponent of `player` would win and `player` may play, or null.
+     */
+    findBlockingMove(board, player = this.playerColor) {
+        const opponent = this.getOpponentColor(player);
+        return this.findWinningMoves(board, opponent).find(({ row, col }) => this.canPlay(board, row, col, player)) || null;
+    }
+
+    findWinningMoves(board, player) {
+        const moves = [];
+        for (let row = 0; row < this.boardSize; row++) {
+            for (let col = 0; col < this.boardSize; col++) {
+                if (board[row][col] === EMPTY && this.checkWinningMove(board, row, col, player)) {
+                    moves.push({ row, col });
+                }
             }
         }
-        return false;
+        return moves;
     }
 
-    countStonesInDirection(board, row, col, dx, dy, player) {
-        let count = 0;
-        let x = row + dx;
-        let y = col + dy;
-        while (this.isInside(x, y) && board[x][y] === player) {
-            count++;
-            x += dx;
-            y += dy;
-        }
-        return count;
+    /**
+     * Whether `player` wins with a stone at (row, col), which may be empty or already hold that
+     * stone. Uses the engine's win check, so overlines only count where the rule set allows.
+     */
+    checkWinningMove(board, row, col, player) {
+        const previous = board[row][col];
+        board[row][col] = player;
+        const wins = checkWin(board, row, col, { rules: this.rules, winLength: this.winLength });
+        board[row][col] = previous;
+        return wins;
     }
 
     isEmptyCell(board, row, col) {
@@ -686,7 +1544,7 @@ class AIPlayer {
     }
 
     isInside(row, col) {
-        return row >= 0 && row < BOARD_SIZE && col >= 0 && col < BOARD_SIZE;
+        return row >= 0 && row < this.boardSize && col >= 0 && col < this.boardSize;
     }
 
     getOpponentColor(player = this.playerColor) {
@@ -694,4 +1552,55 @@ class AIPlayer {
     }
 }
 
+const integerOption = (defaultValue, description, min = 1) => ({ type: OPTION_INTEGER, default: defaultValue, min, description });
+
+registerStrategy('easy', {
+    label: 'Easy',
+    description: 'Blocks instant wins and picks among the strongest nearby moves.',
+    pairSearch: false,
+    options: {
+        easyCandidateLimit: integerOption(EASY_CANDIDATE_LIMIT, 'Candidates ranked'),
+        easyTopChoices: integerOption(EASY_TOP_CHOICES, 'Best candidates picked from at random')
+    },
+    selectMove: (player, board, metrics) => player.makeEasyMove(board, metrics)
+});
+
+registerStrategy('medium', {
+    label: 'Medium',
+    description: 'Scores candidates and checks the strongest opponent replies.',
+    options: {
+        mediumCandidateLimit: integerOption(MEDIUM_CANDIDATE_LIMIT, 'Candidates searched'),
+        mediumResponseLimit: integerOption(MEDIUM_RESPONSE_LIMIT, 'Opponent replies checked per candidate')
+    },
+    selectMove: (player, board, metrics) => player.makeMediumMove(board, metrics)
+});
+
+registerStrategy('hard', {
+    label: 'Hard',
+    description: 'Threat-space solver, then an alpha-beta minimax search.',
+    options: {
+        hardCandidateLimit: integerOption(HARD_CANDIDATE_LIMIT, 'Candidates searched per node'),
+        hardSearchDepth: integerOption(HARD_SEARCH_DEPTH, 'Search depth in plies'),
+        hardThreatCandidateLimit: integerOption(HARD_THREAT_CANDIDATE_LIMIT, 'Candidates searched when a side has a critical threat'),
+        // Before searching, the hard AI looks for forced wins by fours (VCF), then by fours and threes (VCT).
+        vcfDepth: integerOption(DEFAULT_VCF_DEPTH, 'Fours in a forced win by continuous fours; 0 disables it', 0),
+        vctDepth: integerOption(HARD_VCT_DEPTH, 'Threats in a forced win by fours and threes; 0 disables it', 0),
+        threatNodeLimit: integerOption(HARD_THREAT_NODE_LIMIT, 'Positions the forced-win solver may visit')
+    },
+    selectMove: (player, board, metrics) => player.makeHardMove(board, metrics)
+});
+
+registerStrategy('mcts', {
+    label: 'Monte Carlo',
+    description: 'Monte Carlo tree search with playouts guided by the evaluator.',
+    options: {
+        mctsIterations: integerOption(DEFAULT_MCTS_ITERATIONS, 'Playouts per move'),
+        mctsExploration: { type: OPTION_NUMBER, default: DEFAULT_MCTS_EXPLORATION, min: 0, description: 'UCT exploration constant' },
+        mctsCandidateLimit: integerOption(MCTS_CANDIDATE_LIMIT, 'Moves tried per tree node'),
+        mctsRolloutDepth: integerOption(MCTS_ROLLOUT_DEPTH, 'Moves per playout before the board is evaluated', 0),
+        mctsRolloutChoices: integerOption(MCTS_ROLLOUT_CHOICES, 'Best moves a playout picks from')
+    },
+    selectMove: (player, board, metrics) => player.makeMctsMove(board, metrics)
+});
+
 export default AIPlayer;
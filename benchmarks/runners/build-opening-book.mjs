@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { OpeningBook } from '../../src/ai/opening-book.js';
+import { normalizeRules, normalizeVariant } from '../../src/engine/game.js';
+import { BLACK, WHITE, BOARD_SIZE } from '../../config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '..', '..');
+const resultsRoot = path.join(projectRoot, 'benchmarks', 'results');
+const defaultBookPath = path.join(projectRoot, 'benchmarks', 'books', 'opening-book.json');
+
+function parseArgs(argv) {
+    const args = { results: [], reset: false };
+    for (let i = 2; i < argv.length; i += 1) {
+        const arg = argv[i];
+        if ((arg === '--results' || arg === '-r') && argv[i + 1]) {
+            args.results.push(argv[i + 1]);
+            i += 1;
+        } else if ((arg === '--book' || arg === '-b') && argv[i + 1]) {
+            args.book = argv[i + 1];
+            i += 1;
+        } else if (arg === '--max-plies' && argv[i + 1]) {
+            args.maxPlies = Number(argv[i + 1]);
+            i += 1;
+        } else if ((arg === '--rules' || arg === '--variant') && argv[i + 1]) {
+            args[arg.slice(2)] = argv[i + 1];
+            i += 1;
+        } else if (arg === '--reset') {
+            args.reset = true;
+        }
+    }
+    return args;
+}
+
+async function findLatestResultsDir() {
+    const entries = await fs.readdir(resultsRoot, { withFileTypes: true }).catch(() => []);
+    const stamps = entries.filter(entry => entry.isDirectory()).map(entry => entry.name).sort();
+    if (stamps.length === 0) {
+        throw new Error(`No benchmark results found in ${resultsRoot}`);
+    }
+    return path.join(resultsRoot, stamps[stamps.length - 1]);
+}
+
+async function loadBook(bookPath, { reset, maxPlies, rules, variant }) {
+    let data = {};
+    if (!reset) {
+        try {
+            data = JSON.parse(await fs.readFile(bookPath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    }
+    if (Number.isInteger(maxPlies) && maxPlies > 0) {
+        data = { ...data, maxPlies };
+    }
+    // An existing book keeps the game it was built for.
+    const settings = { rules: [rules, normalizeRules], variant: [variant, normalizeVariant] };
+    for (const [key, [value, normalize]] of Object.entries(settings)) {
+        if (value === undefined) {
+            continue;
+        }
+        if (normalize(value) !== value) {
+            throw new Error(`Unknown ${key} "${value}"`);
+        }
+        if (data.positions && normalize(data[key]) !== value) {
+            throw new Error(`The book at ${bookPath} was built for ${key} "${normalize(data[key])}", not "${value}"; pass --reset to start over`);
+        }
+        data = { ...data, [key]: value };
+    }
+    return new OpeningBook(data);
+}
+
+function toWinner(result) {
+    if (result === 'black') {
+        return BLACK;
+    }
+    return result === 'white' ? WHITE : null;
+}
+
+/**
+ * Record the games of one results directory. Only games played from the empty board on the
+ * book's board size, rule set and variant count; runs that do not record their rules or
+ * variant played freestyle Gomoku. Logs written before runs kept the move `history` are skipped.
+ */
+async function recordResults(book, resultsDir, totals) {
+    const summary = JSON.parse(await fs.readFile(path.join(resultsDir, 'summary.json'), 'utf8'));
+    const defaultBoardSize = summary.metadata?.boardSize || BOARD_SIZE;
+    const sameGame = normalizeRules(summary.metadata?.rules) === book.rules
+        && normalizeVariant(summary.metadata?.variant) === book.variant;
+    for (const pairing of summary.pairings || []) {
+        const boardSize = pairing.boardSize || defaultBoardSize;
+        const gamesPath = path.join(resultsDir, `${pairing.id}-games.json`);
+        const games = JSON.parse(await fs.readFile(gamesPath, 'utf8'));
+        for (const game of games) {
+            if (!sameGame || boardSize !== book.boardSize || game.startPosition || !Array.isArray(game.history)) {
+                totals.skipped += 1;
+                continue;
+            }
+            totals.positions += book.recordGame(game.history, toWinner(game.result));
+            totals.games += 1;
+        }
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv);
+    const bookPath = args.book ? path.resolve(process.cwd(), args.book) : defaultBookPath;
+    const resultsDirs = args.results.length > 0
+        ? args.results.map(entry => path.resolve(process.cwd(), entry))
+        : [await findLatestResultsDir()];
+
+    const book = await loadBook(bookPath, args);
+    const totals = { games: 0, skipped: 0, positions: 0 };
+    for (const resultsDir of resultsDirs) {
+        await recordResults(book, resultsDir, totals);
+    }
+
+    await fs.mkdir(path.dirname(bookPath), { recursive: true });
+    await fs.writeFile(bookPath, JSON.stringify(book));
+
+    console.log(`Opening book written to ${bookPath}`);
+    console.log(`games=${totals.games} skipped=${totals.skipped} positionsRecorded=${totals.positions} bookPositions=${book.size}`);
+}
+
+main().catch(error => {
+    console.error('Opening book build failed');
+    console.error(error);
+    process.exitCode = 1;
+});
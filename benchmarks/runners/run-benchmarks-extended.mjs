@@ -5,8 +5,15 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 
 import AIPlayer from '../../ai-player.js';
+import { AIWorkerClient } from '../../src/ai/ai-worker-client.js';
+import { createNodeWorkerPort } from '../../src/ai/node-worker-port.js';
+import { createSeededRandom } from '../../src/ai/worker-protocol.js';
+import { listStrategies, hasStrategy } from '../../src/ai/strategies.js';
 import { GomokuEngine } from '../../src/engine/game.js';
+import { otherSeat } from '../../src/engine/opening.js';
+import { canonicalizeMoves } from '../../src/engine/symmetry.js';
 import { BLACK, WHITE, BOARD_SIZE } from '../../config.js';
+import { loadStartPositions, applyStartPosition } from './start-positions.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -22,22 +29,13 @@ function parseArgs(argv) {
         } else if (arg === '--seed' && argv[i + 1]) {
             args.seed = Number(argv[i + 1]);
             i += 1;
+        } else if (arg === '--workers') {
+            args.workers = true;
         }
     }
     return args;
 }
 
-function createSeededRandom(seedValue) {
-    let state = Math.floor(seedValue) % 2147483647;
-    if (state <= 0) {
-        state += 2147483646;
-    }
-    return () => {
-        state = (state * 16807) % 2147483647;
-        return (state - 1) / 2147483646;
-    };
-}
-
 async function loadConfig(configPath) {
     const raw = await fs.readFile(configPath, 'utf8');
     return JSON.parse(raw);
@@ -59,11 +57,11 @@ function cloneBehavior(behavior) {
 }
 
 function buildAgentCatalog(configAgents = {}) {
-    const catalog = {
-        easy: { key: 'easy', label: 'easy', difficulty: 'easy', behavior: null, profile: null, description: null },
-        medium: { key: 'medium', label: 'medium', difficulty: 'medium', behavior: null, profile: null, description: null },
-        hard: { key: 'hard', label: 'hard', difficulty: 'hard', behavior: null, profile: null, description: null }
-    };
+    // Every registered strategy can be used as an agent under its own name.
+    const catalog = {};
+    for (const { name } of listStrategies()) {
+        catalog[name] = { key: name, label: name, difficulty: name, behavior: null, profile: null, description: null };
+    }
 
     for (const [key, value] of Object.entries(configAgents || {})) {
         if (!value || typeof value !== 'object') {
@@ -76,12 +74,34 @@ function buildAgentCatalog(configAgents = {}) {
         const behavior = value.behavior && typeof value.behavior === 'object' ? value.behavior : null;
         const profile = behavior && typeof behavior.name === 'string' ? behavior.name : null;
         const description = typeof value.description === 'string' ? value.description : null;
-        catalog[key] = { key, label, difficulty, behavior, profile, description };
+        if (!hasStrategy(difficulty)) {
+            throw new Error(`Agent "${key}" uses unknown strategy "${difficulty}"`);
+        }
+        const openingBook = typeof value.openingBook === 'string' ? value.openingBook : null;
+        catalog[key] = { key, label, difficulty, behavior, profile, description, openingBook };
     }
 
     return catalog;
 }
 
+/**
+ * Read the opening books named by catalog agents, relative to the project root. Each agent
+ * gets the parsed data as `book`; agents sharing a file share one copy.
+ */
+async function loadOpeningBooks(catalog) {
+    const books = new Map();
+    for (const agent of Object.values(catalog)) {
+        if (!agent.openingBook) {
+            continue;
+        }
+        const bookPath = path.resolve(projectRoot, agent.openingBook);
+        if (!books.has(bookPath)) {
+            books.set(bookPath, JSON.parse(await fs.readFile(bookPath, 'utf8')));
+        }
+        agent.book = books.get(bookPath);
+    }
+}
+
 function resolveAgent(catalog, key) {
     const agent = catalog[key];
     if (!agent) {
@@ -107,7 +127,7 @@ function formatAgentLabel(agent) {
     return segments.join(' / ');
 }
 
-function playGame({ boardSize, blackAgent, whiteAgent, seed }) {
+async function playGame({ boardSize, opening, startPosition, blackAgent, whiteAgent, seed, workerClient }) {
     if (!blackAgent || !blackAgent.difficulty) {
         throw new Error('Black agent definition is missing a difficulty');
     }
@@ -115,49 +135,99 @@ function playGame({ boardSize, blackAgent, whiteAgent, seed }) {
         throw new Error('White agent definition is missing a difficulty');
     }
 
-    const engine = new GomokuEngine({ boardSize });
-    const blackRng = createSeededRandom(seed * 2 + 1);
-    const whiteRng = createSeededRandom(seed * 2 + 2);
+    const engine = new GomokuEngine({ boardSize, opening });
+    // Worker players rebuild the same generators from the seeds.
+    const randomOption = playerSeed => (workerClient
+        ? { seed: playerSeed }
+        : { random: createSeededRandom(playerSeed) });
 
     const telemetryBuffer = [];
     const recordTelemetry = player => entry => {
         telemetryBuffer.push({ ...entry, player });
     };
 
-    const blackOptions = { random: blackRng, telemetry: recordTelemetry('black') };
+    const blackOptions = { ...randomOption(seed * 2 + 1), telemetry: recordTelemetry('black'), boardSize };
     if (blackAgent.behavior) {
         const behavior = cloneBehavior(blackAgent.behavior);
         if (behavior) {
             blackOptions.behavior = behavior;
         }
     }
+    if (blackAgent.book) {
+        blackOptions.openingBook = blackAgent.book;
+    }
 
-    const whiteOptions = { random: whiteRng, telemetry: recordTelemetry('white') };
+    const whiteOptions = { ...randomOption(seed * 2 + 2), telemetry: recordTelemetry('white'), boardSize };
     if (whiteAgent.behavior) {
         const behavior = cloneBehavior(whiteAgent.behavior);
         if (behavior) {
             whiteOptions.behavior = behavior;
         }
     }
+    if (whiteAgent.book) {
+        whiteOptions.openingBook = whiteAgent.book;
+    }
+
+    const createAgent = (difficulty, color, options) => (workerClient
+        ? workerClient.createPlayer(difficulty, color, options)
+        : new AIPlayer(difficulty, color, options));
+    const blackAI = createAgent(blackAgent.difficulty, BLACK, blackOptions);
+    const whiteAI = createAgent(whiteAgent.difficulty, WHITE, whiteOptions);
+    try {
+        return await playMoves(engine, { blackAI, whiteAI, startPosition, boardSize, telemetryBuffer });
+    } finally {
+        if (workerClient) {
+            workerClient.releasePlayer(blackAI);
+            workerClient.releasePlayer(whiteAI);
+        }
+    }
+}
 
-    const blackAI = new AIPlayer(blackAgent.difficulty, BLACK, blackOptions);
-    const whiteAI = new AIPlayer(whiteAgent.difficulty, WHITE, whiteOptions);
+/**
+ * Play the game out. Agents may be in-process `AIPlayer`s or worker players whose
+ * methods return promises, so every call is awaited.
+ */
+async function playMoves(engine, { blackAI, whiteAI, startPosition, boardSize, telemetryBuffer }) {
+    if (startPosition) {
+        applyStartPosition(engine, startPosition);
+    }
 
     const maxMoves = boardSize * boardSize;
-    let moves = 0;
+    let moves = engine.getMoveHistory().length;
 
     const finalize = (result, moveCount) => {
         const telemetry = telemetryBuffer.map((entry, index) => ({
             ...entry,
             moveIndex: entry.moveIndex ?? index
         }));
-        return { result, moves: moveCount, telemetry };
+        // The full move list, start position included, lets the opening book builder replay the game.
+        const history = engine.getMoveHistory().map(({ row, col, player }) => ({ row, col, player }));
+        return { result, moves: moveCount, telemetry, history, openingChoices: engine.toJSON().openingChoices };
     };
 
+    // The configured black agent opens; swap protocols may hand it the white stones later.
+    const seats = { first: blackAI, second: whiteAI };
+
     while (!engine.isGameOver() && moves < maxMoves) {
+        const opening = engine.getOpeningState();
+        if (opening.phase === 'choice') {
+            const choice = await seats[opening.seat].chooseOpening(engine.getBoard(), opening.choices);
+            const chosen = engine.chooseOpening(choice);
+            if (chosen.status === 'invalid') {
+                throw new Error(`Invalid opening choice "${choice}" (${chosen.reason})`);
+            }
+            continue;
+        }
+
         const currentPlayer = engine.getCurrentPlayer();
-        const agent = currentPlayer === BLACK ? blackAI : whiteAI;
-        const move = agent.makeMove(engine.getBoard());
+        let agent;
+        if (opening.phase === 'placement') {
+            agent = seats[opening.seat];
+        } else {
+            agent = currentPlayer === BLACK ? seats[opening.blackSeat] : seats[otherSeat(opening.blackSeat)];
+        }
+        agent.playerColor = currentPlayer;
+        const move = await agent.makeMove(engine.getBoard(), { legalMoves: engine.getAvailableMoves({ vicinityOnly: false }) });
         if (!move) {
             throw new Error('AI returned no move');
         }
@@ -184,8 +254,9 @@ async function ensureResultDir() {
     return resultsDir;
 }
 
-function summarisePairing(pairing, baseSeed, boardSize, pairingIndex, agentCatalog) {
+async function summarisePairing(pairing, baseSeed, boardSize, pairingIndex, agentCatalog, opening, startPositions, workerClient) {
     const { id, black, white, games } = pairing;
+    const pairingBoardSize = Number(pairing.boardSize) || boardSize;
     const blackAgent = resolveAgent(agentCatalog, black);
     const whiteAgent = resolveAgent(agentCatalog, white);
 
@@ -207,12 +278,14 @@ function summarisePairing(pairing, baseSeed, boardSize, pairingIndex, agentCatal
         id,
         black,
         white,
+        boardSize: pairingBoardSize,
         blackAgent: blackInfo,
         whiteAgent: whiteInfo,
         games: 0,
         blackWins: 0,
         whiteWins: 0,
         draws: 0,
+        duplicateGames: 0,
         totalMoves: 0,
         seeds: []
     };
@@ -224,18 +297,32 @@ function summarisePairing(pairing, baseSeed, boardSize, pairingIndex, agentCatal
         totalCandidateCount: 0,
         maxCandidateCount: 0,
         totalNodesEvaluated: 0,
-        maxNodesEvaluated: 0
+        maxNodesEvaluated: 0,
+        searchCount: 0,
+        totalCompletedDepth: 0,
+        abortedSearches: 0,
+        mctsSearches: 0,
+        totalSimulations: 0,
+        totalTreeSize: 0,
+        ttProbes: 0,
+        ttHits: 0
     };
 
     const gamesLog = [];
+    // Games already played in this pairing, keyed up to rotation and reflection.
+    const gameKeys = new Set();
 
     for (let gameIndex = 0; gameIndex < rounds; gameIndex += 1) {
         const seed = deriveSeed(baseSeed, pairingIndex, gameIndex);
-        const outcome = playGame({
-            boardSize,
+        const startPosition = startPositions.length > 0 ? startPositions[gameIndex % startPositions.length] : null;
+        const outcome = await playGame({
+            boardSize: pairingBoardSize,
+            opening,
+            startPosition,
             blackAgent,
             whiteAgent,
-            seed
+            seed,
+            workerClient
         });
 
         stats.games += 1;
@@ -248,6 +335,12 @@ function summarisePairing(pairing, baseSeed, boardSize, pairingIndex, agentCatal
         } else {
             stats.draws += 1;
         }
+        const { key: gameKey } = canonicalizeMoves(outcome.history, pairingBoardSize);
+        if (gameKeys.has(gameKey)) {
+            stats.duplicateGames += 1;
+        } else {
+            gameKeys.add(gameKey);
+        }
 
         const telemetryEntries = Array.isArray(outcome.telemetry) ? outcome.telemetry : [];
         const enrichedTelemetry = telemetryEntries.map((entry, index) => ({
@@ -259,8 +352,11 @@ function summarisePairing(pairing, baseSeed, boardSize, pairingIndex, agentCatal
         gamesLog.push({
             index: gameIndex,
             seed,
+            startPosition: startPosition ? startPosition.source : null,
             result: outcome.result,
             moves: outcome.moves,
+            openingChoices: outcome.openingChoices,
+            history: outcome.history,
             telemetry: enrichedTelemetry,
             agents: {
                 black: blackInfo,
@@ -288,6 +384,25 @@ function summarisePairing(pairing, baseSeed, boardSize, pairingIndex, agentCatal
                     telemetryTotals.maxNodesEvaluated = entry.nodesEvaluated;
                 }
             }
+            if (typeof entry.completedDepth === 'number') {
+                telemetryTotals.searchCount += 1;
+                telemetryTotals.totalCompletedDepth += entry.completedDepth;
+                if (entry.searchAborted) {
+                    telemetryTotals.abortedSearches += 1;
+                }
+            }
+            if (entry.simulations > 0) {
+                telemetryTotals.mctsSearches += 1;
+                telemetryTotals.totalSimulations += entry.simulations;
+                telemetryTotals.totalTreeSize += entry.treeSize;
+                if (entry.searchAborted) {
+                    telemetryTotals.abortedSearches += 1;
+                }
+            }
+            if (typeof entry.ttProbes === 'number') {
+                telemetryTotals.ttProbes += entry.ttProbes;
+                telemetryTotals.ttHits += entry.ttHits;
+            }
         }
     }
 
@@ -301,7 +416,22 @@ function summarisePairing(pairing, baseSeed, boardSize, pairingIndex, agentCatal
         averageCandidateCount: moveCount > 0 ? Number((telemetryTotals.totalCandidateCount / moveCount).toFixed(2)) : 0,
         maxCandidateCount: telemetryTotals.maxCandidateCount,
         averageNodesEvaluated: moveCount > 0 ? Number((telemetryTotals.totalNodesEvaluated / moveCount).toFixed(2)) : 0,
-        maxNodesEvaluated: telemetryTotals.maxNodesEvaluated
+        maxNodesEvaluated: telemetryTotals.maxNodesEvaluated,
+        // Only hard searches report a depth; time-limited ones may stop short of hardSearchDepth.
+        averageCompletedDepth: telemetryTotals.searchCount > 0
+            ? Number((telemetryTotals.totalCompletedDepth / telemetryTotals.searchCount).toFixed(2))
+            : 0,
+        abortedSearches: telemetryTotals.abortedSearches,
+        // Averaged over mcts moves that ran a search.
+        averageSimulations: telemetryTotals.mctsSearches > 0
+            ? Number((telemetryTotals.totalSimulations / telemetryTotals.mctsSearches).toFixed(2))
+            : 0,
+        averageTreeSize: telemetryTotals.mctsSearches > 0
+            ? Number((telemetryTotals.totalTreeSize / telemetryTotals.mctsSearches).toFixed(2))
+            : 0,
+        transpositionHitRate: telemetryTotals.ttProbes > 0
+            ? Number((telemetryTotals.ttHits / telemetryTotals.ttProbes).toFixed(4))
+            : 0
     };
 
     return {
@@ -317,16 +447,35 @@ async function main() {
     const configPath = args.config ? path.resolve(process.cwd(), args.config) : defaultConfigPath;
     const config = await loadConfig(configPath);
     const boardSize = config.boardSize || BOARD_SIZE;
+    const opening = config.opening || 'none';
     const baseSeed = Number.isFinite(args.seed) ? args.seed : (config.baseSeed || Date.now());
+    // Games cycle through the start positions so tournament openings can seed self-play.
+    const startPositions = Array.isArray(config.startPositions)
+        ? await loadStartPositions(config.startPositions, projectRoot)
+        : [];
     const agentCatalog = buildAgentCatalog(config.agents);
+    await loadOpeningBooks(agentCatalog);
 
     const pairings = Array.isArray(config.pairings) && config.pairings.length > 0
         ? config.pairings
         : [{ id: 'default', black: 'medium', white: 'medium', games: 2 }];
 
-    const summaries = pairings.map((pairing, index) =>
-        summarisePairing({ ...pairing, id: pairing.id || `pairing-${index}` }, baseSeed, boardSize, index, agentCatalog)
-    );
+    // Searches run in a worker thread when asked to, exercising the same API as the browser.
+    const useWorkers = Boolean(args.workers || config.useWorkers);
+    const workerClient = useWorkers ? new AIWorkerClient({ createPort: createNodeWorkerPort }) : null;
+    const summaries = [];
+    try {
+        for (const [index, pairing] of pairings.entries()) {
+            summaries.push(await summarisePairing(
+                { ...pairing, id: pairing.id || `pairing-${index}` },
+                baseSeed, boardSize, index, agentCatalog, opening, startPositions, workerClient
+            ));
+        }
+    } finally {
+        if (workerClient) {
+            workerClient.terminate();
+        }
+    }
 
     const resultsDir = await ensureResultDir();
     const summaryPath = path.join(resultsDir, 'summary.json');
@@ -335,6 +484,9 @@ async function main() {
         configPath,
         baseSeed,
         boardSize,
+        opening,
+        startPositions: startPositions.map(position => position.source),
+        useWorkers,
         description: config.description || 'Benchmark run',
         agents: Object.fromEntries(
             Object.entries(agentCatalog).map(([key, agent]) => [
@@ -343,7 +495,8 @@ async function main() {
                     label: agent.label,
                     difficulty: agent.difficulty,
                     profile: agent.profile,
-                    description: agent.description ?? null
+                    description: agent.description ?? null,
+                    openingBook: agent.openingBook
                 }
             ])
         )
@@ -365,7 +518,7 @@ async function main() {
         const latency = stat.metrics ? `${stat.metrics.averageDurationMs.toFixed(2)}ms` : 'n/a';
         const blackLabel = formatAgentLabel(stat.blackAgent);
         const whiteLabel = formatAgentLabel(stat.whiteAgent);
-        return `${stat.id}: ${blackLabel} vs ${whiteLabel} games=${stat.gamesPlayed} black=${stat.blackWins} white=${stat.whiteWins} draws=${stat.draws} avgMoves=${stat.averageMoves} avgLatency=${latency}`;
+        return `${stat.id}: ${blackLabel} vs ${whiteLabel} games=${stat.gamesPlayed} black=${stat.blackWins} white=${stat.whiteWins} draws=${stat.draws} duplicates=${stat.duplicateGames} avgMoves=${stat.averageMoves} avgLatency=${latency}`;
     });
 
     console.log(`Benchmark summary written to ${summaryPath}`);
@@ -6,7 +6,10 @@ import { fileURLToPath } from 'url';
 
 import AIPlayer from '../../ai-player.js';
 import { GomokuEngine } from '../../src/engine/game.js';
+import { otherSeat } from '../../src/engine/opening.js';
+import { canonicalizeMoves } from '../../src/engine/symmetry.js';
 import { BLACK, WHITE, BOARD_SIZE } from '../../config.js';
+import { loadStartPositions, applyStartPosition } from './start-positions.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -48,8 +51,8 @@ function deriveSeed(baseSeed, pairingIndex, gameIndex) {
     return baseSeed + offset;
 }
 
-function playGame({ boardSize, blackDifficulty, whiteDifficulty, seed }) {
-    const engine = new GomokuEngine({ boardSize });
+function playGame({ boardSize, opening, startPosition, blackDifficulty, whiteDifficulty, seed }) {
+    const engine = new GomokuEngine({ boardSize, opening });
     const blackRng = createSeededRandom(seed * 2 + 1);
     const whiteRng = createSeededRandom(seed * 2 + 2);
 
@@ -58,24 +61,49 @@ function playGame({ boardSize, blackDifficulty, whiteDifficulty, seed }) {
         telemetryBuffer.push({ ...entry, player });
     };
 
-    const blackAI = new AIPlayer(blackDifficulty, BLACK, { random: blackRng, telemetry: recordTelemetry('black') });
-    const whiteAI = new AIPlayer(whiteDifficulty, WHITE, { random: whiteRng, telemetry: recordTelemetry('white') });
+    const blackAI = new AIPlayer(blackDifficulty, BLACK, { random: blackRng, telemetry: recordTelemetry('black'), boardSize });
+    const whiteAI = new AIPlayer(whiteDifficulty, WHITE, { random: whiteRng, telemetry: recordTelemetry('white'), boardSize });
+
+    if (startPosition) {
+        applyStartPosition(engine, startPosition);
+    }
 
     const maxMoves = boardSize * boardSize;
-    let moves = 0;
+    let moves = engine.getMoveHistory().length;
 
     const finalize = (result, moveCount) => {
         const telemetry = telemetryBuffer.map((entry, index) => ({
             ...entry,
             moveIndex: entry.moveIndex ?? index
         }));
-        return { result, moves: moveCount, telemetry };
+        // The full move list, start position included, lets the opening book builder replay the game.
+        const history = engine.getMoveHistory().map(({ row, col, player }) => ({ row, col, player }));
+        return { result, moves: moveCount, telemetry, history, openingChoices: engine.toJSON().openingChoices };
     };
 
+    // The configured black agent opens; swap protocols may hand it the white stones later.
+    const seats = { first: blackAI, second: whiteAI };
+
     while (!engine.isGameOver() && moves < maxMoves) {
+        const opening = engine.getOpeningState();
+        if (opening.phase === 'choice') {
+            const choice = seats[opening.seat].chooseOpening(engine.getBoard(), opening.choices);
+            const chosen = engine.chooseOpening(choice);
+            if (chosen.status === 'invalid') {
+                throw new Error(`Invalid opening choice "${choice}" (${chosen.reason})`);
+            }
+            continue;
+        }
+
         const currentPlayer = engine.getCurrentPlayer();
-        const agent = currentPlayer === BLACK ? blackAI : whiteAI;
-        const move = agent.makeMove(engine.getBoard());
+        let agent;
+        if (opening.phase === 'placement') {
+            agent = seats[opening.seat];
+        } else {
+            agent = currentPlayer === BLACK ? seats[opening.blackSeat] : seats[otherSeat(opening.blackSeat)];
+        }
+        agent.playerColor = currentPlayer;
+        const move = agent.makeMove(engine.getBoard(), { legalMoves: engine.getAvailableMoves({ vicinityOnly: false }) });
         if (!move) {
             throw new Error('AI returned no move');
         }
@@ -102,17 +130,20 @@ async function ensureResultDir() {
     return resultsDir;
 }
 
-function summarisePairing(pairing, baseSeed, boardSize, pairingIndex) {
+function summarisePairing(pairing, baseSeed, boardSize, pairingIndex, opening, startPositions) {
     const { id, black, white, games } = pairing;
+    const pairingBoardSize = Number(pairing.boardSize) || boardSize;
     const rounds = Math.max(1, Number(games) || 1);
     const stats = {
         id,
         black,
         white,
+        boardSize: pairingBoardSize,
         games: 0,
         blackWins: 0,
         whiteWins: 0,
         draws: 0,
+        duplicateGames: 0,
         totalMoves: 0,
         seeds: []
     };
@@ -124,15 +155,22 @@ function summarisePairing(pairing, baseSeed, boardSize, pairingIndex) {
         totalCandidateCount: 0,
         maxCandidateCount: 0,
         totalNodesEvaluated: 0,
-        maxNodesEvaluated: 0
+        maxNodesEvaluated: 0,
+        ttProbes: 0,
+        ttHits: 0
     };
 
     const gamesLog = [];
+    // Games already played in this pairing, keyed up to rotation and reflection.
+    const gameKeys = new Set();
 
     for (let gameIndex = 0; gameIndex < rounds; gameIndex += 1) {
         const seed = deriveSeed(baseSeed, pairingIndex, gameIndex);
+        const startPosition = startPositions.length > 0 ? startPositions[gameIndex % startPositions.length] : null;
         const outcome = playGame({
-            boardSize,
+            boardSize: pairingBoardSize,
+            opening,
+            startPosition,
             blackDifficulty: black,
             whiteDifficulty: white,
             seed
@@ -148,6 +186,12 @@ function summarisePairing(pairing, baseSeed, boardSize, pairingIndex) {
         } else {
             stats.draws += 1;
         }
+        const { key: gameKey } = canonicalizeMoves(outcome.history, pairingBoardSize);
+        if (gameKeys.has(gameKey)) {
+            stats.duplicateGames += 1;
+        } else {
+            gameKeys.add(gameKey);
+        }
 
         const telemetryEntries = Array.isArray(outcome.telemetry) ? outcome.telemetry : [];
         const enrichedTelemetry = telemetryEntries.map((entry, index) => ({
@@ -159,8 +203,11 @@ function summarisePairing(pairing, baseSeed, boardSize, pairingIndex) {
         gamesLog.push({
             index: gameIndex,
             seed,
+            startPosition: startPosition ? startPosition.source : null,
             result: outcome.result,
             moves: outcome.moves,
+            openingChoices: outcome.openingChoices,
+            history: outcome.history,
             telemetry: enrichedTelemetry
         });
 
@@ -184,6 +231,10 @@ function summarisePairing(pairing, baseSeed, boardSize, pairingIndex) {
                     telemetryTotals.maxNodesEvaluated = entry.nodesEvaluated;
                 }
             }
+            if (typeof entry.ttProbes === 'number') {
+                telemetryTotals.ttProbes += entry.ttProbes;
+                telemetryTotals.ttHits += entry.ttHits;
+            }
         }
     }
 
@@ -197,7 +248,10 @@ function summarisePairing(pairing, baseSeed, boardSize, pairingIndex) {
         averageCandidateCount: moveCount > 0 ? Number((telemetryTotals.totalCandidateCount / moveCount).toFixed(2)) : 0,
         maxCandidateCount: telemetryTotals.maxCandidateCount,
         averageNodesEvaluated: moveCount > 0 ? Number((telemetryTotals.totalNodesEvaluated / moveCount).toFixed(2)) : 0,
-        maxNodesEvaluated: telemetryTotals.maxNodesEvaluated
+        maxNodesEvaluated: telemetryTotals.maxNodesEvaluated,
+        transpositionHitRate: telemetryTotals.ttProbes > 0
+            ? Number((telemetryTotals.ttHits / telemetryTotals.ttProbes).toFixed(4))
+            : 0
     };
 
     return {
@@ -213,14 +267,19 @@ async function main() {
     const configPath = args.config ? path.resolve(process.cwd(), args.config) : defaultConfigPath;
     const config = await loadConfig(configPath);
     const boardSize = config.boardSize || BOARD_SIZE;
+    const opening = config.opening || 'none';
     const baseSeed = Number.isFinite(args.seed) ? args.seed : (config.baseSeed || Date.now());
+    // Games cycle through the start positions so tournament openings can seed self-play.
+    const startPositions = Array.isArray(config.startPositions)
+        ? await loadStartPositions(config.startPositions, projectRoot)
+        : [];
 
     const pairings = Array.isArray(config.pairings) && config.pairings.length > 0
         ? config.pairings
         : [{ id: 'default', black: 'medium', white: 'medium', games: 2 }];
 
     const summaries = pairings.map((pairing, index) => {
-        return summarisePairing({ ...pairing, id: pairing.id || `pairing-${index}` }, baseSeed, boardSize, index);
+        return summarisePairing({ ...pairing, id: pairing.id || `pairing-${index}` }, baseSeed, boardSize, index, opening, startPositions);
     });
 
     const resultsDir = await ensureResultDir();
@@ -230,6 +289,8 @@ async function main() {
         configPath,
         baseSeed,
         boardSize,
+        opening,
+        startPositions: startPositions.map(position => position.source),
         description: config.description || 'Benchmark run'
     };
 
@@ -245,7 +306,7 @@ async function main() {
     const reportLines = summaryData.map(stat => {
         const winRate = stat.games > 0 ? ((stat.blackWins + stat.whiteWins) / stat.games * 100).toFixed(1) : '0.0';
         const latency = stat.metrics ? `${stat.metrics.averageDurationMs.toFixed(2)}ms` : 'n/a';
-        return `${stat.id}: games=${stat.games} black=${stat.blackWins} white=${stat.whiteWins} draws=${stat.draws} avgMoves=${stat.averageMoves} avgLatency=${latency}`;
+        return `${stat.id}: games=${stat.games} black=${stat.blackWins} white=${stat.whiteWins} draws=${stat.draws} duplicates=${stat.duplicateGames} avgMoves=${stat.averageMoves} avgLatency=${latency}`;
     });
 
     console.log(`Benchmark summary written to ${summaryPath}`);
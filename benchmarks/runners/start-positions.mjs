@@ -0,0 +1,65 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+import {
+    detectGameFormat,
+    parsePsq,
+    parsePos,
+    parseRenLib,
+    listVariationLines,
+    recenterMoves,
+    FORMAT_PSQ,
+    FORMAT_POS,
+    FORMAT_RENLIB,
+    FORMAT_RECORD
+} from '../../src/engine/formats.js';
+import { parseGameRecord } from '../../src/engine/record.js';
+
+/**
+ * Read the `startPositions` files of a benchmark config. `.psq`, `.pos` and game record
+ * files give one position each; every line of a RenLib `.lib` library becomes its own position.
+ *
+ * @param {string[]} entries - File paths relative to `baseDir`.
+ * @returns {Promise<Array<{source: string, boardSize: ?number, moves: Array<{row: number, col: number}>}>>}
+ */
+export async function loadStartPositions(entries, baseDir) {
+    const positions = [];
+    for (const entry of entries) {
+        const filePath = path.resolve(baseDir, entry);
+        const format = detectGameFormat(filePath);
+        if (format === FORMAT_PSQ) {
+            const { boardSize, moves } = parsePsq(await fs.readFile(filePath, 'utf8'));
+            positions.push({ source: entry, boardSize, moves });
+        } else if (format === FORMAT_POS) {
+            const { moves } = parsePos(await fs.readFile(filePath));
+            positions.push({ source: entry, boardSize: null, moves });
+        } else if (format === FORMAT_RENLIB) {
+            const { boardSize, variations } = parseRenLib(await fs.readFile(filePath));
+            listVariationLines(variations).forEach((moves, index) => {
+                positions.push({ source: `${entry}#${index}`, boardSize, moves });
+            });
+        } else if (format === FORMAT_RECORD) {
+            const { headers, moves } = parseGameRecord(await fs.readFile(filePath, 'utf8'));
+            positions.push({ source: entry, boardSize: headers.BoardSize ? Number(headers.BoardSize) : null, moves });
+        } else {
+            throw new Error(`Unsupported start position file "${entry}"`);
+        }
+    }
+    return positions;
+}
+
+/**
+ * Play a start position onto a fresh engine, re-centring it when it was recorded on
+ * another board size.
+ */
+export function applyStartPosition(engine, position) {
+    const moves = position.boardSize
+        ? recenterMoves(position.moves, position.boardSize, engine.boardSize)
+        : position.moves;
+    moves.forEach((move, index) => {
+        const outcome = engine.applyMove(move.row, move.col);
+        if (outcome.status === 'invalid') {
+            throw new Error(`Start position ${position.source} has an illegal move at ${index + 1} (${outcome.reason})`);
+        }
+    });
+}
@@ -1,11 +1,14 @@
 /**
  * Shared configuration values and logging helpers for the Gomoku game.
  */
-export const BOARD_SIZE = 15; // Size of the game board (15x15)
+export const BOARD_SIZE = 15; // Default size of the game board (15x15)
+export const MIN_BOARD_SIZE = 9; // Smallest board offered in the UI
+export const MAX_BOARD_SIZE = 19; // Largest board offered in the UI
+export const WIN_LENGTH = 5; // Stones in a row needed to win (Connect-K variants change this)
 export const EMPTY = 0; // Represents an empty cell
 export const BLACK = 1; // Represents a black stone
 export const WHITE = 2; // Represents a white stone
-export const MAX_HISTORY = BOARD_SIZE * BOARD_SIZE; // Maximum number of moves to store in history
+export const MAX_HISTORY = MAX_BOARD_SIZE * MAX_BOARD_SIZE; // Maximum number of moves to store in history
 
 // Logging categories
 export const LOG_GAME = 'GAME';
@@ -1,11 +1,18 @@
 /**
  * Gomoku Game Logic
- * This script implements a basic Gomoku (Five in a Row) game.
+ * This script renders a Gomoku (Five in a Row) game on top of the headless GomokuEngine.
+ * The engine owns the board, turn order, history and results; this module only reacts to
+ * its events and forwards user input.
  */
 
 import AIPlayer from './ai-player.js';
+import { AIWorkerClient, isCancelledAIRequest } from './src/ai/ai-worker-client.js';
+import { listStrategies } from './src/ai/strategies.js';
 import {
     BOARD_SIZE,
+    MIN_BOARD_SIZE,
+    MAX_BOARD_SIZE,
+    WIN_LENGTH,
     EMPTY,
     BLACK,
     WHITE,
@@ -16,22 +23,58 @@ import {
     LOG_ERROR,
     log
 } from './config.js';
-import { determineWinningSequence as engineDetermineWinningSequence, checkDraw as engineCheckDraw } from './src/engine/game.js';
-
-// Game state variables
-let board = []; // 2D array representing the game board
-let currentPlayer = BLACK; // Current player (starts with Black)
-let gameOver = false; // Flag to indicate if the game has ended
-let moveHistory = [];
+import {
+    GomokuEngine,
+    EVENT_MOVE_APPLIED,
+    EVENT_MOVE_REJECTED,
+    EVENT_UNDONE,
+    EVENT_STATE_LOADED,
+    EVENT_RESET,
+    EVENT_GAME_OVER,
+    normalizeRules,
+    normalizeWinLength,
+    RULES_FREESTYLE,
+    VARIANT_GOMOKU
+} from './src/engine/game.js';
+import { OPENING_NONE, normalizeOpening } from './src/engine/opening.js';
+import { coordsToLabel, serializeGameRecord, createEngineFromRecord } from './src/engine/record.js';
+import { importGame, detectGameFormat, FORMAT_RECORD, FORMAT_PSQ, FORMAT_POS } from './src/engine/formats.js';
+import { encodeShareHash, createEngineFromShareHash } from './src/engine/share.js';
+import { serializeSavedGame, parseSavedGame } from './src/engine/saved-game.js';
+import { GameLibrary, buildLibraryEntry, describeLibraryResult, openIndexedDbLibraryBackend } from './src/engine/library.js';
+
+// Game settings; changing any of them replaces the engine
+let boardSize = BOARD_SIZE; // Width and height of the current board
+let ruleSet = RULES_FREESTYLE;
+let winLength = WIN_LENGTH;
+let openingProtocol = OPENING_NONE;
+
+// The single source of truth for board, turn, history and results
+let engine = null;
+let engineSubscriptions = [];
+
+// Cells currently highlighted on screen (view state only)
 let lastMove = null;
 let winningSequence = [];
+
 let humanPlayerColor = BLACK;
 let aiPlayerColor = WHITE;
 let systemThemeMediaQuery = null;
 let storageAvailable = true;
 let gameMode = 'human'; // 'human' or 'ai'
 let aiPlayer = null;
+let aiWorkerClient = null; // Runs the AI off the main thread where workers are available
+let aiWorkerUnavailable = false;
+let aiThinking = false;
+let aiRequestToken = 0; // Bumped to discard the answer of a search that is no longer wanted
 let aiDifficulty = 'easy';
+let humanSeat = 'first'; // Opening seat controlled by the human in AI mode
+
+// Saved game waiting for the player to resume or discard it
+let pendingSavedGame = null;
+let gameLibrary = null; // Finished games, once IndexedDB has opened
+let libraryEntryId = null; // Library entry of the current game, so a replayed finish updates it
+let libraryGameToken = 0; // Bumped per game so late library writes cannot attach to the next one
 
 let isReviewMode = false;
 let reviewIndex = 0;
@@ -42,13 +85,29 @@ const boardElement = document.getElementById('board');
 const statusContainer = document.getElementById('status');
 const statusMessageElement = document.getElementById('status-message');
 const statusIndicatorElement = document.getElementById('status-indicator');
+const aiProgressElement = document.getElementById('ai-progress');
 const newGameButton = document.getElementById('new-game');
 const undoButton = document.getElementById('undo');
+const redoButton = document.getElementById('redo');
+const exportButton = document.getElementById('export-game');
+const importButton = document.getElementById('import-game');
+const importFileInput = document.getElementById('import-file');
+const shareButton = document.getElementById('share-game');
+const resumePanel = document.getElementById('resume-game');
+const resumeMessageElement = document.getElementById('resume-game-message');
+const resumeButton = document.getElementById('resume-game-accept');
+const discardSavedButton = document.getElementById('resume-game-discard');
 const gameModeSelect = document.getElementById('game-mode');
 const aiOptionsDiv = document.getElementById('ai-options');
 const aiDifficultySelect = document.getElementById('ai-difficulty');
 const playerColorOptionsDiv = document.getElementById('player-color-options');
 const playerColorSelect = document.getElementById('player-color');
+const ruleSetSelect = document.getElementById('rule-set');
+const boardSizeSelect = document.getElementById('board-size');
+const winLengthSelect = document.getElementById('win-length');
+const openingSelect = document.getElementById('opening-protocol');
+const openingChoicePanel = document.getElementById('opening-choice');
+const openingChoiceButtons = openingChoicePanel ? Array.from(openingChoicePanel.querySelectorAll('button[data-choice]')) : [];
 
 const darkModeToggle = document.getElementById('dark-mode-toggle');
 const gridToggle = document.getElementById('grid-toggle');
@@ -58,10 +117,19 @@ const historyStepBackButton = document.getElementById('history-step-back');
 const historyPlayPauseButton = document.getElementById('history-play-pause');
 const historyStepForwardButton = document.getElementById('history-step-forward');
 const historyExitButton = document.getElementById('history-exit');
+const savedGamesPanel = document.getElementById('saved-games-panel');
+const savedGamesList = document.getElementById('saved-games-list');
+const savedGamesSearchInput = document.getElementById('saved-games-search');
+const savedGamesResultSelect = document.getElementById('saved-games-result');
+const savedGamesOpponentSelect = document.getElementById('saved-games-opponent');
 
 const THEME_STORAGE_KEY = 'gomoku-theme';
 const GRID_STORAGE_KEY = 'gomoku-grid-visible';
-const columnLabels = buildColumnLabels(BOARD_SIZE);
+const SAVED_GAME_STORAGE_KEY = 'gomoku-saved-game';
+const OPENING_RESTRICTION_MESSAGES = {
+    'opening-center-required': 'Opening rule: the first stone must be played in the center',
+    'opening-too-close': 'Opening rule: Black\'s second stone must be played further from the center'
+};
 
 function validateDomReferences() {
     const missingElements = [];
@@ -90,18 +158,45 @@ function validateDomReferences() {
     }
 }
 
+/**
+ * Create a fresh engine from the current settings and subscribe the view to it.
+ * Listeners on the previous engine are dropped so stale games never touch the DOM.
+ */
+function attachEngine() {
+    engineSubscriptions.forEach(unsubscribe => unsubscribe());
+    engine = new GomokuEngine({
+        boardSize,
+        rules: ruleSet,
+        winLength,
+        opening: openingProtocol,
+        maxHistory: MAX_HISTORY
+    });
+    engineSubscriptions = [
+        engine.on(EVENT_MOVE_APPLIED, handleMoveApplied),
+        engine.on(EVENT_MOVE_REJECTED, handleMoveRejected),
+        engine.on(EVENT_GAME_OVER, handleGameOver),
+        engine.on(EVENT_UNDONE, handleMovesUndone),
+        engine.on(EVENT_STATE_LOADED, handleStateLoaded),
+        engine.on(EVENT_RESET, handleEngineReset)
+    ];
+    log(LOG_GAME, 'Engine attached', { boardSize, rules: ruleSet, winLength, opening: openingProtocol });
+}
+
+function getMoveCount() {
+    return engine.getMoveHistory().length;
+}
+
 /**
  * Initialize the game board
- * Creates the visual board and sets up the data structure
+ * Creates the visual board for the current board size
  */
 function initializeBoard() {
     boardElement.innerHTML = '';
-    // Create a 2D array filled with EMPTY cells
-    board = Array(BOARD_SIZE).fill().map(() => Array(BOARD_SIZE).fill(EMPTY));
+    boardElement.style.setProperty('--board-size', String(boardSize));
 
     // Create the visual board using DOM elements
-    for (let i = 0; i < BOARD_SIZE; i++) {
-        for (let j = 0; j < BOARD_SIZE; j++) {
+    for (let i = 0; i < boardSize; i++) {
+        for (let j = 0; j < boardSize; j++) {
             const cell = document.createElement('div');
             cell.className = 'cell';
             cell.dataset.row = i;
@@ -110,114 +205,377 @@ function initializeBoard() {
             boardElement.appendChild(cell);
         }
     }
-    log(LOG_GAME, 'Board initialized', { boardSize: BOARD_SIZE });
+    log(LOG_GAME, 'Board initialized', { boardSize });
 }
 
 /**
  * Handle a cell click event on the game board
  * This function is called every time a player clicks on a cell
- * 
+ *
  * @param {Event} event - The click event object
  */
 function handleCellClick(event) {
-    if (gameOver || isReviewMode || (gameMode === 'ai' && currentPlayer !== humanPlayerColor)) return;
+    if (engine.isGameOver() || isReviewMode || isAITurn()) return;
 
     const row = parseInt(event.target.dataset.row);
     const col = parseInt(event.target.dataset.col);
 
-    log(LOG_MOVE, 'Cell clicked', { row, col, currentPlayer });
+    log(LOG_MOVE, 'Cell clicked', { row, col, currentPlayer: engine.getCurrentPlayer() });
+
+    if (makeMove(row, col).status === 'invalid') {
+        return;
+    }
+
+    if (isAITurn()) {
+        // AI's turn
+        scheduleAIMove(500); // Add a small delay for better UX
+    }
+}
+
+/**
+ * Opening progress as reported by the engine.
+ */
+function getOpeningStatus() {
+    return engine.getOpeningState();
+}
 
-    if (board[row][col] === EMPTY) {
-        makeMove(row, col);
+/**
+ * Whether the AI should act next, either as the colour it controls or as the seat
+ * responsible for the current opening step.
+ */
+function isAITurn() {
+    if (gameMode !== 'ai' || engine.isGameOver()) {
+        return false;
+    }
+    const opening = getOpeningStatus();
+    if (opening.phase !== 'complete') {
+        return opening.seat !== humanSeat;
+    }
+    return engine.getCurrentPlayer() === aiPlayerColor;
+}
 
-        if (!gameOver && gameMode === 'ai') {
-            // AI's turn
-            setTimeout(makeAIMove, 500); // Add a small delay for better UX
+function scheduleAIMove(delay) {
+    setTimeout(() => {
+        if (!isReviewMode && isAITurn()) {
+            makeAIMove();
         }
+    }, delay);
+}
+
+/**
+ * Map the opening seats onto stone colours once the protocol has settled them.
+ */
+function syncSeatColors() {
+    const opening = getOpeningStatus();
+    if (opening.phase !== 'complete') {
+        return;
+    }
+    humanPlayerColor = opening.blackSeat === humanSeat ? BLACK : WHITE;
+    aiPlayerColor = humanPlayerColor === BLACK ? WHITE : BLACK;
+    if (aiPlayer) {
+        aiPlayer.playerColor = aiPlayerColor;
+    }
+}
+
+function describeSeat(seat) {
+    if (gameMode === 'ai') {
+        return seat === humanSeat ? 'You' : 'AI';
     }
+    return seat === 'first' ? 'First player' : 'Second player';
 }
 
 /**
- * Makes a move for the AI player.
+ * Record a colour choice offered by the Swap / Swap2 opening.
+ * @param {string} choice - One of the options listed by the opening state.
  */
-function makeAIMove() {
-    if (!aiPlayer || gameOver || isReviewMode || currentPlayer !== aiPlayerColor) {
+function applyOpeningChoice(choice) {
+    const outcome = engine.chooseOpening(choice);
+    if (outcome.status === 'invalid') {
+        return;
+    }
+    syncSeatColors();
+    log(LOG_GAME, 'Opening choice made', { choice, seat: outcome.seat });
+    updateStatus();
+    persistGame();
+
+    if (isAITurn()) {
+        scheduleAIMove(500);
+    }
+}
+
+function handleOpeningChoiceClick(event) {
+    if (isAITurn() || isReviewMode) {
+        return;
+    }
+    applyOpeningChoice(event.currentTarget.dataset.choice);
+}
+
+function renderOpeningChoice() {
+    if (!openingChoicePanel) {
         return;
     }
+    const opening = getOpeningStatus();
+    const visible = !isReviewMode && !engine.isGameOver() && opening.phase === 'choice' && !isAITurn();
+    openingChoicePanel.hidden = !visible;
+    openingChoiceButtons.forEach(button => {
+        button.hidden = !opening.choices.includes(button.dataset.choice);
+    });
+}
+
+/**
+ * Create the AI opponent for a new game, in a worker when the browser supports one.
+ */
+function createAIPlayer() {
+    if (!aiWorkerUnavailable && typeof window.Worker === 'function') {
+        if (!aiWorkerClient) {
+            aiWorkerClient = new AIWorkerClient();
+        }
+        return aiWorkerClient.createPlayer(aiDifficulty, aiPlayerColor, { boardSize, winLength, rules: ruleSet });
+    }
+    return new AIPlayer(aiDifficulty, aiPlayerColor, { boardSize, winLength, rules: ruleSet });
+}
 
-    log(LOG_AI, 'AI is making a move', { difficulty: aiPlayer.difficulty, aiColor: aiPlayerColor === BLACK ? 'black' : 'white' });
-    const move = aiPlayer.makeMove(board);
-    if (move) {
-        makeMove(move.row, move.col);
+function releaseAIPlayer() {
+    cancelAIMove();
+    if (aiPlayer && aiWorkerClient && !(aiPlayer instanceof AIPlayer)) {
+        aiWorkerClient.releasePlayer(aiPlayer);
     }
+    aiPlayer = null;
 }
 
 /**
- * Makes a move in the game by placing a stone at the specified row and column.
- * Updates the game status and checks for a win or draw.
+ * Show or hide the thinking indicator while a search runs.
+ */
+function setAIThinking(thinking) {
+    aiThinking = thinking;
+    if (statusContainer) {
+        statusContainer.dataset.thinking = thinking ? 'true' : 'false';
+        statusContainer.setAttribute('aria-busy', thinking ? 'true' : 'false');
+    }
+    if (aiProgressElement) {
+        aiProgressElement.hidden = !thinking;
+        // No value keeps the bar indeterminate until the search reports progress.
+        aiProgressElement.removeAttribute('value');
+    }
+}
+
+function renderAIProgress(progress) {
+    if (!aiThinking || !aiProgressElement || !progress || !progress.total) {
+        return;
+    }
+    aiProgressElement.value = progress.completed / progress.total;
+}
+
+/**
+ * Drop the search in progress, if any. The worker is stopped so it does not keep computing.
+ */
+function cancelAIMove() {
+    aiRequestToken += 1;
+    if (!aiThinking) {
+        return;
+    }
+    setAIThinking(false);
+    if (aiWorkerClient) {
+        aiWorkerClient.cancel();
+    }
+    log(LOG_AI, 'AI move cancelled');
+}
+
+/**
+ * Makes a move for the AI player. The search runs in the worker, so the page stays
+ * responsive; anything that changes the game meanwhile cancels it.
+ */
+async function makeAIMove() {
+    if (!aiPlayer || aiThinking || engine.isGameOver() || isReviewMode || !isAITurn()) {
+        return;
+    }
+
+    const player = aiPlayer;
+    const token = aiRequestToken;
+    const opening = getOpeningStatus();
+    const board = engine.getBoardSnapshot();
+    setAIThinking(true);
+
+    let answer;
+    try {
+        if (opening.phase === 'choice') {
+            answer = await player.chooseOpening(board, opening.choices);
+        } else {
+            // During opening placement the AI may be laying down stones of either colour.
+            player.playerColor = opening.phase === 'placement' ? engine.getCurrentPlayer() : aiPlayerColor;
+            log(LOG_AI, 'AI is making a move', { difficulty: player.difficulty, aiColor: player.playerColor === BLACK ? 'black' : 'white' });
+            answer = await player.makeMove(board, {
+                legalMoves: engine.getAvailableMoves({ vicinityOnly: false }),
+                onProgress: renderAIProgress
+            });
+        }
+    } catch (error) {
+        if (isCancelledAIRequest(error) || token !== aiRequestToken) {
+            return;
+        }
+        setAIThinking(false);
+        if (!(player instanceof AIPlayer)) {
+            // The worker could not run (e.g. module workers unsupported); play on the main thread instead.
+            log(LOG_ERROR, 'AI worker unavailable, falling back to the main thread', { error: error.message });
+            aiWorkerUnavailable = true;
+            aiPlayer = new AIPlayer(player.difficulty, aiPlayerColor, { boardSize, winLength, rules: ruleSet });
+            scheduleAIMove(0);
+            return;
+        }
+        setStatus(`The AI could not move: ${error.message}`, 'neutral');
+        log(LOG_ERROR, 'AI move failed', { error: error.message });
+        return;
+    }
+
+    if (token !== aiRequestToken) {
+        return;
+    }
+    setAIThinking(false);
+    if (opening.phase === 'choice') {
+        applyOpeningChoice(answer);
+        return;
+    }
+    if (answer) {
+        makeMove(answer.row, answer.col);
+        if (isAITurn()) {
+            scheduleAIMove(500);
+        }
+    }
+}
+
+/**
+ * Ask the engine to place a stone for the current player.
+ * The board, history and status are redrawn from the engine's events.
  *
  * @param {number} row - The row index of the move.
  * @param {number} col - The column index of the move.
- * @returns {void}
+ * @returns {Object} The engine outcome (`continue`, `win`, `draw` or `invalid`).
  */
 function makeMove(row, col) {
-    placeStone(row, col);
-    saveMove(row, col);
+    return engine.applyMove(row, col);
+}
+
+function handleMoveApplied({ move }) {
+    // Playing on means the new game replaces the one offered for resuming.
+    if (pendingSavedGame) {
+        hideSavedGameOffer();
+    }
+    const cell = updateCellAppearance(move.row, move.col, move.player);
+    if (cell) {
+        cell.classList.add('placed');
+        setTimeout(() => {
+            cell.classList.remove('placed');
+        }, 320);
+    }
+    highlightLastMove(move.row, move.col);
 
     if (!isReviewMode) {
-        reviewIndex = moveHistory.length;
+        reviewIndex = getMoveCount();
     }
+    updateUndoButton();
     renderMoveHistory();
     updateReviewControlsState();
+    persistGame();
 
-    log(LOG_MOVE, 'Move made', { player: currentPlayer, row, col });
-
-    const hasWon = checkWin(row, col);
-    if (hasWon) {
-        gameOver = true;
-        highlightWinningSequence(winningSequence);
-        const winningPlayer = currentPlayer === BLACK ? 'Black' : 'White';
-        setStatus(`Player ${winningPlayer} wins!`, currentPlayer === BLACK ? 'black' : 'white');
-        log(LOG_GAME, 'Game ended', { winner: winningPlayer });
-    } else if (checkDraw()) {
-        gameOver = true;
-        setStatus('It\'s a draw!', 'neutral');
-        log(LOG_GAME, 'Game ended in a draw');
-    } else {
-        currentPlayer = currentPlayer === BLACK ? WHITE : BLACK;
+    log(LOG_MOVE, 'Move made', { player: move.player, row: move.row, col: move.col });
+
+    if (!engine.isGameOver()) {
         updateStatus();
     }
 }
 
+function handleMoveRejected({ move, player, reason }) {
+    const message = OPENING_RESTRICTION_MESSAGES[reason];
+    if (message) {
+        setStatus(message, player === BLACK ? 'black' : 'white');
+    }
+    log(LOG_MOVE, 'Move rejected', { row: move.row, col: move.col, reason });
+}
+
 /**
- * Check for a win condition
- * @param {number} row - The row of the last placed stone
- * @param {number} col - The column of the last placed stone
- * @returns {boolean} True if the move creates a five-stone line, false otherwise
+ * Show the final result in the status banner.
+ * @param {?number} winner - Winning colour, or null for a draw.
  */
-function checkWin(row, col) {
-    const result = engineDetermineWinningSequence(board, row, col);
-    if (result) {
-        winningSequence = result.sequence.map(position => ({ row: position.row, col: position.col }));
-        log(LOG_GAME, 'Win condition met', { row, col, direction: result.direction, sequence: winningSequence });
-        return true;
+function announceResult(winner) {
+    if (winner === null) {
+        setStatus('It\'s a draw!', 'neutral');
+        return;
     }
+    const winningPlayer = winner === BLACK ? 'Black' : 'White';
+    setStatus(`Player ${winningPlayer} wins!`, winner === BLACK ? 'black' : 'white');
+}
 
-    winningSequence = [];
-    return false;
+function handleGameOver(outcome) {
+    if (outcome.status === 'win') {
+        highlightWinningSequence(outcome.winningSequence);
+        announceResult(outcome.player);
+        log(LOG_GAME, 'Game ended', { winner: outcome.player === BLACK ? 'Black' : 'White', sequence: outcome.winningSequence });
+    } else {
+        announceResult(null);
+        log(LOG_GAME, 'Game ended in a draw');
+    }
+    renderOpeningChoice();
+    storeFinishedGame();
 }
 
-/**
- * Check for a draw condition
- * @returns {boolean} True if the game is a draw, false otherwise
- */
-function checkDraw() {
-    const isDraw = engineCheckDraw(board);
-    if (isDraw) {
-        log(LOG_GAME, 'Draw condition met');
+function handleMovesUndone({ moves }) {
+    cancelAIMove();
+    clearWinningHighlight();
+    syncSeatColors();
+    updateBoard();
+    updateStatus();
+    updateUndoButton();
+    reviewIndex = getMoveCount();
+    renderMoveHistory();
+    updateReviewControlsState();
+    persistGame();
+
+    log(LOG_MOVE, 'Move(s) undone', { undoneMovesCount: moves.length });
+}
+
+function handleStateLoaded() {
+    libraryEntryId = null;
+    libraryGameToken += 1;
+    cancelAIMove();
+    stopReplay({ updateButton: false });
+    isReviewMode = false;
+    clearWinningHighlight();
+    syncSeatColors();
+    updateBoard();
+    reviewIndex = getMoveCount();
+    updateUndoButton();
+    renderMoveHistory();
+    updateReviewControlsState();
+    persistGame();
+
+    if (engine.isGameOver()) {
+        const lastPlaced = engine.getLastMove();
+        announceResult(engine.getWinningSequence().length > 0 && lastPlaced ? lastPlaced.player : null);
+        renderOpeningChoice();
+    } else {
+        updateStatus();
     }
-    return isDraw;
+    log(LOG_GAME, 'Game state loaded', { moveCount: getMoveCount() });
+}
+
+function handleEngineReset() {
+    clearWinningHighlight();
+    lastMove = null;
+    libraryEntryId = null;
+    libraryGameToken += 1;
+    cancelAIMove();
+
+    // Remove stone classes and highlights from all cells
+    document.querySelectorAll('.cell').forEach(cell => {
+        cell.classList.remove('black', 'white', 'last-move', 'winning', 'placed');
+    });
+
+    updateUndoButton();
+    renderMoveHistory();
+    updateReviewControlsState();
+    persistGame();
 }
+
 function setStatus(message, indicatorState = 'neutral') {
     if (statusMessageElement) {
         statusMessageElement.textContent = message;
@@ -235,14 +593,25 @@ function setStatus(message, indicatorState = 'neutral') {
  */
 function updateStatus() {
     if (isReviewMode) {
+        renderOpeningChoice();
         renderReviewStatus();
         return;
     }
 
     let message;
     let indicatorState;
-
-    if (gameMode === 'human') {
+    const currentPlayer = engine.getCurrentPlayer();
+    const opening = getOpeningStatus();
+    renderOpeningChoice();
+
+    if (opening.phase === 'placement') {
+        const colorName = currentPlayer === BLACK ? 'black' : 'white';
+        message = `Opening: ${describeSeat(opening.seat)} - place a ${colorName} stone`;
+        indicatorState = isAITurn() ? 'ai' : colorName;
+    } else if (opening.phase === 'choice') {
+        message = `Opening: ${describeSeat(opening.seat)} - choose a color`;
+        indicatorState = isAITurn() ? 'ai' : 'neutral';
+    } else if (gameMode === 'human') {
         const playerName = currentPlayer === BLACK ? 'Black' : 'White';
         message = `Current player: ${playerName}`;
         indicatorState = currentPlayer === BLACK ? 'black' : 'white';
@@ -278,80 +647,39 @@ function resetGame() {
         humanPlayerColor = playerColorSelect.value === 'white' ? WHITE : BLACK;
     }
     aiPlayerColor = humanPlayerColor === BLACK ? WHITE : BLACK;
+    humanSeat = humanPlayerColor === BLACK ? 'first' : 'second';
 
-    clearWinningHighlight();
-
-    // Reset the game board to all empty cells
-    board = Array(BOARD_SIZE).fill().map(() => Array(BOARD_SIZE).fill(EMPTY));
-
-    // Set Black as the starting player
-    currentPlayer = BLACK;
-
-    // Reset the game over flag
-    gameOver = false;
-
-    // Clear the move history
-    moveHistory = [];
-
-    // Reset the lastMove reference
-    lastMove = null;
-
-    // Remove stone classes and highlights from all cells
-    document.querySelectorAll('.cell').forEach(cell => {
-        cell.classList.remove('black', 'white', 'last-move', 'winning', 'placed');
-    });
-
-    // Update the state of the Undo button
-    updateUndoButton();
+    // Clears the board, history and highlights through the reset event
+    engine.reset();
 
+    releaseAIPlayer();
     if (gameMode === 'ai') {
-        aiPlayer = new AIPlayer(aiDifficulty, aiPlayerColor);
-        if (currentPlayer === aiPlayerColor) {
-            setTimeout(() => {
-                if (!gameOver && currentPlayer === aiPlayerColor) {
-                    makeAIMove();
-                }
-            }, 300);
+        aiPlayer = createAIPlayer();
+        if (isAITurn()) {
+            scheduleAIMove(300);
         }
-    } else {
-        aiPlayer = null;
     }
 
     // Update the game status display
     updateStatus();
 
-    renderMoveHistory();
-    updateReviewControlsState();
-
     log(LOG_GAME, 'Game reset', {
         gameMode,
+        boardSize,
+        winLength,
+        rules: ruleSet,
+        opening: openingProtocol,
         aiDifficulty,
         humanColor: humanPlayerColor === BLACK ? 'black' : 'white'
     });
 }
 
 /**
- * Save the current move to history
- * @param {number} row - The row of the placed stone
- * @param {number} col - The column of the placed stone
- */
-function saveMove(row, col) {
-    moveHistory.push({ row, col, player: currentPlayer });
-
-    // Limit the history size
-    if (moveHistory.length > MAX_HISTORY) {
-        moveHistory.shift();
-    }
-
-    updateUndoButton();
-    log(LOG_MOVE, 'Move saved to history', { row, col, player: currentPlayer });
-}
-
-/**
- * Undo the last move
+ * Undo the last move, or the last human/AI pair in AI mode
  */
 function undo() {
-    if (moveHistory.length === 0) {
+    const history = engine.getMoveHistory();
+    if (history.length === 0) {
         return;
     }
 
@@ -361,132 +689,112 @@ function undo() {
         stopReplay({ updateButton: false });
     }
 
-    clearWinningHighlight();
-
-    const removedMoves = [];
-
-    const undoSingleMove = () => {
-        const entry = moveHistory.pop();
-        board[entry.row][entry.col] = EMPTY;
-        const cell = document.querySelector(`.cell[data-row="${entry.row}"][data-col="${entry.col}"]`);
-        if (cell) {
-            cell.classList.remove('black', 'white', 'last-move', 'winning', 'placed');
+    let steps = 1;
+    if (gameMode === 'ai') {
+        const colors = new Set([history[history.length - 1].player]);
+        while (colors.size < 2 && steps < history.length) {
+            colors.add(history[history.length - 1 - steps].player);
+            steps += 1;
         }
-        removedMoves.push(entry);
-    };
-
-    undoSingleMove();
+    }
+    engine.undoLastMove(steps);
 
-    if (gameMode === 'ai' && moveHistory.length > 0) {
-        const colors = new Set(removedMoves.map(move => move.player));
-        while (colors.size < 2 && moveHistory.length > 0) {
-            undoSingleMove();
-            colors.add(removedMoves[removedMoves.length - 1].player);
-        }
+    if (isAITurn()) {
+        scheduleAIMove(300);
     }
+}
 
-    lastMove = moveHistory.length > 0 ? moveHistory[moveHistory.length - 1] : null;
+/**
+ * Replay the most recently undone line; in AI mode, continue until the human is to move again
+ */
+function redo() {
+    if (!engine.canRedo()) {
+        return;
+    }
 
-    if (lastMove) {
-        highlightLastMove(lastMove.row, lastMove.col);
-        currentPlayer = lastMove.player === BLACK ? WHITE : BLACK;
+    if (isReviewMode) {
+        exitReviewMode();
     } else {
-        currentPlayer = BLACK;
+        stopReplay({ updateButton: false });
     }
 
-    gameOver = false;
-    winningSequence = [];
-    updateBoard();
-    updateStatus();
-    updateUndoButton();
-    reviewIndex = moveHistory.length;
-    renderMoveHistory();
-    updateReviewControlsState();
-
-    log(LOG_MOVE, 'Move(s) undone', { undoneMovesCount: removedMoves.length });
+    engine.redoMove();
+    while (isAITurn() && engine.canRedo()) {
+        engine.redoMove();
+    }
+    log(LOG_MOVE, 'Move(s) redone', { moveCount: getMoveCount() });
 
-    if (!gameOver && gameMode === 'ai' && currentPlayer === aiPlayerColor) {
-        setTimeout(() => {
-            if (!gameOver && currentPlayer === aiPlayerColor) {
-                makeAIMove();
-            }
-        }, 300);
+    if (isAITurn()) {
+        scheduleAIMove(300);
     }
 }
 
 
 /**
- * Update the visual board based on the current game state
+ * Redraw every cell from a board snapshot.
+ * @param {{board: number[][], lastMove: ?Object, winningSequence: Array}} [view] - Defaults to the live engine state.
  */
-function updateBoard() {
+function updateBoard(view = null) {
+    const snapshot = view || {
+        board: engine.getBoard(),
+        lastMove: engine.getLastMove(),
+        winningSequence: engine.getWinningSequence()
+    };
     const cells = document.querySelectorAll('.cell');
     document.querySelectorAll('.cell.last-move').forEach(cell => cell.classList.remove('last-move'));
     cells.forEach((cell, index) => {
-        const row = Math.floor(index / BOARD_SIZE);
-        const col = index % BOARD_SIZE;
+        const row = Math.floor(index / boardSize);
+        const col = index % boardSize;
         cell.classList.remove('black', 'white', 'winning', 'placed');
-        if (board && board[row] && board[row][col] === BLACK) {
+        if (snapshot.board[row][col] === BLACK) {
             cell.classList.add('black');
-        } else if (board && board[row] && board[row][col] === WHITE) {
+        } else if (snapshot.board[row][col] === WHITE) {
             cell.classList.add('white');
         }
     });
 
-    if (winningSequence.length > 0) {
-        winningSequence.forEach(position => {
-            const cell = document.querySelector(`.cell[data-row="${position.row}"][data-col="${position.col}"]`);
-            if (cell) {
-                cell.classList.add('winning');
-            }
-        });
-    }
+    winningSequence = snapshot.winningSequence.map(position => ({ row: position.row, col: position.col }));
+    winningSequence.forEach(position => {
+        const cell = document.querySelector(`.cell[data-row="${position.row}"][data-col="${position.col}"]`);
+        if (cell) {
+            cell.classList.add('winning');
+        }
+    });
 
-    if (lastMove) {
-        highlightLastMove(lastMove.row, lastMove.col);
+    lastMove = null;
+    if (snapshot.lastMove) {
+        highlightLastMove(snapshot.lastMove.row, snapshot.lastMove.col);
     }
 
     log(LOG_GAME, 'Board visually updated');
 }
 
 /**
- * Update the state of Undo button
+ * Update the state of the Undo and Redo buttons
  */
 function updateUndoButton() {
-    undoButton.disabled = moveHistory.length === 0;
-    log(LOG_GAME, 'Undo button state updated', { enabled: moveHistory.length > 0 });
-}
-
-/**
- * Place a stone on the board and update the game state
- * @param {number} row - The row where the stone is placed
- * @param {number} col - The column where the stone is placed
- */
-function placeStone(row, col) {
-    board[row][col] = currentPlayer;
-    const cell = updateCellAppearance(row, col);
-    if (cell) {
-        cell.classList.add('placed');
-        setTimeout(() => {
-            cell.classList.remove('placed');
-        }, 320);
+    const moveCount = getMoveCount();
+    undoButton.disabled = moveCount === 0;
+    if (redoButton) {
+        redoButton.disabled = !engine.canRedo();
     }
-    highlightLastMove(row, col);
-    log(LOG_MOVE, 'Stone placed', { player: currentPlayer, row, col });
+    log(LOG_GAME, 'Undo button state updated', { enabled: moveCount > 0, redo: engine.canRedo() });
 }
 
 /**
  * Update the appearance of a cell on the board
  * @param {number} row - The row of the cell to update
  * @param {number} col - The column of the cell to update
+ * @param {number} player - The colour of the stone now on the cell
  */
-function updateCellAppearance(row, col) {
+function updateCellAppearance(row, col, player) {
     const cell = document.querySelector(`.cell[data-row="${row}"][data-col="${col}"]`);
     if (!cell) {
         log(LOG_ERROR, 'Attempted to update a missing cell', { row, col });
         return null;
     }
-    cell.classList.add(currentPlayer === BLACK ? 'black' : 'white');
-    log(LOG_GAME, 'Cell appearance updated', { row, col, player: currentPlayer });
+    cell.classList.add(player === BLACK ? 'black' : 'white');
+    log(LOG_GAME, 'Cell appearance updated', { row, col, player });
     return cell;
 }
 
@@ -613,6 +921,297 @@ function readSetting(key) {
     }
 }
 
+function clearSetting(key) {
+    if (!storageAvailable) {
+        return;
+    }
+    try {
+        window.localStorage.removeItem(key);
+    } catch (error) {
+        storageAvailable = false;
+        log(LOG_ERROR, 'Failed to clear setting', { key, error: error.message });
+    }
+}
+
+/**
+ * Save the game in progress so a reload can resume it. Finished and empty games clear the
+ * saved copy; nothing is written while a previous game is still waiting to be resumed.
+ */
+function saveGameProgress() {
+    if (!storageAvailable || pendingSavedGame) {
+        return;
+    }
+    if (getMoveCount() === 0 || engine.isGameOver()) {
+        clearSetting(SAVED_GAME_STORAGE_KEY);
+        return;
+    }
+    persistSetting(SAVED_GAME_STORAGE_KEY, serializeSavedGame(engine, {
+        gameMode,
+        aiDifficulty,
+        humanColor: humanSeat === 'first' ? 'black' : 'white',
+        reviewIndex: isReviewMode ? reviewIndex : null
+    }));
+}
+
+/**
+ * Read the game saved by a previous visit. Unreadable or outdated saves are dropped.
+ * @returns {?Object} The parsed saved game, or null.
+ */
+function readSavedGame() {
+    const stored = readSetting(SAVED_GAME_STORAGE_KEY);
+    if (!stored || !resumePanel) {
+        return null;
+    }
+    try {
+        return parseSavedGame(stored, { maxHistory: MAX_HISTORY });
+    } catch (error) {
+        log(LOG_ERROR, 'Discarding unreadable saved game', { error: error.message });
+        clearSetting(SAVED_GAME_STORAGE_KEY);
+        return null;
+    }
+}
+
+/**
+ * Offer to resume `pendingSavedGame`, if there is one.
+ */
+function offerSavedGame() {
+    if (!pendingSavedGame) {
+        return;
+    }
+    const { engine: saved, gameMode: savedMode, aiDifficulty: savedDifficulty, savedAt } = pendingSavedGame;
+    const opponent = savedMode === 'ai' ? `vs AI (${savedDifficulty})` : 'Human vs Human';
+    const when = savedAt ? ` from ${savedAt.toLocaleString()}` : '';
+    if (resumeMessageElement) {
+        resumeMessageElement.textContent = `Resume your unfinished game${when}? ${opponent}, ${saved.getMoveHistory().length} moves.`;
+    }
+    resumePanel.hidden = false;
+}
+
+function hideSavedGameOffer() {
+    pendingSavedGame = null;
+    if (resumePanel) {
+        resumePanel.hidden = true;
+    }
+}
+
+function resumeSavedGame() {
+    const saved = pendingSavedGame;
+    if (!saved) {
+        return;
+    }
+    hideSavedGameOffer();
+    try {
+        const options = [
+            findSettingOption(gameModeSelect, saved.gameMode, 'game mode'),
+            findSettingOption(aiDifficultySelect, saved.aiDifficulty, 'AI difficulty'),
+            findSettingOption(playerColorSelect, saved.humanColor, 'player color')
+        ];
+        options.filter(Boolean).forEach(option => {
+            option.selected = true;
+        });
+        gameMode = saved.gameMode;
+        aiDifficulty = saved.aiDifficulty;
+        humanPlayerColor = saved.humanColor === 'white' ? WHITE : BLACK;
+        loadImportedEngine(saved.engine);
+    } catch (error) {
+        setStatus(`Could not resume the saved game: ${error.message}`, 'neutral');
+        log(LOG_ERROR, 'Failed to resume saved game', { error: error.message });
+        clearSetting(SAVED_GAME_STORAGE_KEY);
+        return;
+    }
+    if (saved.reviewIndex !== null) {
+        enterReviewMode(saved.reviewIndex);
+    } else if (isAITurn()) {
+        scheduleAIMove(300);
+    }
+    log(LOG_GAME, 'Saved game resumed', { moveCount: getMoveCount(), gameMode, aiDifficulty });
+}
+
+function discardSavedGame() {
+    hideSavedGameOffer();
+    clearSetting(SAVED_GAME_STORAGE_KEY);
+    log(LOG_GAME, 'Saved game discarded');
+}
+
+/**
+ * Open the saved-games library. Browsers without IndexedDB simply do not get the panel.
+ */
+async function initializeGameLibrary() {
+    if (!savedGamesPanel || !savedGamesList) {
+        return;
+    }
+    try {
+        gameLibrary = new GameLibrary(await openIndexedDbLibraryBackend(window.indexedDB));
+    } catch (error) {
+        savedGamesPanel.hidden = true;
+        log(LOG_ERROR, 'Saved games library unavailable', { error: error.message });
+        return;
+    }
+    await renderSavedGames();
+}
+
+/**
+ * Add the game that just ended to the library. Undoing the finish and ending the game again
+ * replaces the same entry instead of adding another one.
+ */
+async function storeFinishedGame() {
+    if (!gameLibrary) {
+        return;
+    }
+    const token = libraryGameToken;
+    const entry = buildLibraryEntry(engine, {
+        gameMode,
+        aiDifficulty,
+        aiProfile: aiPlayer ? aiPlayer.behaviorLabel : null,
+        humanColor: humanPlayerColor
+    });
+    try {
+        if (libraryEntryId !== null) {
+            const previous = await gameLibrary.get(libraryEntryId);
+            entry.id = libraryEntryId;
+            if (previous) {
+                entry.name = previous.name;
+            }
+        }
+        const stored = await gameLibrary.save(entry);
+        if (token === libraryGameToken) {
+            libraryEntryId = stored.id;
+        }
+        log(LOG_GAME, 'Game added to saved games', { id: stored.id, result: stored.result, moveCount: stored.moveCount });
+    } catch (error) {
+        log(LOG_ERROR, 'Failed to store finished game', { error: error.message });
+    }
+    await renderSavedGames();
+}
+
+function readSavedGamesFilters() {
+    return {
+        query: savedGamesSearchInput ? savedGamesSearchInput.value : '',
+        result: savedGamesResultSelect ? savedGamesResultSelect.value : 'all',
+        opponent: savedGamesOpponentSelect ? savedGamesOpponentSelect.value : 'all'
+    };
+}
+
+function createSavedGameAction(label, className, handler) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = className;
+    button.textContent = label;
+    button.addEventListener('click', handler);
+    return button;
+}
+
+async function renderSavedGames() {
+    if (!gameLibrary || !savedGamesList) {
+        return;
+    }
+    const filters = readSavedGamesFilters();
+    let entries;
+    try {
+        entries = await gameLibrary.list(filters);
+    } catch (error) {
+        log(LOG_ERROR, 'Failed to read saved games', { error: error.message });
+        return;
+    }
+
+    savedGamesList.innerHTML = '';
+    if (entries.length === 0) {
+        const emptyState = document.createElement('li');
+        emptyState.className = 'move-history__empty';
+        const filtered = filters.query.trim() || filters.result !== 'all' || filters.opponent !== 'all';
+        emptyState.textContent = filtered ? 'No saved games match these filters.' : 'No saved games yet. Finished games are saved here.';
+        savedGamesList.appendChild(emptyState);
+        return;
+    }
+
+    entries.forEach(entry => {
+        const listItem = document.createElement('li');
+        listItem.className = 'saved-games__item';
+
+        const openButton = document.createElement('button');
+        openButton.type = 'button';
+        openButton.className = 'move-history__entry';
+        openButton.dataset.id = String(entry.id);
+        openButton.title = 'Open in review mode';
+
+        const details = document.createElement('span');
+        details.className = 'move-history__details';
+
+        const label = document.createElement('span');
+        label.className = 'move-history__label';
+        label.textContent = entry.name;
+
+        const meta = document.createElement('span');
+        meta.className = 'move-history__coords';
+        const date = new Date(entry.date);
+        meta.textContent = [
+            describeLibraryResult(entry.result),
+            `vs ${entry.opponent}`,
+            `${entry.moveCount} moves`,
+            Number.isNaN(date.getTime()) ? null : date.toLocaleString()
+        ].filter(Boolean).join(' · ');
+
+        details.appendChild(label);
+        details.appendChild(meta);
+        openButton.appendChild(details);
+        openButton.addEventListener('click', () => openSavedGame(entry.id));
+
+        const actions = document.createElement('div');
+        actions.className = 'saved-games__actions';
+        actions.appendChild(createSavedGameAction('Rename', 'tertiary', () => renameSavedGame(entry)));
+        actions.appendChild(createSavedGameAction('Delete', 'tertiary danger', () => deleteSavedGame(entry)));
+
+        listItem.appendChild(openButton);
+        listItem.appendChild(actions);
+        savedGamesList.appendChild(listItem);
+    });
+}
+
+/**
+ * Replace the current game with a saved one and review it from the final position.
+ */
+async function openSavedGame(id) {
+    try {
+        const { engine: saved, entry } = await gameLibrary.open(id);
+        loadImportedEngine(saved);
+        enterReviewMode(getMoveCount());
+        log(LOG_GAME, 'Saved game opened', { id, name: entry.name, moveCount: getMoveCount() });
+    } catch (error) {
+        setStatus(`Could not open the saved game: ${error.message}`, 'neutral');
+        log(LOG_ERROR, 'Failed to open saved game', { id, error: error.message });
+    }
+}
+
+async function renameSavedGame(entry) {
+    const name = window.prompt('Rename saved game', entry.name);
+    if (name === null || name === undefined) {
+        return;
+    }
+    try {
+        await gameLibrary.rename(entry.id, name);
+    } catch (error) {
+        setStatus(`Could not rename the saved game: ${error.message}`, 'neutral');
+        log(LOG_ERROR, 'Failed to rename saved game', { id: entry.id, error: error.message });
+    }
+    await renderSavedGames();
+}
+
+async function deleteSavedGame(entry) {
+    if (!window.confirm(`Delete "${entry.name}" from saved games?`)) {
+        return;
+    }
+    try {
+        await gameLibrary.remove(entry.id);
+        if (libraryEntryId === entry.id) {
+            libraryEntryId = null;
+        }
+        log(LOG_GAME, 'Saved game deleted', { id: entry.id });
+    } catch (error) {
+        log(LOG_ERROR, 'Failed to delete saved game', { id: entry.id, error: error.message });
+    }
+    await renderSavedGames();
+}
+
 function initializePreferences() {
     const storedTheme = readSetting(THEME_STORAGE_KEY);
     if (storedTheme) {
@@ -659,6 +1258,57 @@ function handleAIDifficultyChange() {
         aiPlayer.difficulty = aiDifficulty;
     }
     log(LOG_AI, 'AI difficulty changed', { newDifficulty: aiDifficulty });
+    saveGameProgress();
+}
+
+/**
+ * Read the board size selector, clamped to the supported range.
+ * @returns {number} The selected board size.
+ */
+function readBoardSizeSelection() {
+    const selected = boardSizeSelect ? parseInt(boardSizeSelect.value, 10) : BOARD_SIZE;
+    if (!Number.isInteger(selected)) {
+        return BOARD_SIZE;
+    }
+    return Math.max(MIN_BOARD_SIZE, Math.min(MAX_BOARD_SIZE, selected));
+}
+
+function handleBoardSizeChange() {
+    boardSize = readBoardSizeSelection();
+    log(LOG_GAME, 'Board size changed', { boardSize });
+    initializeBoard();
+    attachEngine();
+    resetGame();
+}
+
+function handleWinLengthChange() {
+    if (!winLengthSelect) {
+        return;
+    }
+    winLength = normalizeWinLength(parseInt(winLengthSelect.value, 10));
+    log(LOG_GAME, 'Win length changed', { winLength });
+    attachEngine();
+    resetGame();
+}
+
+function handleRuleSetChange() {
+    if (!ruleSetSelect) {
+        return;
+    }
+    ruleSet = normalizeRules(ruleSetSelect.value);
+    log(LOG_GAME, 'Rule set changed', { rules: ruleSet });
+    attachEngine();
+    resetGame();
+}
+
+function handleOpeningChange() {
+    if (!openingSelect) {
+        return;
+    }
+    openingProtocol = normalizeOpening(openingSelect.value);
+    log(LOG_GAME, 'Opening protocol changed', { opening: openingProtocol });
+    attachEngine();
+    resetGame();
 }
 
 function handlePlayerColorChange() {
@@ -675,29 +1325,289 @@ function handlePlayerColorChange() {
     }
 }
 
+function describePlayersForRecord() {
+    if (gameMode !== 'ai') {
+        return { Event: 'Human vs Human', Black: 'Human', White: 'Human' };
+    }
+    const ai = `AI (${aiDifficulty})`;
+    return {
+        Event: 'Human vs AI',
+        Black: humanPlayerColor === BLACK ? 'Human' : ai,
+        White: humanPlayerColor === WHITE ? 'Human' : ai
+    };
+}
+
+/**
+ * Download the current game as a text record.
+ */
+function exportGameRecord() {
+    const record = serializeGameRecord(engine, describePlayersForRecord());
+    const url = URL.createObjectURL(new Blob([record], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `gomoku-${new Date().toISOString().slice(0, 10)}.txt`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+    log(LOG_GAME, 'Game exported', { moveCount: getMoveCount() });
+}
+
+/**
+ * Find `value` in a settings dropdown, failing when the page does not offer it.
+ * @returns {?HTMLOptionElement} Null when the dropdown itself is missing.
+ */
+function findSettingOption(select, value, label) {
+    if (!select) {
+        return null;
+    }
+    const option = Array.from(select.options).find(entry => entry.value === String(value));
+    if (!option) {
+        throw new Error(`Unsupported ${label} "${value}"`);
+    }
+    return option;
+}
+
+/**
+ * Replace the current game with an imported one. Its board size and rules become the
+ * active settings so later games continue with them.
+ * @param {GomokuEngine} imported - Engine holding the imported position.
+ */
+function loadImportedEngine(imported) {
+    if (imported.getVariant() !== VARIANT_GOMOKU) {
+        throw new Error(`Unsupported variant "${imported.getVariant()}"`);
+    }
+    if (imported.boardSize < MIN_BOARD_SIZE || imported.boardSize > MAX_BOARD_SIZE) {
+        throw new Error(`Unsupported board size ${imported.boardSize}`);
+    }
+    // Check every setting before touching any, so a rejected game leaves the page as it was.
+    const options = [
+        findSettingOption(boardSizeSelect, imported.boardSize, 'board size'),
+        findSettingOption(ruleSetSelect, imported.getRules(), 'rule set'),
+        findSettingOption(winLengthSelect, imported.getWinLength(), 'win length'),
+        findSettingOption(openingSelect, imported.getOpening(), 'opening')
+    ];
+    options.filter(Boolean).forEach(option => {
+        option.selected = true;
+    });
+
+    boardSize = imported.boardSize;
+    ruleSet = imported.getRules();
+    winLength = imported.getWinLength();
+    openingProtocol = imported.getOpening();
+    initializeBoard();
+    attachEngine();
+    resetGame();
+    engine.loadState(imported.toJSON());
+}
+
+/**
+ * @param {string} text - Record text as produced by `exportGameRecord`.
+ */
+function importGameRecord(text) {
+    loadImportedEngine(createEngineFromRecord(text).engine);
+    if (isAITurn()) {
+        scheduleAIMove(300);
+    }
+    log(LOG_GAME, 'Game imported', { moveCount: getMoveCount(), boardSize, rules: ruleSet });
+}
+
+/**
+ * Load a Gomocup `.psq`/`.pos` game or a RenLib `.lib` library and open it in review mode
+ * from the first move. Games from larger tournament boards are re-centred to fit.
+ */
+function importTournamentGame(data, format) {
+    const { engine: imported } = importGame(data, format, {
+        rules: ruleSet,
+        boardSize: format === FORMAT_POS ? boardSize : undefined,
+        maxBoardSize: MAX_BOARD_SIZE
+    });
+    loadImportedEngine(imported);
+    enterReviewMode(0);
+    log(LOG_GAME, 'Game imported', { format, moveCount: getMoveCount(), boardSize, rules: ruleSet });
+}
+
+/**
+ * Mirror the game and review position into the URL hash, so the address bar always
+ * holds a link to what is on screen.
+ */
+function syncShareHash() {
+    const hash = encodeShareHash(engine, { reviewIndex: isReviewMode ? reviewIndex : null });
+    const { pathname, search } = window.location;
+    const current = window.location.hash.replace(/^#/, '');
+    if (hash !== current) {
+        window.history.replaceState(null, '', `${pathname}${search}${hash ? `#${hash}` : ''}`);
+    }
+}
+
+/**
+ * Open the game described by a shared link in review mode. Malformed links leave the
+ * current game in place.
+ * @param {string} hash - `location.hash` of the shared link.
+ */
+function restoreSharedGame(hash) {
+    let shared;
+    try {
+        shared = createEngineFromShareHash(hash);
+        if (!shared) {
+            return false;
+        }
+        loadImportedEngine(shared.engine);
+    } catch (error) {
+        setStatus(`Shared link ignored: ${error.message}`, 'neutral');
+        log(LOG_ERROR, 'Shared link rejected', { error: error.message });
+        syncShareHash();
+        return false;
+    }
+    hideSavedGameOffer();
+    enterReviewMode(shared.reviewIndex ?? getMoveCount());
+    log(LOG_GAME, 'Shared game restored', { moveCount: getMoveCount(), reviewIndex });
+    return true;
+}
+
+/**
+ * Bring the link in the address bar and the saved game up to date. Runs from the engine event
+ * handlers, after an opening choice and whenever the review position changes.
+ */
+function persistGame() {
+    syncShareHash();
+    saveGameProgress();
+}
+
+function handleHashChange() {
+    if (window.location.hash.replace(/^#/, '') !== encodeShareHash(engine, { reviewIndex: isReviewMode ? reviewIndex : null })) {
+        restoreSharedGame(window.location.hash);
+    }
+}
+
+async function copyShareLink() {
+    syncShareHash();
+    try {
+        await navigator.clipboard.writeText(window.location.href);
+        setStatus('Link to this position copied', 'neutral');
+    } catch (error) {
+        setStatus('Copy the link from the address bar to share this position', 'neutral');
+        log(LOG_ERROR, 'Copying share link failed', { error: error.message });
+    }
+}
+
+async function handleImportFileChange() {
+    const [file] = importFileInput.files;
+    if (!file) {
+        return;
+    }
+    const format = detectGameFormat(file.name) || FORMAT_RECORD;
+    try {
+        if (format === FORMAT_RECORD) {
+            importGameRecord(await file.text());
+        } else {
+            importTournamentGame(format === FORMAT_PSQ ? await file.text() : await file.arrayBuffer(), format);
+        }
+    } catch (error) {
+        setStatus(`Import failed: ${error.message}`, 'neutral');
+        log(LOG_ERROR, 'Game import failed', { format, error: error.message });
+    } finally {
+        importFileInput.value = '';
+    }
+}
+
+/**
+ * Offer every registered AI strategy in the difficulty menu.
+ */
+function populateDifficultyOptions() {
+    aiDifficultySelect.innerHTML = '';
+    listStrategies().forEach(({ name, label, description }) => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = label;
+        if (description) {
+            option.title = description;
+        }
+        aiDifficultySelect.appendChild(option);
+    });
+    aiDifficultySelect.value = aiDifficulty;
+    aiDifficulty = aiDifficultySelect.value;
+}
+
 function initializeGame() {
     validateDomReferences();
+    populateDifficultyOptions();
+    // Read the link before the first reset rewrites the hash.
+    const sharedHash = window.location.hash;
     if (playerColorSelect) {
         playerColorSelect.value = 'black';
     }
     humanPlayerColor = BLACK;
     aiPlayerColor = WHITE;
+    if (ruleSetSelect) {
+        ruleSet = normalizeRules(ruleSetSelect.value);
+    }
+    if (openingSelect) {
+        openingProtocol = normalizeOpening(openingSelect.value);
+    }
+    boardSize = readBoardSizeSelection();
+    if (winLengthSelect) {
+        winLength = normalizeWinLength(parseInt(winLengthSelect.value, 10));
+    }
     initializeBoard();
+    attachEngine();
     initializePreferences();
     setupEventListeners();
     syncAIOptionsVisibility();
+    // Held as pending so the first reset does not overwrite it.
+    pendingSavedGame = readSavedGame();
     resetGame();
+    // A shared link takes the saved game's place.
+    if (!restoreSharedGame(sharedHash)) {
+        offerSavedGame();
+    }
+    initializeGameLibrary();
     log(LOG_GAME, 'Game initialized');
 }
 
 function setupEventListeners() {
     newGameButton.addEventListener('click', resetGame);
     undoButton.addEventListener('click', undo);
+    if (redoButton) {
+        redoButton.addEventListener('click', redo);
+    }
+    if (exportButton) {
+        exportButton.addEventListener('click', exportGameRecord);
+    }
+    if (resumeButton) {
+        resumeButton.addEventListener('click', resumeSavedGame);
+    }
+    if (discardSavedButton) {
+        discardSavedButton.addEventListener('click', discardSavedGame);
+    }
+    if (shareButton) {
+        shareButton.addEventListener('click', copyShareLink);
+    }
+    window.addEventListener('hashchange', handleHashChange);
+    if (importButton && importFileInput) {
+        importButton.addEventListener('click', () => importFileInput.click());
+        importFileInput.addEventListener('change', handleImportFileChange);
+    }
     gameModeSelect.addEventListener('change', handleGameModeChange);
     aiDifficultySelect.addEventListener('change', handleAIDifficultyChange);
     if (playerColorSelect) {
         playerColorSelect.addEventListener('change', handlePlayerColorChange);
     }
+    if (ruleSetSelect) {
+        ruleSetSelect.addEventListener('change', handleRuleSetChange);
+    }
+    if (boardSizeSelect) {
+        boardSizeSelect.addEventListener('change', handleBoardSizeChange);
+    }
+    if (winLengthSelect) {
+        winLengthSelect.addEventListener('change', handleWinLengthChange);
+    }
+    if (openingSelect) {
+        openingSelect.addEventListener('change', handleOpeningChange);
+    }
+    openingChoiceButtons.forEach(button => {
+        button.addEventListener('click', handleOpeningChoiceClick);
+    });
     if (darkModeToggle) {
         darkModeToggle.addEventListener('change', handleThemeToggle);
     }
@@ -719,6 +1629,12 @@ function setupEventListeners() {
     if (moveHistoryPanel) {
         moveHistoryPanel.addEventListener('toggle', () => updateReviewControlsState());
     }
+    if (savedGamesSearchInput) {
+        savedGamesSearchInput.addEventListener('input', renderSavedGames);
+    }
+    [savedGamesResultSelect, savedGamesOpponentSelect].filter(Boolean).forEach(select => {
+        select.addEventListener('change', renderSavedGames);
+    });
     log(LOG_GAME, 'Event listeners set up');
 }
 
@@ -734,61 +1650,26 @@ function syncAIOptionsVisibility() {
 }
 
 
-function buildColumnLabels(size) {
-    const labels = [];
-    for (let i = 0; i < size; i++) {
-        labels.push(String.fromCharCode(65 + i));
-    }
-    return labels;
-}
-
-function coordsToLabel(row, col) {
-    const column = columnLabels[col] || String.fromCharCode(65 + col);
-    return column + (row + 1);
-}
-
+/**
+ * The position after the first `limit` moves, taken from a copy of the engine with the later
+ * moves undone, so the start position, starting player, rules and variant all carry over.
+ */
 function buildSnapshotFromHistory(limit) {
-    const snapshotBoard = Array(BOARD_SIZE).fill(null).map(() => Array(BOARD_SIZE).fill(EMPTY));
-    let lastPlaced = null;
-    let winningSequenceLocal = [];
-    let winningMoveIndex = -1;
-
-    for (let i = 0; i < limit && i < moveHistory.length; i++) {
-        const move = moveHistory[i];
-        snapshotBoard[move.row][move.col] = move.player;
-        lastPlaced = { row: move.row, col: move.col, player: move.player };
-
-        if (winningMoveIndex === -1) {
-            const result = engineDetermineWinningSequence(snapshotBoard, move.row, move.col);
-            if (result) {
-                winningSequenceLocal = result.sequence.map(position => ({ row: position.row, col: position.col }));
-                winningMoveIndex = i;
-            }
-        }
-    }
-
-    const isWinningPosition = winningMoveIndex !== -1 && limit === winningMoveIndex + 1;
-    const isDrawPosition = limit === moveHistory.length && engineCheckDraw(snapshotBoard);
-    const winningPlayer = isWinningPosition && lastPlaced ? lastPlaced.player : null;
-
-    let nextPlayer = BLACK;
-    if (lastPlaced) {
-        if (isWinningPosition || isDrawPosition) {
-            nextPlayer = lastPlaced.player;
-        } else {
-            nextPlayer = lastPlaced.player === BLACK ? WHITE : BLACK;
-        }
-    }
+    const scratch = engine.clone();
+    scratch.undoLastMove(scratch.getMoveHistory().length - limit);
+    const lastMove = scratch.getLastMove();
+    const winningSequence = scratch.getWinningSequence();
+    const isWinningPosition = scratch.isGameOver() && winningSequence.length > 0;
+    const isDraw = scratch.isGameOver() && !isWinningPosition;
 
     return {
-        board: snapshotBoard,
-        lastMove: lastPlaced,
-        winningSequence: isWinningPosition ? winningSequenceLocal : [],
-        winningMoveIndex,
+        board: scratch.getBoardSnapshot(),
+        lastMove,
+        winningSequence,
         isWinningPosition,
-        winningPlayer,
-        isDraw: isDrawPosition,
-        nextPlayer
+        winningPlayer: isWinningPosition && lastMove ? lastMove.player : null,
+        isDraw,
+        nextPlayer: scratch.getCurrentPlayer()
     };
 }
 
@@ -798,6 +1679,7 @@ function renderMoveHistory() {
     }
 
     moveHistoryList.innerHTML = '';
+    const moveHistory = engine.getMoveHistory();
     const totalMoves = moveHistory.length;
     reviewIndex = Math.max(0, Math.min(reviewIndex, totalMoves));
 
@@ -858,7 +1740,7 @@ function updateActiveHistoryEntry() {
         return;
     }
 
-    const pointer = isReviewMode ? reviewIndex : moveHistory.length;
+    const pointer = isReviewMode ? reviewIndex : getMoveCount();
     const buttons = moveHistoryList.querySelectorAll('.move-history__entry');
 
     buttons.forEach(button => {
@@ -873,7 +1755,7 @@ function updateActiveHistoryEntry() {
 }
 
 function updateReviewControlsState() {
-    const totalMoves = moveHistory.length;
+    const totalMoves = getMoveCount();
     const pointer = isReviewMode ? reviewIndex : totalMoves;
 
     if (historyStepBackButton) {
@@ -892,6 +1774,7 @@ function updateReviewControlsState() {
 }
 
 function renderReviewStatus(snapshot, pointer, isDrawPosition) {
+    const moveHistory = engine.getMoveHistory();
     if (typeof snapshot === 'undefined') {
         snapshot = buildSnapshotFromHistory(reviewIndex);
         pointer = reviewIndex;
@@ -931,26 +1814,14 @@ function jumpToMove(index, options) {
     const settings = options || {};
     const reason = settings.reason || (isReviewMode ? 'review' : 'live');
     const silent = Boolean(settings.silent);
-    const clamped = Math.max(0, Math.min(index, moveHistory.length));
+    const totalMoves = getMoveCount();
+    const clamped = Math.max(0, Math.min(index, totalMoves));
     reviewIndex = clamped;
 
+    // Snapshots are rendered only; the engine keeps the live position.
     const snapshot = buildSnapshotFromHistory(clamped);
-
-    board = snapshot.board.map(row => row.slice());
-    winningSequence = snapshot.winningSequence.map(position => ({ row: position.row, col: position.col }));
-    const lastMoveForHighlight = snapshot.lastMove ? { row: snapshot.lastMove.row, col: snapshot.lastMove.col } : null;
-    const isDrawPosition = snapshot.isDraw && clamped === moveHistory.length;
-
-    currentPlayer = snapshot.nextPlayer;
-    gameOver = snapshot.isWinningPosition || isDrawPosition;
-
-    document.querySelectorAll('.cell.last-move').forEach(cell => cell.classList.remove('last-move'));
-    updateBoard();
-    lastMove = null;
-
-    if (lastMoveForHighlight) {
-        highlightLastMove(lastMoveForHighlight.row, lastMoveForHighlight.col);
-    }
+    const isDrawPosition = snapshot.isDraw && clamped === totalMoves;
+    updateBoard(snapshot);
 
     if (reason === 'review') {
         renderReviewStatus(snapshot, clamped, isDrawPosition);
@@ -968,6 +1839,7 @@ function jumpToMove(index, options) {
 
     updateActiveHistoryEntry();
     updateReviewControlsState();
+    persistGame();
 
     log(LOG_GAME, 'Jumped to board snapshot', { index: clamped, reason: reason });
 
@@ -975,22 +1847,24 @@ function jumpToMove(index, options) {
 }
 
 function enterReviewMode(index) {
-    if (moveHistory.length === 0) {
+    if (getMoveCount() === 0) {
         return;
     }
 
     stopReplay();
+    // Exiting review schedules the AI again if it is still to move.
+    cancelAIMove();
     isReviewMode = true;
 
     if (typeof index !== 'number') {
-        index = moveHistory.length;
+        index = getMoveCount();
     }
 
     if (moveHistoryPanel && !moveHistoryPanel.open) {
         moveHistoryPanel.open = true;
     }
 
-    const clampedIndex = Math.max(0, Math.min(index, moveHistory.length));
+    const clampedIndex = Math.max(0, Math.min(index, getMoveCount()));
     jumpToMove(clampedIndex, { reason: 'review' });
     log(LOG_GAME, 'Entered review mode', { index: clampedIndex });
 
@@ -1004,7 +1878,7 @@ function exitReviewMode(options) {
     const silent = Boolean(settings.silent);
 
     if (!isReviewMode && reviewTimer === null) {
-        reviewIndex = moveHistory.length;
+        reviewIndex = getMoveCount();
         updateReviewControlsState();
         return;
     }
@@ -1012,10 +1886,10 @@ function exitReviewMode(options) {
     stopReplay();
     const wasInReview = isReviewMode;
     isReviewMode = false;
-    reviewIndex = moveHistory.length;
+    reviewIndex = getMoveCount();
 
     if (restoreBoard) {
-        const snapshot = jumpToMove(moveHistory.length, { reason: 'live', silent: true });
+        const snapshot = jumpToMove(getMoveCount(), { reason: 'live', silent: true });
         if (snapshot.isWinningPosition && snapshot.winningPlayer !== null) {
             const indicator = snapshot.winningPlayer === BLACK ? 'black' : 'white';
             const winnerName = snapshot.winningPlayer === BLACK ? 'Black' : 'White';
@@ -1027,12 +1901,8 @@ function exitReviewMode(options) {
         }
     }
 
-    if (!gameOver && gameMode === 'ai' && currentPlayer === aiPlayerColor) {
-        setTimeout(() => {
-            if (!gameOver && currentPlayer === aiPlayerColor && !isReviewMode) {
-                makeAIMove();
-            }
-        }, 300);
+    if (isAITurn()) {
+        scheduleAIMove(300);
     }
 
     if (wasInReview && !silent) {
@@ -1041,15 +1911,16 @@ function exitReviewMode(options) {
 
     updateActiveHistoryEntry();
     updateReviewControlsState();
+    persistGame();
 }
 
 function step(delta) {
-    if (moveHistory.length === 0) {
+    if (getMoveCount() === 0) {
         return;
     }
 
-    const pointer = (isReviewMode ? reviewIndex : moveHistory.length) + delta;
-    const clamped = Math.max(0, Math.min(pointer, moveHistory.length));
+    const pointer = (isReviewMode ? reviewIndex : getMoveCount()) + delta;
+    const clamped = Math.max(0, Math.min(pointer, getMoveCount()));
 
     if (!isReviewMode) {
         enterReviewMode(clamped);
@@ -1059,7 +1930,7 @@ function step(delta) {
 }
 
 function toggleReplay() {
-    if (moveHistory.length === 0) {
+    if (getMoveCount() === 0) {
         return;
     }
 
@@ -1068,19 +1939,19 @@ function toggleReplay() {
         return;
     }
 
-    if (!isReviewMode || reviewIndex >= moveHistory.length) {
+    if (!isReviewMode || reviewIndex >= getMoveCount()) {
         enterReviewMode(0);
     }
 
     reviewTimer = window.setInterval(() => {
-        if (!isReviewMode || reviewIndex >= moveHistory.length) {
+        if (!isReviewMode || reviewIndex >= getMoveCount()) {
             stopReplay();
             return;
         }
 
         jumpToMove(reviewIndex + 1, { reason: 'review' });
 
-        if (reviewIndex >= moveHistory.length) {
+        if (reviewIndex >= getMoveCount()) {
             stopReplay();
         }
     }, 900);
@@ -1118,12 +1989,10 @@ export {
     EMPTY,
     BLACK,
     WHITE,
-    board,
-    currentPlayer,
+    engine,
     gameMode,
     aiDifficulty,
     makeMove,
-    checkWin,
     updateStatus
 };
 
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { fileURLToPath } from 'url';
+
+import { GomocupSession } from '../src/ai/gomocup-protocol.js';
+import { hasStrategy, listStrategies } from '../src/ai/strategies.js';
+import { createSeededRandom } from '../src/ai/worker-protocol.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '..');
+
+function parseArgs(argv) {
+    const args = { verbose: false };
+    for (let i = 2; i < argv.length; i += 1) {
+        const arg = argv[i];
+        if ((arg === '--difficulty' || arg === '-d') && argv[i + 1]) {
+            args.difficulty = argv[i + 1];
+            i += 1;
+        } else if (arg === '--seed' && argv[i + 1]) {
+            args.seed = Number(argv[i + 1]);
+            i += 1;
+        } else if (arg === '--verbose' || arg === '-v') {
+            args.verbose = true;
+        }
+    }
+    return args;
+}
+
+function readPackageInfo() {
+    const pkg = JSON.parse(fs.readFileSync(path.join(projectRoot, 'package.json'), 'utf8'));
+    return { name: pkg.name, version: pkg.version };
+}
+
+function main() {
+    const args = parseArgs(process.argv);
+    if (args.difficulty && !hasStrategy(args.difficulty)) {
+        const names = listStrategies().map(({ name }) => name).join(', ');
+        console.error(`Unknown difficulty "${args.difficulty}"; expected one of ${names}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    // stdout belongs to the protocol, so the game log goes to stderr or nowhere.
+    console.log = args.verbose ? (...values) => console.error(...values) : () => {};
+
+    const session = new GomocupSession({
+        difficulty: args.difficulty,
+        random: Number.isFinite(args.seed) ? createSeededRandom(args.seed) : undefined,
+        about: readPackageInfo()
+    });
+
+    const input = readline.createInterface({ input: process.stdin, terminal: false });
+    input.on('line', line => {
+        let replies;
+        try {
+            replies = session.handleLine(line);
+        } catch (error) {
+            console.error(error);
+            replies = [`ERROR ${error.message}`];
+        }
+        replies.forEach(reply => process.stdout.write(`${reply}\n`));
+        if (session.finished) {
+            input.close();
+        }
+    });
+}
+
+main();
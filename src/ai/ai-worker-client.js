@@ -0,0 +1,288 @@
+import { log, LOG_AI, LOG_ERROR } from '../../config.js';
+import {
+    AI_CREATE_PLAYER,
+    AI_RELEASE_PLAYER,
+    AI_REQUEST_MOVE,
+    AI_REQUEST_TURN,
+    AI_REQUEST_OPENING,
+    AI_CANCEL,
+    AI_STARTED,
+    AI_PROGRESS,
+    AI_TELEMETRY,
+    AI_RESULT,
+    AI_ERROR
+} from './worker-protocol.js';
+
+export const AI_WORKER_URL = new URL('./ai-worker.js', import.meta.url);
+
+/**
+ * Wrap a browser module worker in the port interface `AIWorkerClient` expects:
+ * `postMessage(message)`, `onMessage(handler)`, `onError(handler)` and `terminate()`.
+ */
+export function createBrowserWorkerPort(url = AI_WORKER_URL) {
+    const worker = new Worker(url, { type: 'module' });
+    return {
+        postMessage: message => worker.postMessage(message),
+        onMessage: handler => worker.addEventListener('message', event => handler(event.data)),
+        onError: handler => worker.addEventListener('error', event => {
+            event.preventDefault();
+            handler(new Error(event.message || 'AI worker failed'));
+        }),
+        terminate: () => worker.terminate()
+    };
+}
+
+function createCancelledError() {
+    const error = new Error('AI request cancelled');
+    error.cancelled = true;
+    return error;
+}
+
+/**
+ * @returns {boolean} Whether a rejected AI request was cancelled rather than failed.
+ */
+export function isCancelledAIRequest(error) {
+    return Boolean(error && error.cancelled);
+}
+
+/**
+ * Stand-in for an `AIPlayer` that lives in the worker. The methods mirror `AIPlayer` but
+ * return promises; `difficulty` and `playerColor` can be changed between requests.
+ */
+class RemoteAIPlayer {
+    constructor(client, playerId, difficulty, playerColor, options) {
+        this.client = client;
+        this.playerId = playerId;
+        this.difficulty = difficulty;
+        this.playerColor = playerColor;
+        const behavior = options.behavior && typeof options.behavior === 'object' ? options.behavior : null;
+        this.behaviorLabel = behavior && typeof behavior.name === 'string' && behavior.name.trim() ? behavior.name.trim() : null;
+    }
+
+    request(message, onProgress) {
+        return this.client.request({
+            ...message,
+            playerId: this.playerId,
+            difficulty: this.difficulty,
+            playerColor: this.playerColor
+        }, onProgress);
+    }
+
+    makeMove(board, options = {}) {
+        return this.request({ type: AI_REQUEST_MOVE, board, legalMoves: options.legalMoves }, options.onProgress);
+    }
+
+    makeTurn(board, options = {}) {
+        return this.request({ type: AI_REQUEST_TURN, board, stonesRemaining: options.stonesRemaining, legalMoves: options.legalMoves });
+    }
+
+    chooseOpening(board, choices) {
+        return this.request({ type: AI_REQUEST_OPENING, board, choices });
+    }
+}
+
+/**
+ * Runs AI players in a worker so searches never block the caller's thread.
+ *
+ * The worker starts on the first request. Cancelling a request that has not started yet
+ * removes it from the worker's queue; cancelling one that is already searching terminates
+ * the worker, and the next request starts a fresh one with the same players.
+ */
+export class AIWorkerClient {
+    /**
+     * @param {Object} [options]
+     * @param {function(): Object} [options.createPort] - Starts a worker; defaults to a browser module worker.
+     *   Node callers pass `createNodeWorkerPort` from `node-worker-port.js`.
+     */
+    constructor(options = {}) {
+        this.createPort = options.createPort || (() => createBrowserWorkerPort());
+        this.port = null;
+        this.players = new Map();
+        this.telemetryListeners = new Map();
+        this.pending = new Map();
+        this.nextPlayerId = 1;
+        this.nextRequestId = 1;
+    }
+
+    ensurePort() {
+        if (this.port) {
+            return this.port;
+        }
+        const port = this.createPort();
+        port.onMessage(message => {
+            if (this.port === port) {
+                this.handleMessage(message);
+            }
+        });
+        port.onError(error => {
+            if (this.port === port) {
+                log(LOG_ERROR, 'AI worker failed', { error: error.message });
+                this.port = null;
+                port.terminate();
+                this.rejectPending(() => error);
+            }
+        });
+        this.port = port;
+        this.players.forEach(message => port.postMessage(message));
+        return port;
+    }
+
+    /**
+     * Create a player in the worker. Takes the same arguments as the `AIPlayer` constructor,
+     * except that `random` is replaced by an optional numeric `seed` and `telemetry` entries
+     * arrive through the callback after being posted back from the worker.
+     *
+     * @returns {RemoteAIPlayer}
+     */
+    createPlayer(difficulty, playerColor, options = {}) {
+        const { telemetry, random, ...rest } = options;
+        const playerId = `player-${this.nextPlayerId++}`;
+        const message = {
+            type: AI_CREATE_PLAYER,
+            playerId,
+            difficulty,
+            playerColor,
+            options: { ...rest, telemetry: typeof telemetry === 'function' }
+        };
+        this.players.set(playerId, message);
+        if (typeof telemetry === 'function') {
+            this.telemetryListeners.set(playerId, telemetry);
+        }
+        if (this.port) {
+            this.port.postMessage(message);
+        }
+        return new RemoteAIPlayer(this, playerId, difficulty, playerColor, options);
+    }
+
+    /**
+     * Forget a player created with `createPlayer`. Requests it still has pending are cancelled.
+     */
+    releasePlayer(player) {
+        this.pending.forEach((entry, id) => {
+            if (entry.playerId === player.playerId) {
+                this.cancel(id);
+            }
+        });
+        this.players.delete(player.playerId);
+        this.telemetryListeners.delete(player.playerId);
+        if (this.port) {
+            this.port.postMessage({ type: AI_RELEASE_PLAYER, playerId: player.playerId });
+        }
+    }
+
+    /**
+     * Send a request and resolve with the worker's result.
+     * @returns {Promise<*>} Rejects with an error for which `isCancelledAIRequest` is true when cancelled.
+     */
+    request(message, onProgress) {
+        const id = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, {
+                playerId: message.playerId,
+                resolve,
+                reject,
+                onProgress: typeof onProgress === 'function' ? onProgress : null,
+                started: false
+            });
+            try {
+                this.ensurePort().postMessage({ ...message, id });
+            } catch (error) {
+                this.pending.delete(id);
+                reject(error);
+            }
+        });
+    }
+
+    handleMessage(message) {
+        if (message.type === AI_TELEMETRY) {
+            const listener = this.telemetryListeners.get(message.playerId);
+            if (listener) {
+                listener(message.entry);
+            }
+            return;
+        }
+        if (message.type === AI_ERROR && message.id === null) {
+            log(LOG_ERROR, 'AI worker rejected a player', { playerId: message.playerId, error: message.message });
+            return;
+        }
+
+        const entry = this.pending.get(message.id);
+        if (!entry) {
+            return;
+        }
+        switch (message.type) {
+            case AI_STARTED:
+                entry.started = true;
+                break;
+            case AI_PROGRESS:
+                if (entry.onProgress) {
+                    entry.onProgress(message.progress);
+                }
+                break;
+            case AI_RESULT:
+                this.pending.delete(message.id);
+                entry.resolve(message.result);
+                break;
+            case AI_ERROR:
+                this.pending.delete(message.id);
+                entry.reject(new Error(message.message));
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Cancel one request, or every pending request when `id` is omitted.
+     * @returns {boolean} Whether anything was cancelled.
+     */
+    cancel(id) {
+        const ids = id === undefined ? Array.from(this.pending.keys()) : [id];
+        let cancelled = false;
+        let terminate = false;
+        ids.forEach(requestId => {
+            const entry = this.pending.get(requestId);
+            if (!entry) {
+                return;
+            }
+            this.pending.delete(requestId);
+            if (entry.started) {
+                terminate = true;
+            } else if (this.port) {
+                this.port.postMessage({ type: AI_CANCEL, id: requestId });
+            }
+            entry.reject(createCancelledError());
+            cancelled = true;
+        });
+        if (terminate) {
+            log(LOG_AI, 'Terminating AI worker to stop a running search');
+            this.stopWorker();
+        }
+        return cancelled;
+    }
+
+    stopWorker() {
+        if (!this.port) {
+            return;
+        }
+        const port = this.port;
+        this.port = null;
+        port.terminate();
+        // Requests queued behind a terminated search are lost with the worker.
+        this.rejectPending(createCancelledError);
+    }
+
+    rejectPending(createError) {
+        const entries = Array.from(this.pending.values());
+        this.pending.clear();
+        entries.forEach(entry => entry.reject(createError()));
+    }
+
+    /**
+     * Cancel everything and stop the worker. The client can still be used afterwards.
+     */
+    terminate() {
+        this.cancel();
+        this.stopWorker();
+    }
+}
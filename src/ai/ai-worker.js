@@ -0,0 +1,19 @@
+/**
+ * Worker entry point for the AI. Runs as a browser module worker or as a Node
+ * `worker_threads` worker; both speak the protocol in `worker-protocol.js`.
+ */
+import { createAIWorkerHandler } from './worker-protocol.js';
+
+const isBrowserWorker = typeof self !== 'undefined' && typeof self.postMessage === 'function' && typeof window === 'undefined';
+
+if (isBrowserWorker) {
+    const handleMessage = createAIWorkerHandler(message => self.postMessage(message));
+    self.addEventListener('message', event => handleMessage(event.data));
+} else {
+    const { parentPort } = await import('node:worker_threads');
+    if (!parentPort) {
+        throw new Error('ai-worker.js must be started as a worker');
+    }
+    const handleMessage = createAIWorkerHandler(message => parentPort.postMessage(message));
+    parentPort.on('message', handleMessage);
+}
@@ -0,0 +1,263 @@
+import AIPlayer from '../../ai-player.js';
+import { EMPTY, BLACK, WHITE } from '../../config.js';
+import { RULES_FREESTYLE, RULES_STANDARD, RULES_RENJU } from '../engine/game.js';
+import { isForbiddenMove } from '../engine/renju.js';
+
+// Stone fields of the protocol's BOARD command
+export const FIELD_OWN = 1;
+export const FIELD_OPPONENT = 2;
+
+export const MIN_PROTOCOL_BOARD_SIZE = 5;
+export const DEFAULT_PROTOCOL_DIFFICULTY = 'hard';
+
+// `INFO rule` bits
+const RULE_EXACT_FIVE = 1;
+const RULE_RENJU = 4;
+
+// The search budget is a share of the turn limit: move generation, the forced-win check and
+// the reply itself run outside the search clock. With only a match clock, a move may use a
+// fixed fraction of the time left.
+const TURN_TIME_SHARE = 0.8;
+const MATCH_TIME_SHARE = 1 / 20;
+const MIN_TURN_BUDGET_MS = 10;
+
+function parseCoordinates(text, boardSize, withField = false) {
+    const parts = text.split(',').map(part => part.trim());
+    if (parts.length !== (withField ? 3 : 2) || parts.some(part => !/^\d+$/.test(part))) {
+        return null;
+    }
+    const [x, y, field] = parts.map(Number);
+    if (x >= boardSize || y >= boardSize) {
+        return null;
+    }
+    return { row: y, col: x, field };
+}
+
+function rulesFromInfo(value) {
+    const bits = Number(value);
+    if (!Number.isInteger(bits)) {
+        return RULES_FREESTYLE;
+    }
+    if (bits & RULE_RENJU) {
+        return RULES_RENJU;
+    }
+    return bits & RULE_EXACT_FIVE ? RULES_STANDARD : RULES_FREESTYLE;
+}
+
+/**
+ * One brain's side of the Gomocup (Piskvork) text protocol. Feed it the manager's lines one
+ * at a time; it answers with the lines to send back. Coordinates on the wire are `x,y`
+ * (column, row) from 0.
+ *
+ * The manager never says which colour the brain plays, so the stones are kept as own and
+ * opponent stones and coloured when a move is needed: the side to move is Black when both
+ * sides have as many stones. Under Renju rules Black does not play forbidden points.
+ */
+export class GomocupSession {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.difficulty='hard'] - Any registered AI strategy.
+     * @param {Object} [options.behavior] - `AIPlayer` behavior overrides.
+     * @param {function(): number} [options.random]
+     * @param {{name: string, version: string, author?: string, country?: string}} [options.about]
+     */
+    constructor(options = {}) {
+        this.difficulty = options.difficulty || DEFAULT_PROTOCOL_DIFFICULTY;
+        this.behavior = options.behavior || {};
+        this.random = options.random;
+        this.about = options.about || { name: 'gomoku-game', version: '0.0.0' };
+        this.boardSize = null;
+        this.cells = null;
+        this.player = null;
+        this.info = {};
+        this.pendingBoard = null;
+        this.finished = false;
+    }
+
+    get rules() {
+        return rulesFromInfo(this.info.rule);
+    }
+
+    /**
+     * @param {string} line - One line from the manager.
+     * @returns {string[]} Lines to answer with, possibly none.
+     */
+    handleLine(line) {
+        const text = line.trim();
+        if (text.length === 0 || this.finished) {
+            return [];
+        }
+        if (this.pendingBoard) {
+            return this.readBoardLine(text);
+        }
+        const [command, ...rest] = text.split(/\s+/);
+        const argument = rest.join(' ');
+        switch (command.toUpperCase()) {
+            case 'START':
+                return [this.start(Number(argument))];
+            case 'RESTART':
+                return this.requireBoard() || [this.start(this.boardSize)];
+            case 'BEGIN':
+                return this.requireBoard() || [this.playMove()];
+            case 'TURN':
+                return this.requireBoard() || this.turn(argument);
+            case 'BOARD':
+                return this.requireBoard() || this.beginBoard();
+            case 'TAKEBACK':
+                return this.requireBoard() || [this.takeBack(argument)];
+            case 'INFO':
+                this.setInfo(rest[0], rest.slice(1).join(' '));
+                return [];
+            case 'ABOUT':
+                return [this.describe()];
+            case 'END':
+                this.finished = true;
+                return [];
+            default:
+                return [`UNKNOWN command ${command}`];
+        }
+    }
+
+    requireBoard() {
+        return this.cells ? null : ['ERROR no board, send START first'];
+    }
+
+    start(size) {
+        if (!Number.isInteger(size) || size < MIN_PROTOCOL_BOARD_SIZE) {
+            return `ERROR unsupported board size ${size}`;
+        }
+        this.boardSize = size;
+        this.cells = Array.from({ length: size }, () => Array(size).fill(EMPTY));
+        // A new player per game: its transposition table is only valid for one board size.
+        this.player = new AIPlayer(this.difficulty, BLACK, {
+            boardSize: size,
+            rules: this.rules,
+            random: this.random,
+            behavior: this.behavior
+        });
+        this.applyTimeBudget();
+        return 'OK';
+    }
+
+    turn(argument) {
+        const move = parseCoordinates(argument, this.boardSize);
+        if (!move) {
+            return [`ERROR invalid move ${argument}`];
+        }
+        if (this.cells[move.row][move.col] !== EMPTY) {
+            return [`ERROR square ${argument} is occupied`];
+        }
+        this.cells[move.row][move.col] = FIELD_OPPONENT;
+        return [this.playMove()];
+    }
+
+    beginBoard() {
+        this.pendingBoard = [];
+        return [];
+    }
+
+    readBoardLine(text) {
+        if (text.toUpperCase() !== 'DONE') {
+            const move = parseCoordinates(text, this.boardSize, true);
+            if (move && (move.field === FIELD_OWN || move.field === FIELD_OPPONENT)) {
+                this.pendingBoard.push(move);
+            }
+            return [];
+        }
+        const stones = this.pendingBoard;
+        this.pendingBoard = null;
+        this.cells.forEach(row => row.fill(EMPTY));
+        stones.forEach(({ row, col, field }) => {
+            this.cells[row][col] = field;
+        });
+        return [this.playMove()];
+    }
+
+    takeBack(argument) {
+        const move = parseCoordinates(argument, this.boardSize);
+        if (!move || this.cells[move.row][move.col] === EMPTY) {
+            return `ERROR nothing to take back at ${argument}`;
+        }
+        this.cells[move.row][move.col] = EMPTY;
+        return 'OK';
+    }
+
+    setInfo(key, value) {
+        if (!key) {
+            return;
+        }
+        this.info[key.toLowerCase()] = value;
+        this.applyTimeBudget();
+    }
+
+    /**
+     * The search time for the next move in milliseconds, or null to keep the behavior's own
+     * `timeLimitMs`. `timeout_turn` 0 asks for moves as fast as possible.
+     */
+    getTurnBudget() {
+        const limits = [];
+        const timeoutTurn = Number(this.info.timeout_turn);
+        if (this.info.timeout_turn !== undefined && Number.isFinite(timeoutTurn)) {
+            limits.push(timeoutTurn * TURN_TIME_SHARE);
+        }
+        const timeLeft = Number(this.info.time_left);
+        if (Number(this.info.timeout_match) > 0 && Number.isFinite(timeLeft)) {
+            limits.push(timeLeft * MATCH_TIME_SHARE);
+        }
+        if (limits.length === 0) {
+            return null;
+        }
+        return Math.max(MIN_TURN_BUDGET_MS, Math.floor(Math.min(...limits)));
+    }
+
+    applyTimeBudget() {
+        const budget = this.getTurnBudget();
+        if (this.player && budget !== null) {
+            this.player.timeLimitMs = budget;
+        }
+    }
+
+    playMove() {
+        let own = 0;
+        let opponent = 0;
+        this.cells.forEach(row => row.forEach(field => {
+            own += field === FIELD_OWN ? 1 : 0;
+            opponent += field === FIELD_OPPONENT ? 1 : 0;
+        }));
+        const color = own === opponent ? BLACK : WHITE;
+        const otherColor = color === BLACK ? WHITE : BLACK;
+        const board = this.cells.map(row => row.map(field => {
+            if (field === FIELD_OWN) {
+                return color;
+            }
+            return field === FIELD_OPPONENT ? otherColor : EMPTY;
+        }));
+
+        let legalMoves;
+        if (this.rules === RULES_RENJU && color === BLACK) {
+            legalMoves = [];
+            board.forEach((cells, row) => cells.forEach((value, col) => {
+                if (value === EMPTY && !isForbiddenMove(board, row, col)) {
+                    legalMoves.push({ row, col });
+                }
+            }));
+        }
+
+        this.player.playerColor = color;
+        // `INFO rule` may arrive after START.
+        this.player.rules = this.rules;
+        const move = this.player.makeMove(board, { legalMoves });
+        if (!move) {
+            return 'ERROR no move available';
+        }
+        this.cells[move.row][move.col] = FIELD_OWN;
+        return `${move.col},${move.row}`;
+    }
+
+    describe() {
+        return Object.entries(this.about)
+            .filter(([, value]) => typeof value === 'string' && value.length > 0)
+            .map(([key, value]) => `${key}="${value.replace(/"/g, '\'')}"`)
+            .join(', ');
+    }
+}
@@ -0,0 +1,157 @@
+import { EMPTY, BLACK, WHITE } from '../../config.js';
+
+const DIRECTIONS = [[1, 0], [0, 1], [1, 1], [1, -1]];
+
+function runEnd(cells, length, player, start) {
+    let index = start;
+    while (index < length && cells[index] === player) {
+        index += 1;
+    }
+    return index;
+}
+
+/**
+ * Score every maximal run of `player` stones in one line of cells, plus every pair of runs
+ * split by a single empty cell.
+ * @param {ArrayLike<number>} cells - Cell values along the line, in order.
+ * @param {number} length - Number of cells in the line; `cells` may be a longer scratch buffer.
+ * @param {{scorePattern: Function, scoreGappedPattern: Function}} scorer -
+ *   `scorePattern(length, backwardOpen, forwardOpen)` scores a run and
+ *   `scoreGappedPattern(firstLength, secondLength, backwardOpen, forwardOpen)` a split pair,
+ *   where the flags say whether the cells just outside are empty.
+ */
+export function scoreLineRuns(cells, length, player, scorer) {
+    let score = 0;
+    let index = 0;
+    while (index < length) {
+        if (cells[index] !== player) {
+            index += 1;
+            continue;
+        }
+        const start = index;
+        index = runEnd(cells, length, player, start);
+        const backwardOpen = start > 0 && cells[start - 1] === EMPTY;
+        const forwardOpen = index < length && cells[index] === EMPTY;
+        score += scorer.scorePattern(index - start, backwardOpen, forwardOpen);
+        if (forwardOpen && index + 1 < length && cells[index + 1] === player) {
+            const gappedEnd = runEnd(cells, length, player, index + 1);
+            const gappedOpen = gappedEnd < length && cells[gappedEnd] === EMPTY;
+            score += scorer.scoreGappedPattern(index - start, gappedEnd - index - 1, backwardOpen, gappedOpen);
+        }
+    }
+    return score;
+}
+
+/**
+ * Keeps the pattern score of every row, column and diagonal of one board. After a cell of
+ * the board changes, `update` rescores only the four lines through it, so `total` costs
+ * nothing and a place/score/remove cycle touches a few dozen cells instead of the whole board.
+ * Removing the most recently placed stone restores the saved scores without rescanning.
+ *
+ * The board is read, never written: callers change it and then call `update`.
+ */
+export class LineEvaluator {
+    /**
+     * @param {number[][]} board
+     * @param {number} boardSize
+     * @param {function(ArrayLike<number>, number, number): number} scoreLine - Called with the cells
+     *   of a line, its length and a player; returns that player's score on the line.
+     */
+    constructor(board, boardSize, scoreLine) {
+        this.board = board;
+        this.boardSize = boardSize;
+        this.scoreLine = scoreLine;
+        // Each line is stored as its first cell, direction and length.
+        this.lines = [];
+        // lineIndex[direction][row * boardSize + col] is the line through that cell.
+        this.lineIndex = DIRECTIONS.map(() => new Int32Array(boardSize * boardSize));
+        DIRECTIONS.forEach(([dx, dy], direction) => {
+            for (let row = 0; row < boardSize; row++) {
+                for (let col = 0; col < boardSize; col++) {
+                    const prevRow = row - dx;
+                    const prevCol = col - dy;
+                    if (prevRow >= 0 && prevRow < boardSize && prevCol >= 0 && prevCol < boardSize) {
+                        continue;
+                    }
+                    let length = 0;
+                    let x = row;
+                    let y = col;
+                    while (x >= 0 && x < boardSize && y >= 0 && y < boardSize) {
+                        this.lineIndex[direction][x * boardSize + y] = this.lines.length;
+                        length += 1;
+                        x += dx;
+                        y += dy;
+                    }
+                    this.lines.push({ row, col, dx, dy, length });
+                }
+            }
+        });
+        this.buffer = new Int8Array(boardSize);
+        this.lineScores = new Float64Array(this.lines.length * 2);
+        this.totals = { [BLACK]: 0, [WHITE]: 0 };
+        this.lines.forEach((_, line) => this.rescoreLine(line));
+        // Scores from before each placement, newest last: the cell, then per direction the
+        // line's black and white scores, then both totals.
+        this.history = [];
+    }
+
+    rescoreLine(line) {
+        const { row, col, dx, dy, length } = this.lines[line];
+        const values = this.buffer;
+        let stones = 0;
+        for (let index = 0, x = row, y = col; index < length; index++, x += dx, y += dy) {
+            values[index] = this.board[x][y];
+            if (values[index] !== EMPTY) {
+                stones += 1;
+            }
+        }
+        const black = stones > 0 ? this.scoreLine(values, length, BLACK) : 0;
+        const white = stones > 0 ? this.scoreLine(values, length, WHITE) : 0;
+        this.totals[BLACK] += black - this.lineScores[line * 2];
+        this.totals[WHITE] += white - this.lineScores[line * 2 + 1];
+        this.lineScores[line * 2] = black;
+        this.lineScores[line * 2 + 1] = white;
+    }
+
+    /**
+     * Rescore the lines through a cell after it changed on the board.
+     */
+    update(row, col) {
+        const cell = row * this.boardSize + col;
+        const last = this.history[this.history.length - 1];
+        if (this.board[row][col] === EMPTY && last && last.cell === cell) {
+            this.history.pop();
+            for (let direction = 0; direction < DIRECTIONS.length; direction++) {
+                const line = this.lineIndex[direction][cell];
+                this.lineScores[line * 2] = last.scores[direction * 2];
+                this.lineScores[line * 2 + 1] = last.scores[direction * 2 + 1];
+            }
+            this.totals[BLACK] = last.black;
+            this.totals[WHITE] = last.white;
+            return;
+        }
+
+        if (this.board[row][col] === EMPTY) {
+            // Stones were not removed in the reverse order of placement; saved scores are stale.
+            this.history.length = 0;
+        } else {
+            const scores = new Float64Array(DIRECTIONS.length * 2);
+            for (let direction = 0; direction < DIRECTIONS.length; direction++) {
+                const line = this.lineIndex[direction][cell];
+                scores[direction * 2] = this.lineScores[line * 2];
+                scores[direction * 2 + 1] = this.lineScores[line * 2 + 1];
+            }
+            this.history.push({ cell, scores, black: this.totals[BLACK], white: this.totals[WHITE] });
+        }
+        for (let direction = 0; direction < DIRECTIONS.length; direction++) {
+            this.rescoreLine(this.lineIndex[direction][cell]);
+        }
+    }
+
+    /**
+     * @returns {number} The summed line scores of `player`.
+     */
+    total(player) {
+        return this.totals[player];
+    }
+}
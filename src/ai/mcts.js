@@ -0,0 +1,79 @@
+export const DEFAULT_MCTS_ITERATIONS = 400;
+export const DEFAULT_MCTS_EXPLORATION = Math.SQRT2;
+
+/**
+ * One position in a Monte Carlo search tree. `move` and `player` are the move that led
+ * here and who played it; `value` sums playout results from that player's point of view,
+ * each between 0 (loss) and 1 (win). Children are expanded one at a time from `untried`,
+ * which the search fills in best-first order the first time the node is expanded.
+ */
+export class MctsNode {
+    constructor(parent = null, move = null, player = null) {
+        this.parent = parent;
+        this.move = move;
+        this.player = player;
+        this.children = [];
+        this.untried = null;
+        this.visits = 0;
+        this.value = 0;
+        // Set when `move` completed a line, ending the game.
+        this.terminal = false;
+    }
+
+    get meanValue() {
+        return this.visits > 0 ? this.value / this.visits : 0;
+    }
+
+    isFullyExpanded() {
+        return this.untried !== null && this.untried.length === 0;
+    }
+
+    addChild(move, player) {
+        const child = new MctsNode(this, move, player);
+        this.children.push(child);
+        return child;
+    }
+
+    /**
+     * The child with the highest UCT (upper confidence bound) score; unvisited children first.
+     * Ties go to the earlier, better-ranked child.
+     */
+    selectChild(exploration = DEFAULT_MCTS_EXPLORATION) {
+        const logVisits = Math.log(Math.max(1, this.visits));
+        let best = null;
+        let bestScore = -Infinity;
+        for (const child of this.children) {
+            const score = child.visits === 0
+                ? Infinity
+                : child.meanValue + exploration * Math.sqrt(logVisits / child.visits);
+            if (score > bestScore) {
+                best = child;
+                bestScore = score;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * The child to play once the search is over: the most visited, then the best valued.
+     */
+    mostVisitedChild() {
+        let best = null;
+        for (const child of this.children) {
+            if (!best || child.visits > best.visits || (child.visits === best.visits && child.meanValue > best.meanValue)) {
+                best = child;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Add a playout result, given from `perspective`'s point of view, here and at every ancestor.
+     */
+    backpropagate(result, perspective) {
+        for (let node = this; node; node = node.parent) {
+            node.visits += 1;
+            node.value += node.player === perspective ? result : 1 - result;
+        }
+    }
+}
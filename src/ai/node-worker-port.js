@@ -0,0 +1,17 @@
+import { Worker } from 'node:worker_threads';
+
+import { AI_WORKER_URL } from './ai-worker-client.js';
+
+/**
+ * `AIWorkerClient` port backed by a Node `worker_threads` worker, for the benchmarks and
+ * other command-line tools: `new AIWorkerClient({ createPort: createNodeWorkerPort })`.
+ */
+export function createNodeWorkerPort(url = AI_WORKER_URL) {
+    const worker = new Worker(url);
+    return {
+        postMessage: message => worker.postMessage(message),
+        onMessage: handler => worker.on('message', handler),
+        onError: handler => worker.on('error', handler),
+        terminate: () => worker.terminate()
+    };
+}
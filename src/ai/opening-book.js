@@ -0,0 +1,136 @@
+import { EMPTY, BOARD_SIZE, WIN_LENGTH } from '../../config.js';
+import { createEmptyBoard, isListedMove, normalizeRules, normalizeVariant } from '../engine/game.js';
+import { canonicalizeBoard, restoreMove, transformPoint } from '../engine/symmetry.js';
+
+export const OPENING_BOOK_VERSION = 1;
+export const DEFAULT_BOOK_PLIES = 12;
+
+function toMoveKey(row, col) {
+    return `${row},${col}`;
+}
+
+/**
+ * Selection weight of a book move: its score (wins plus half the draws) with one win and
+ * one loss added, so untried lines keep a chance and weights follow the results as they accumulate.
+ */
+export function bookMoveWeight(stats) {
+    return (stats.wins + stats.draws / 2 + 1) / (stats.games + 2);
+}
+
+/**
+ * Opening statistics keyed by symmetry-normalised position. For every position reached in
+ * the first `maxPlies` moves of recorded games, the book counts how each reply fared for the
+ * side that played it. `toJSON()` gives the plain data the constructor accepts back.
+ *
+ * A book only applies to games with its board size, win length, rule set and variant; books
+ * saved without `rules` or `variant` are freestyle Gomoku books.
+ */
+export class OpeningBook {
+    constructor(data = {}) {
+        if (data.version !== undefined && data.version !== OPENING_BOOK_VERSION) {
+            throw new Error(`Unsupported opening book version ${data.version}`);
+        }
+        this.boardSize = Number.isInteger(data.boardSize) ? data.boardSize : BOARD_SIZE;
+        this.winLength = Number.isInteger(data.winLength) ? data.winLength : WIN_LENGTH;
+        this.rules = normalizeRules(data.rules);
+        this.variant = normalizeVariant(data.variant);
+        this.maxPlies = Number.isInteger(data.maxPlies) && data.maxPlies > 0 ? data.maxPlies : DEFAULT_BOOK_PLIES;
+        this.positions = data.positions && typeof data.positions === 'object' ? data.positions : {};
+    }
+
+    get size() {
+        return Object.keys(this.positions).length;
+    }
+
+    /**
+     * Add a finished game.
+     * @param {Array<{row: number, col: number, player: number}>} moves - Moves from the empty board.
+     * @param {?number} winner - `BLACK`, `WHITE`, or null for a draw.
+     * @returns {number} How many of its positions were recorded.
+     */
+    recordGame(moves, winner) {
+        const board = createEmptyBoard(this.boardSize);
+        let recorded = 0;
+        for (const move of moves.slice(0, this.maxPlies)) {
+            const { key, transforms } = canonicalizeBoard(board);
+            // In a symmetric position equivalent replies map to the same cell: the first in board order.
+            const { row, col } = transforms
+                .map(transform => transformPoint(move.row, move.col, transform, this.boardSize))
+                .reduce((best, cell) => (cell.row * this.boardSize + cell.col < best.row * this.boardSize + best.col ? cell : best));
+            const replies = this.positions[key] || (this.positions[key] = {});
+            const moveKey = toMoveKey(row, col);
+            const stats = replies[moveKey] || (replies[moveKey] = { games: 0, wins: 0, draws: 0, losses: 0 });
+            stats.games += 1;
+            if (winner === null || winner === undefined) {
+                stats.draws += 1;
+            } else if (winner === move.player) {
+                stats.wins += 1;
+            } else {
+                stats.losses += 1;
+            }
+            board[move.row][move.col] = move.player;
+            recorded += 1;
+        }
+        return recorded;
+    }
+
+    /**
+     * Book replies for a position, in board coordinates, heaviest first.
+     * @returns {Array<{row: number, col: number, games: number, wins: number, draws: number, losses: number, weight: number}>}
+     */
+    lookup(board) {
+        if (board.length !== this.boardSize) {
+            return [];
+        }
+        const { key, transform } = canonicalizeBoard(board);
+        const replies = this.positions[key];
+        if (!replies) {
+            return [];
+        }
+        return Object.entries(replies)
+            .map(([moveKey, stats]) => {
+                const [canonicalRow, canonicalCol] = moveKey.split(',').map(Number);
+                const { row, col } = restoreMove({ row: canonicalRow, col: canonicalCol }, transform, this.boardSize);
+                return { row, col, ...stats, weight: bookMoveWeight(stats) };
+            })
+            .filter(({ row, col }) => board[row] && board[row][col] === EMPTY)
+            .sort((a, b) => b.weight - a.weight || a.row - b.row || a.col - b.col);
+    }
+
+    /**
+     * Pick a book reply at random in proportion to its weight.
+     * @param {number[][]} board
+     * @param {function(): number} [random]
+     * @param {Array<{row: number, col: number}>} [legalMoves] - When given, only these cells qualify
+     *   (see `isListedMove`).
+     * @returns {?{row: number, col: number}}
+     */
+    chooseMove(board, random = Math.random, legalMoves = null) {
+        const replies = this.lookup(board).filter(reply => isListedMove(reply, legalMoves));
+        if (replies.length === 0) {
+            return null;
+        }
+        const total = replies.reduce((sum, reply) => sum + reply.weight, 0);
+        let threshold = random() * total;
+        for (const reply of replies) {
+            threshold -= reply.weight;
+            if (threshold < 0) {
+                return { row: reply.row, col: reply.col };
+            }
+        }
+        const last = replies[replies.length - 1];
+        return { row: last.row, col: last.col };
+    }
+
+    toJSON() {
+        return {
+            version: OPENING_BOOK_VERSION,
+            boardSize: this.boardSize,
+            winLength: this.winLength,
+            rules: this.rules,
+            variant: this.variant,
+            maxPlies: this.maxPlies,
+            positions: this.positions
+        };
+    }
+}
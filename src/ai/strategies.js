@@ -0,0 +1,97 @@
+// Option types in a strategy's schema
+export const OPTION_INTEGER = 'integer';
+export const OPTION_NUMBER = 'number';
+
+const strategies = new Map();
+
+/**
+ * Read one behavior value against its schema entry. Integers are rounded down; values that
+ * are missing, not numbers or below `min` (1 unless given) fall back to the default.
+ */
+function resolveOption(spec, value) {
+    const parsed = Number(value);
+    if (value === undefined || value === null || !Number.isFinite(parsed)) {
+        return spec.default;
+    }
+    const number = spec.type === OPTION_INTEGER ? Math.floor(parsed) : parsed;
+    const min = spec.min ?? 1;
+    return number >= min ? number : spec.default;
+}
+
+/**
+ * Make a strategy available to `AIPlayer` under `name`, which becomes a valid difficulty.
+ * Strategies are registered once per JavaScript realm, so one meant for the browser must be
+ * registered in a module the AI worker imports as well.
+ *
+ * @param {string} name
+ * @param {Object} definition
+ * @param {function(AIPlayer, number[][], ?Object, Object): ?{row: number, col: number}} definition.selectMove -
+ *   Chooses a move for `player.playerColor`. The board may be changed through `player.setCell`
+ *   but must be left as it was; the metrics object, when given, collects telemetry. The last
+ *   argument holds the strategy's resolved options.
+ * @param {string} [definition.label] - Name shown to players; defaults to `name`.
+ * @param {string} [definition.description]
+ * @param {Object<string, {type: string, default: number, min?: number, description?: string}>} [definition.options] -
+ *   Behavior keys the strategy reads. `AIPlayer` resolves them into `player.strategyOptions[name]`.
+ * @param {boolean} [definition.pairSearch=true] - Whether Connect6 turns use the pair search;
+ *   otherwise both stones are chosen one at a time with `selectMove`.
+ */
+export function registerStrategy(name, definition) {
+    if (typeof name !== 'string' || name.trim().length === 0) {
+        throw new Error('Strategy name must be a non-empty string');
+    }
+    if (!definition || typeof definition.selectMove !== 'function') {
+        throw new Error(`Strategy "${name}" needs a selectMove function`);
+    }
+    if (strategies.has(name)) {
+        throw new Error(`Strategy "${name}" is already registered`);
+    }
+    strategies.set(name, {
+        name,
+        label: typeof definition.label === 'string' ? definition.label : name,
+        description: typeof definition.description === 'string' ? definition.description : null,
+        options: { ...(definition.options || {}) },
+        pairSearch: definition.pairSearch !== false,
+        selectMove: definition.selectMove
+    });
+}
+
+export function unregisterStrategy(name) {
+    return strategies.delete(name);
+}
+
+/**
+ * @returns {?Object} The registered definition, or null for an unknown name.
+ */
+export function getStrategy(name) {
+    return strategies.get(name) || null;
+}
+
+export function hasStrategy(name) {
+    return strategies.has(name);
+}
+
+/**
+ * Registered strategies in registration order, without their move functions, e.g. to fill a menu.
+ * @returns {Array<{name: string, label: string, description: ?string, options: Object}>}
+ */
+export function listStrategies() {
+    return Array.from(strategies.values(), ({ name, label, description, options }) => ({ name, label, description, options }));
+}
+
+/**
+ * Resolve every option of every registered strategy from a behavior object, so a player keeps
+ * valid settings whichever strategy it is switched to. Options are grouped by strategy, so two
+ * strategies may declare the same key with their own defaults.
+ * @returns {Object<string, Object<string, number>>} Resolved options by strategy name.
+ */
+export function resolveStrategyOptions(behavior = {}) {
+    const resolved = {};
+    strategies.forEach(({ name, options }) => {
+        resolved[name] = {};
+        Object.entries(options).forEach(([key, spec]) => {
+            resolved[name][key] = resolveOption(spec, behavior[key]);
+        });
+    });
+    return resolved;
+}
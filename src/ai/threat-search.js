@@ -0,0 +1,317 @@
+import { EMPTY, BLACK, WHITE } from '../../config.js';
+import { checkWin, normalizeRules, normalizeWinLength, RULES_RENJU } from '../engine/game.js';
+import { isForbiddenMove } from '../engine/renju.js';
+
+// Search modes
+export const THREAT_VCF = 'vcf';
+export const THREAT_VCT = 'vct';
+
+export const DEFAULT_VCF_DEPTH = 10;
+export const DEFAULT_VCT_DEPTH = 3;
+export const DEFAULT_THREAT_NODE_LIMIT = 5000;
+
+const DIRECTIONS = [[1, 0], [0, 1], [1, 1], [1, -1]];
+
+function isInside(size, row, col) {
+    return row >= 0 && row < size && col >= 0 && col < size;
+}
+
+function opponentOf(player) {
+    return player === BLACK ? WHITE : BLACK;
+}
+
+function canPlay(context, row, col, player) {
+    const { board } = context;
+    if (board[row][col] !== EMPTY) {
+        return false;
+    }
+    return !(context.rules === RULES_RENJU && player === BLACK && isForbiddenMove(board, row, col));
+}
+
+function hasNeighbor(board, row, col, player) {
+    for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+            if ((dx !== 0 || dy !== 0) && isInside(board.length, row + dx, col + dy) && board[row + dx][col + dy] === player) {
+                return true;
+            }
+        }
+    }
+    return false;
+}
+
+function completesFive(context, row, col, player) {
+    // Any winning line through the cell runs through one of its neighbours.
+    if (!hasNeighbor(context.board, row, col, player) || !canPlay(context, row, col, player)) {
+        return false;
+    }
+    context.board[row][col] = player;
+    const win = checkWin(context.board, row, col, context.checkOptions);
+    context.board[row][col] = EMPTY;
+    return win;
+}
+
+function findWinningCell(context, player) {
+    const size = context.board.length;
+    for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+            if (completesFive(context, row, col, player)) {
+                return { row, col };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Cells that win for `player` on lines through (`row`, `col`), which must hold one of its stones.
+ */
+function findCompletionsThrough(context, row, col, player) {
+    const { board, winLength } = context;
+    const completions = [];
+    for (const [dx, dy] of DIRECTIONS) {
+        for (let offset = 1 - winLength; offset < winLength; offset++) {
+            const x = row + dx * offset;
+            const y = col + dy * offset;
+            if (offset === 0 || !isInside(board.length, x, y) || board[x][y] !== EMPTY) {
+                continue;
+            }
+            if (!completions.some(cell => cell.row === x && cell.col === y) && completesFive(context, x, y, player)) {
+                completions.push({ row: x, col: y });
+            }
+        }
+    }
+    return completions;
+}
+
+/**
+ * Empty cells of every `winLength` window that holds `stones` of `player`'s stones and no
+ * opponent stones, in board order.
+ */
+function findWindowCells(context, player, stones) {
+    const { board, winLength } = context;
+    const size = board.length;
+    const opponent = opponentOf(player);
+    const seen = new Set();
+    for (let row = 0; row < size; row++) {
+        for (let col = 0; col < size; col++) {
+            for (const [dx, dy] of DIRECTIONS) {
+                const endRow = row + dx * (winLength - 1);
+                const endCol = col + dy * (winLength - 1);
+                if (!isInside(size, endRow, endCol)) {
+                    continue;
+                }
+                let own = 0;
+                let blocked = false;
+                for (let step = 0; step < winLength && !blocked; step++) {
+                    const cell = board[row + dx * step][col + dy * step];
+                    if (cell === player) {
+                        own += 1;
+                    } else if (cell === opponent) {
+                        blocked = true;
+                    }
+                }
+                if (blocked || own !== stones) {
+                    continue;
+                }
+                for (let step = 0; step < winLength; step++) {
+                    const x = row + dx * step;
+                    const y = col + dy * step;
+                    if (board[x][y] === EMPTY) {
+                        seen.add(x * size + y);
+                    }
+                }
+            }
+        }
+    }
+    return Array.from(seen).sort((a, b) => a - b).map(index => ({ row: Math.floor(index / size), col: index % size }));
+}
+
+/**
+ * Moves that give `player` a four: a position one stone short of a win.
+ */
+function findFourMoves(context, player) {
+    return findWindowCells(context, player, context.winLength - 2);
+}
+
+/**
+ * The cells the opponent can use to stop `player` from making an open four (a four with two
+ * winning cells) next move, or null when it threatens none. Called right after `player` made
+ * a three; any open four it had before would already have been played as a four.
+ */
+function findThreeDefenses(context, player) {
+    const { board } = context;
+    const defenses = new Map();
+    const addDefense = cell => defenses.set(cell.row * board.length + cell.col, cell);
+    for (const move of findWindowCells(context, player, context.winLength - 2)) {
+        if (!canPlay(context, move.row, move.col, player)) {
+            continue;
+        }
+        board[move.row][move.col] = player;
+        const completions = findCompletionsThrough(context, move.row, move.col, player);
+        board[move.row][move.col] = EMPTY;
+        if (completions.length >= 2) {
+            addDefense(move);
+            completions.forEach(addDefense);
+        }
+    }
+    if (defenses.size === 0) {
+        return null;
+    }
+    return Array.from(defenses.keys()).sort((a, b) => a - b).map(key => defenses.get(key));
+}
+
+function step(player, cell) {
+    return { row: cell.row, col: cell.col, player };
+}
+
+function searchAttack(context, depth) {
+    const { board, attacker, defender } = context;
+    context.nodes += 1;
+    if (context.nodes > context.maxNodes) {
+        context.exhausted = true;
+        return null;
+    }
+
+    const win = findWinningCell(context, attacker);
+    if (win) {
+        return [step(attacker, win)];
+    }
+    if (depth === 0 || findWinningCell(context, defender)) {
+        // A defender four would have to be answered, which breaks the chain of threats.
+        return null;
+    }
+
+    for (const move of findFourMoves(context, attacker)) {
+        if (!canPlay(context, move.row, move.col, attacker)) {
+            continue;
+        }
+        board[move.row][move.col] = attacker;
+        const completions = findCompletionsThrough(context, move.row, move.col, attacker);
+        let line = null;
+        if (completions.length >= 2) {
+            line = [step(attacker, move), step(defender, completions[0]), step(attacker, completions[1])];
+        } else if (completions.length === 1) {
+            const [block] = completions;
+            if (!canPlay(context, block.row, block.col, defender)) {
+                // Renju: Black may not block on a forbidden point.
+                line = [step(attacker, move), step(attacker, block)];
+            } else {
+                board[block.row][block.col] = defender;
+                if (!checkWin(board, block.row, block.col, context.checkOptions)) {
+                    const rest = searchAttack(context, depth - 1);
+                    if (rest) {
+                        line = [step(attacker, move), step(defender, block), ...rest];
+                    }
+                }
+                board[block.row][block.col] = EMPTY;
+            }
+        }
+        board[move.row][move.col] = EMPTY;
+        if (line) {
+            return line;
+        }
+        if (context.exhausted) {
+            return null;
+        }
+    }
+
+    if (context.mode !== THREAT_VCT) {
+        return null;
+    }
+
+    for (const move of findWindowCells(context, attacker, context.winLength - 3)) {
+        if (!canPlay(context, move.row, move.col, attacker)) {
+            continue;
+        }
+        board[move.row][move.col] = attacker;
+        let line = null;
+        const defenses = findThreeDefenses(context, attacker);
+        if (defenses) {
+            // Besides blocking, the defender may counter with a four of its own.
+            const replies = defenses.concat(findFourMoves(context, defender)
+                .filter(cell => !defenses.some(defense => defense.row === cell.row && defense.col === cell.col)));
+            let mainLine = null;
+            let refuted = false;
+            for (const reply of replies) {
+                if (!canPlay(context, reply.row, reply.col, defender)) {
+                    continue;
+                }
+                board[reply.row][reply.col] = defender;
+                const rest = searchAttack(context, depth - 1);
+                board[reply.row][reply.col] = EMPTY;
+                if (!rest) {
+                    refuted = true;
+                    break;
+                }
+                if (!mainLine) {
+                    mainLine = [step(defender, reply), ...rest];
+                }
+            }
+            if (!refuted && mainLine) {
+                line = [step(attacker, move), ...mainLine];
+            }
+        }
+        board[move.row][move.col] = EMPTY;
+        if (line) {
+            return line;
+        }
+        if (context.exhausted) {
+            return null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Look for a forced win for `player`, who is to move: a victory by continuous fours (VCF),
+ * or with `mode: 'vct'` one where threes may also be used as threats (VCT).
+ *
+ * Every threat is checked against all of the defender's answers, so a reported win is
+ * forced within the given depth. A defender's counter-four ends the line, which can miss
+ * wins that answer it with a four of their own.
+ *
+ * @param {number[][]} board - Board matrix (left unchanged).
+ * @param {number} player - Colour of the attacker.
+ * @param {Object} [options]
+ * @param {('vcf'|'vct')} [options.mode='vcf']
+ * @param {number} [options.maxDepth] - Threats (fours, or for VCT also threes) the attacker may
+ *   play before the winning stone.
+ * @param {number} [options.maxNodes] - Positions to visit before giving up.
+ * @param {string} [options.rules] - Engine rule set; Renju forbids Black's overlines, double
+ *   fours and double threes.
+ * @param {number} [options.winLength]
+ * @returns {{mode: string, sequence: ?Array<{row: number, col: number, player: number}>, nodes: number, exhausted: boolean}}
+ *   `sequence` is the winning line, alternating attacker and defender moves and ending with the
+ *   winning stone, or null when none was found. For VCT only the first defence of each three is
+ *   shown; under Renju a Black defender that may not block is skipped. `exhausted` is true when
+ *   the node limit cut the search short.
+ */
+export function findForcingWin(board, player, options = {}) {
+    const mode = options.mode === THREAT_VCT ? THREAT_VCT : THREAT_VCF;
+    const rules = normalizeRules(options.rules);
+    const winLength = rules === RULES_RENJU ? 5 : normalizeWinLength(options.winLength);
+    const defaultDepth = mode === THREAT_VCT ? DEFAULT_VCT_DEPTH : DEFAULT_VCF_DEPTH;
+    const context = {
+        board: board.map(row => row.slice()),
+        attacker: player,
+        defender: opponentOf(player),
+        mode,
+        rules,
+        winLength,
+        checkOptions: { rules, winLength },
+        maxNodes: Number.isInteger(options.maxNodes) && options.maxNodes > 0 ? options.maxNodes : DEFAULT_THREAT_NODE_LIMIT,
+        nodes: 0,
+        exhausted: false
+    };
+    const maxDepth = Number.isInteger(options.maxDepth) && options.maxDepth > 0 ? options.maxDepth : defaultDepth;
+    const sequence = searchAttack(context, maxDepth);
+    return { mode, sequence, nodes: Math.min(context.nodes, context.maxNodes), exhausted: context.exhausted };
+}
+
+export function findVCF(board, player, options = {}) {
+    return findForcingWin(board, player, { ...options, mode: THREAT_VCF });
+}
+
+export function findVCT(board, player, options = {}) {
+    return findForcingWin(board, player, { ...options, mode: THREAT_VCT });
+}
@@ -0,0 +1,112 @@
+import { BLACK } from '../../config.js';
+
+// Bound stored with a transposition table entry
+export const TT_EXACT = 'exact';
+export const TT_LOWER = 'lower';
+export const TT_UPPER = 'upper';
+
+export const DEFAULT_TRANSPOSITION_TABLE_SIZE = 50000;
+
+// Fixed seed so every player hashes positions the same way.
+const ZOBRIST_SEED = 0x9e3779b9;
+
+function createKeyGenerator(seed) {
+    let state = seed >>> 0;
+    // mulberry32
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let value = state;
+        value = Math.imul(value ^ (value >>> 15), value | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+        return (value ^ (value >>> 14)) >>> 0;
+    };
+}
+
+/**
+ * Zobrist keys for one board size. A hash is a `{hi, lo}` pair of 32-bit halves that
+ * `toggle` updates in place as stones are placed and removed; `key` folds it into a
+ * number that is safe to use as a `Map` key.
+ */
+export class ZobristHasher {
+    constructor(boardSize) {
+        this.boardSize = boardSize;
+        const next = createKeyGenerator(ZOBRIST_SEED);
+        // Two keys per cell (black, white), then side-to-move and perspective keys per colour.
+        const count = boardSize * boardSize * 2 + 4;
+        this.hi = new Uint32Array(count);
+        this.lo = new Uint32Array(count);
+        for (let index = 0; index < count; index++) {
+            this.hi[index] = next();
+            this.lo[index] = next();
+        }
+        this.extraOffset = boardSize * boardSize * 2;
+    }
+
+    indexOf(row, col, color) {
+        return (row * this.boardSize + col) * 2 + (color === BLACK ? 0 : 1);
+    }
+
+    hashBoard(board) {
+        const hash = { hi: 0, lo: 0 };
+        for (let row = 0; row < this.boardSize; row++) {
+            for (let col = 0; col < this.boardSize; col++) {
+                if (board[row][col] !== 0) {
+                    this.toggle(hash, row, col, board[row][col]);
+                }
+            }
+        }
+        return hash;
+    }
+
+    toggle(hash, row, col, color) {
+        const index = this.indexOf(row, col, color);
+        hash.hi = (hash.hi ^ this.hi[index]) >>> 0;
+        hash.lo = (hash.lo ^ this.lo[index]) >>> 0;
+    }
+
+    /**
+     * @param {{hi: number, lo: number}} hash
+     * @param {number} toMove - Colour whose turn it is.
+     * @param {number} perspective - Colour the stored scores are relative to.
+     * @returns {number} A 53-bit integer key.
+     */
+    key(hash, toMove, perspective) {
+        const side = this.extraOffset + (toMove === BLACK ? 0 : 1);
+        const view = this.extraOffset + (perspective === BLACK ? 2 : 3);
+        const hi = (hash.hi ^ this.hi[side] ^ this.hi[view]) & 0x1fffff;
+        const lo = (hash.lo ^ this.lo[side] ^ this.lo[view]) >>> 0;
+        return hi * 0x100000000 + lo;
+    }
+}
+
+/**
+ * Bounded map from position keys to `{depth, score, flag, bestMove}`. When full, the oldest
+ * entry makes room for the new one.
+ */
+export class TranspositionTable {
+    constructor(maxEntries = DEFAULT_TRANSPOSITION_TABLE_SIZE) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    get(key) {
+        return this.entries.get(key);
+    }
+
+    set(key, entry) {
+        if (this.entries.has(key)) {
+            this.entries.delete(key);
+        } else if (this.entries.size >= this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+        this.entries.set(key, entry);
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
@@ -0,0 +1,140 @@
+import AIPlayer from '../../ai-player.js';
+
+// Requests sent to the AI worker
+export const AI_CREATE_PLAYER = 'create-player';
+export const AI_RELEASE_PLAYER = 'release-player';
+export const AI_REQUEST_MOVE = 'request-move';
+export const AI_REQUEST_TURN = 'request-turn';
+export const AI_REQUEST_OPENING = 'request-opening';
+export const AI_CANCEL = 'cancel';
+
+// Messages posted back by the worker
+export const AI_STARTED = 'started';
+export const AI_PROGRESS = 'progress';
+export const AI_TELEMETRY = 'telemetry';
+export const AI_RESULT = 'result';
+export const AI_ERROR = 'error';
+export const AI_CANCELLED = 'cancelled';
+
+/**
+ * Park-Miller generator used by seeded players, matching the benchmark runners so a seed
+ * plays the same game in and out of a worker.
+ */
+export function createSeededRandom(seedValue) {
+    let state = Math.floor(seedValue) % 2147483647;
+    if (state <= 0) {
+        state += 2147483646;
+    }
+    return () => {
+        state = (state * 16807) % 2147483647;
+        return (state - 1) / 2147483646;
+    };
+}
+
+/**
+ * Message handler for the worker side of the AI protocol. Players live for the lifetime of
+ * the worker so their random streams carry over between moves.
+ *
+ * Requests are queued and started on a later tick, so a `cancel` that arrives before a
+ * request starts drops it. A search that has started runs to completion; the client stops
+ * it by terminating the worker.
+ *
+ * @param {function(Object): void} post - Sends a message back to the client.
+ * @param {Object} [options]
+ * @param {function(function(): void): void} [options.schedule] - Defers queued work; defaults to `setTimeout(fn, 0)`.
+ * @returns {function(Object): void} Handler for incoming messages.
+ */
+export function createAIWorkerHandler(post, options = {}) {
+    const { schedule = callback => setTimeout(callback, 0) } = options;
+    const players = new Map();
+    const queue = [];
+    let draining = false;
+
+    const createPlayer = ({ playerId, difficulty, playerColor, options: playerOptions = {} }) => {
+        const { seed, telemetry, ...rest } = playerOptions;
+        players.set(playerId, new AIPlayer(difficulty, playerColor, {
+            ...rest,
+            random: Number.isFinite(seed) ? createSeededRandom(seed) : undefined,
+            telemetry: telemetry ? entry => post({ type: AI_TELEMETRY, playerId, entry }) : null
+        }));
+    };
+
+    const run = request => {
+        const player = players.get(request.playerId);
+        if (!player) {
+            throw new Error(`Unknown AI player "${request.playerId}"`);
+        }
+        if (request.difficulty) {
+            player.difficulty = request.difficulty;
+        }
+        if (request.playerColor !== undefined) {
+            player.playerColor = request.playerColor;
+        }
+        if (request.type === AI_REQUEST_OPENING) {
+            return player.chooseOpening(request.board, request.choices);
+        }
+        if (request.type === AI_REQUEST_TURN) {
+            return player.makeTurn(request.board, { stonesRemaining: request.stonesRemaining, legalMoves: request.legalMoves });
+        }
+        return player.makeMove(request.board, {
+            legalMoves: request.legalMoves,
+            onProgress: progress => post({ type: AI_PROGRESS, id: request.id, progress })
+        });
+    };
+
+    const drain = () => {
+        draining = false;
+        const request = queue.shift();
+        if (!request) {
+            return;
+        }
+        post({ type: AI_STARTED, id: request.id });
+        try {
+            post({ type: AI_RESULT, id: request.id, result: run(request) });
+        } catch (error) {
+            post({ type: AI_ERROR, id: request.id, message: error instanceof Error ? error.message : String(error) });
+        }
+        scheduleDrain();
+    };
+
+    const scheduleDrain = () => {
+        if (!draining && queue.length > 0) {
+            draining = true;
+            schedule(drain);
+        }
+    };
+
+    return message => {
+        if (!message || typeof message !== 'object') {
+            return;
+        }
+        switch (message.type) {
+            case AI_CREATE_PLAYER:
+                try {
+                    createPlayer(message);
+                } catch (error) {
+                    post({ type: AI_ERROR, id: null, playerId: message.playerId, message: error.message });
+                }
+                break;
+            case AI_RELEASE_PLAYER:
+                players.delete(message.playerId);
+                break;
+            case AI_REQUEST_MOVE:
+            case AI_REQUEST_TURN:
+            case AI_REQUEST_OPENING:
+                queue.push(message);
+                scheduleDrain();
+                break;
+            case AI_CANCEL: {
+                const index = queue.findIndex(request => request.id === message.id);
+                if (index >= 0) {
+                    queue.splice(index, 1);
+                    post({ type: AI_CANCELLED, id: message.id });
+                }
+                break;
+            }
+            default:
+                post({ type: AI_ERROR, id: message.id ?? null, message: `Unknown AI worker message "${message.type}"` });
+        }
+    };
+}
@@ -0,0 +1,395 @@
+import { BLACK, WHITE } from '../../config.js';
+import { GomokuEngine, RULES_FREESTYLE } from './game.js';
+import { coordsToLabel } from './record.js';
+
+export const FORMAT_RECORD = 'record';
+export const FORMAT_PSQ = 'psq';
+export const FORMAT_POS = 'pos';
+export const FORMAT_RENLIB = 'renlib';
+
+// Gomocup tournaments are played on 20x20 boards; RenLib libraries are always 15x15.
+export const PSQ_DEFAULT_BOARD_SIZE = 20;
+export const RENLIB_BOARD_SIZE = 15;
+
+const FORMAT_EXTENSIONS = {
+    txt: FORMAT_RECORD,
+    psq: FORMAT_PSQ,
+    pos: FORMAT_POS,
+    lib: FORMAT_RENLIB
+};
+
+const RENLIB_MAGIC = [0xFF, 0x52, 0x65, 0x6E, 0x4C, 0x69, 0x62, 0xFF]; // "\xFFRenLib\xFF"
+const RENLIB_HEADER_SIZE = 20;
+const RENLIB_VERSION = [3, 4];
+
+// Node flag bits. A node without DOWN is followed by its first child; a node with RIGHT
+// has a later sibling, written once its own subtree is complete.
+const RENLIB_DOWN = 0x80;
+const RENLIB_RIGHT = 0x40;
+const RENLIB_OLD_COMMENT = 0x20;
+const RENLIB_COMMENT = 0x08;
+const RENLIB_EXTENSION = 0x01;
+
+/**
+ * Guess the format of a game file from its name.
+ * @returns {?string} One of the `FORMAT_*` names, or null for unknown extensions.
+ */
+export function detectGameFormat(fileName) {
+    const match = /\.([a-z0-9]+)$/i.exec(String(fileName));
+    return match ? FORMAT_EXTENSIONS[match[1].toLowerCase()] || null : null;
+}
+
+function toBytes(data) {
+    if (data instanceof Uint8Array) {
+        return data;
+    }
+    if (data instanceof ArrayBuffer) {
+        return new Uint8Array(data);
+    }
+    if (ArrayBuffer.isView(data)) {
+        return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    }
+    throw new Error('Binary game data must be an ArrayBuffer or Uint8Array');
+}
+
+function checkBounds(move, boardSize, source) {
+    if (move.row < 0 || move.col < 0 || move.row >= boardSize || move.col >= boardSize) {
+        throw new Error(`${source} move [${move.row}, ${move.col}] is outside a ${boardSize}x${boardSize} board`);
+    }
+}
+
+/**
+ * Read a Gomocup/Piskvork `.psq` record: a `Piskvork 20x20, ...` header, one `x,y[,time]`
+ * line per move with 1-based coordinates, then free-form trailer lines (engine names, etc.).
+ *
+ * @returns {{boardSize: number, moves: Array<{row: number, col: number}>, times: Array<?number>}}
+ */
+export function parsePsq(text) {
+    if (typeof text !== 'string') {
+        throw new Error('PSQ record must be a string');
+    }
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+    let boardSize = PSQ_DEFAULT_BOARD_SIZE;
+    let index = 0;
+    const header = lines.length > 0 ? /^Piskvork\s+(\d+)\s*x\s*(\d+)/i.exec(lines[0]) : null;
+    if (header) {
+        if (header[1] !== header[2]) {
+            throw new Error(`Unsupported PSQ board ${header[1]}x${header[2]}`);
+        }
+        boardSize = Number(header[1]);
+        index = 1;
+    }
+
+    const moves = [];
+    const times = [];
+    for (; index < lines.length; index += 1) {
+        const match = /^(\d+)\s*,\s*(\d+)(?:\s*,\s*(-?\d+))?$/.exec(lines[index]);
+        if (!match) {
+            break;
+        }
+        const move = { row: Number(match[2]) - 1, col: Number(match[1]) - 1 };
+        checkBounds(move, boardSize, 'PSQ');
+        moves.push(move);
+        times.push(match[3] === undefined ? null : Number(match[3]));
+    }
+    return { boardSize, moves, times };
+}
+
+/**
+ * Write the engine's move history as a `.psq` record. Move times are written as 0.
+ */
+export function serializePsq(engine) {
+    const lines = [`Piskvork ${engine.boardSize}x${engine.boardSize}, 11:11, 0`];
+    engine.getMoveHistory().forEach(move => {
+        lines.push(`${move.col + 1},${move.row + 1},0`);
+    });
+    lines.push('-1');
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Read a Piskvork `.pos` position: one byte with the move count, then an `x`, `y` byte
+ * pair (0-based) per move.
+ *
+ * @returns {{moves: Array<{row: number, col: number}>}}
+ */
+export function parsePos(data) {
+    const bytes = toBytes(data);
+    if (bytes.length === 0) {
+        throw new Error('POS file is empty');
+    }
+    const count = bytes[0];
+    if (bytes.length < 1 + count * 2) {
+        throw new Error(`POS file is truncated: expected ${count} moves`);
+    }
+    const moves = [];
+    for (let index = 0; index < count; index += 1) {
+        moves.push({ row: bytes[2 + index * 2], col: bytes[1 + index * 2] });
+    }
+    return { moves };
+}
+
+export function serializePos(engine) {
+    const history = engine.getMoveHistory();
+    if (history.length > 255) {
+        throw new Error('POS files hold at most 255 moves');
+    }
+    const bytes = new Uint8Array(1 + history.length * 2);
+    bytes[0] = history.length;
+    history.forEach((move, index) => {
+        bytes[1 + index * 2] = move.col;
+        bytes[2 + index * 2] = move.row;
+    });
+    return bytes;
+}
+
+function decodeRenLibMove(value) {
+    return { row: (value - 1) >> 4, col: (value - 1) & 0x0F };
+}
+
+function encodeRenLibMove(move) {
+    return move.row * 16 + move.col + 1;
+}
+
+function readCString(bytes, offset) {
+    let end = offset;
+    while (end < bytes.length && bytes[end] !== 0) {
+        end += 1;
+    }
+    if (end >= bytes.length) {
+        throw new Error('RenLib comment is not terminated');
+    }
+    return { text: String.fromCharCode(...bytes.subarray(offset, end)), next: end + 1 };
+}
+
+/**
+ * Read a RenLib `.lib` library into a variation tree in the shape `GomokuEngine#loadState`
+ * accepts as `variations`. Black plays first and colours alternate with depth; node
+ * comments are kept as `comment` on the corresponding move.
+ *
+ * @returns {{boardSize: number, variations: Object}}
+ */
+export function parseRenLib(data) {
+    const bytes = toBytes(data);
+    if (bytes.length < RENLIB_HEADER_SIZE || RENLIB_MAGIC.some((value, index) => bytes[index] !== value)) {
+        throw new Error('Not a RenLib library');
+    }
+
+    const root = { move: null, children: [], depth: 0 };
+    const pending = [];
+    let parent = root;
+    let offset = RENLIB_HEADER_SIZE;
+    let first = true;
+
+    while (offset + 1 < bytes.length) {
+        const value = bytes[offset];
+        const flags = bytes[offset + 1];
+        offset += 2;
+        if (flags & RENLIB_EXTENSION) {
+            throw new Error('RenLib extension records are not supported');
+        }
+
+        let node;
+        if (value === 0) {
+            // Libraries may start with an empty root node; any other pass is unsupported.
+            if (!first) {
+                throw new Error('RenLib pass moves are not supported');
+            }
+            node = root;
+        } else {
+            const move = decodeRenLibMove(value);
+            checkBounds(move, RENLIB_BOARD_SIZE, 'RenLib');
+            const depth = parent.depth + 1;
+            node = { move: { ...move, player: depth % 2 === 1 ? BLACK : WHITE }, children: [], depth };
+            parent.children.push(node);
+        }
+        first = false;
+
+        if (flags & (RENLIB_COMMENT | RENLIB_OLD_COMMENT)) {
+            const { text, next } = readCString(bytes, offset);
+            offset = next;
+            if (node.move && text.length > 0) {
+                node.move.comment = text;
+            }
+        }
+        if (flags & RENLIB_RIGHT) {
+            pending.push(parent);
+        }
+        if (!(flags & RENLIB_DOWN)) {
+            parent = node;
+        } else if (pending.length > 0) {
+            parent = pending.pop();
+        } else {
+            break;
+        }
+    }
+
+    const strip = node => ({ move: node.move, children: node.children.map(strip) });
+    return { boardSize: RENLIB_BOARD_SIZE, variations: strip(root) };
+}
+
+/**
+ * Write a variation tree (or an engine's whole tree) as a RenLib `.lib` library.
+ */
+export function serializeRenLib(source) {
+    const tree = source instanceof GomokuEngine ? source.getVariationTree() : source;
+    if (source instanceof GomokuEngine && source.boardSize !== RENLIB_BOARD_SIZE) {
+        throw new Error(`RenLib libraries are ${RENLIB_BOARD_SIZE}x${RENLIB_BOARD_SIZE} only`);
+    }
+    const bytes = [...RENLIB_MAGIC, ...RENLIB_VERSION];
+    while (bytes.length < RENLIB_HEADER_SIZE) {
+        bytes.push(0xFF);
+    }
+
+    const writeNode = (node, hasSibling, depth) => {
+        if (depth % 2 === 1 ? node.move.player !== BLACK : node.move.player !== WHITE) {
+            throw new Error(`RenLib lines must alternate colours starting with Black (${coordsToLabel(node.move.row, node.move.col)})`);
+        }
+        checkBounds(node.move, RENLIB_BOARD_SIZE, 'RenLib');
+        let flags = 0;
+        if (node.children.length === 0) {
+            flags |= RENLIB_DOWN;
+        }
+        if (hasSibling) {
+            flags |= RENLIB_RIGHT;
+        }
+        if (node.move.comment) {
+            flags |= RENLIB_COMMENT;
+        }
+        bytes.push(encodeRenLibMove(node.move), flags);
+        if (node.move.comment) {
+            bytes.push(...Array.from(node.move.comment, char => char.charCodeAt(0) & 0xFF), 0);
+        }
+        node.children.forEach((child, index) => writeNode(child, index < node.children.length - 1, depth + 1));
+    };
+
+    if (tree.children.length !== 1) {
+        // An empty root lets several first moves (or none) share one library.
+        bytes.push(0, tree.children.length === 0 ? RENLIB_DOWN : 0);
+    }
+    tree.children.forEach((child, index) => writeNode(child, index < tree.children.length - 1, 1));
+    return Uint8Array.from(bytes);
+}
+
+/**
+ * Every root-to-leaf line of a variation tree, mainline first.
+ * @returns {Array<Array<{row: number, col: number, player: number}>>}
+ */
+export function listVariationLines(variations) {
+    const lines = [];
+    const walk = (node, line) => {
+        const next = node.move ? [...line, { row: node.move.row, col: node.move.col, player: node.move.player }] : line;
+        if (node.children.length === 0) {
+            if (next.length > 0) {
+                lines.push(next);
+            }
+            return;
+        }
+        node.children.forEach(child => walk(child, next));
+    };
+    walk(variations, []);
+    return lines;
+}
+
+function findRecenterShift(moves, fromSize, toSize) {
+    const shift = values => {
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        if (max - min + 1 > toSize) {
+            throw new Error(`Game does not fit on a ${toSize}x${toSize} board`);
+        }
+        // Keep the stones where they were relative to the board centre, clamped to fit.
+        return Math.min(toSize - 1 - max, Math.max(-min, Math.floor((toSize - fromSize) / 2)));
+    };
+    return { rowShift: shift(moves.map(move => move.row)), colShift: shift(moves.map(move => move.col)) };
+}
+
+/**
+ * Shift moves recorded on one board size so they are centred on another.
+ * @throws {Error} When the stones do not fit on the target board.
+ */
+export function recenterMoves(moves, fromSize, toSize) {
+    if (fromSize === toSize || moves.length === 0) {
+        return moves.map(move => ({ ...move }));
+    }
+    const { rowShift, colShift } = findRecenterShift(moves, fromSize, toSize);
+    return moves.map(move => ({ ...move, row: move.row + rowShift, col: move.col + colShift }));
+}
+
+function recenterTree(variations, fromSize, toSize) {
+    const moves = listVariationLines(variations).flat();
+    if (fromSize === toSize || moves.length === 0) {
+        return variations;
+    }
+    // One offset for the whole tree keeps transpositions between lines intact.
+    const { rowShift, colShift } = findRecenterShift(moves, fromSize, toSize);
+    const shift = node => ({
+        move: node.move ? { ...node.move, row: node.move.row + rowShift, col: node.move.col + colShift } : null,
+        children: node.children.map(shift)
+    });
+    return shift(variations);
+}
+
+/**
+ * Replay moves into a new engine, validating each one against the engine's rules.
+ *
+ * @param {Array<{row: number, col: number}>} moves - Moves in play order.
+ * @param {Object} [options] - `GomokuEngine` constructor options.
+ * @returns {GomokuEngine}
+ */
+export function createEngineFromMoves(moves, options = {}) {
+    const engine = new GomokuEngine(options);
+    moves.forEach((move, index) => {
+        const outcome = engine.applyMove(move.row, move.col);
+        if (outcome.status === 'invalid') {
+            throw new Error(`Illegal move ${coordsToLabel(move.row, move.col)} at move ${index + 1} (${outcome.reason})`);
+        }
+    });
+    return engine;
+}
+
+/**
+ * Load a `.psq`, `.pos` or `.lib` file into a new engine. RenLib libraries keep every
+ * line as a variation with the mainline played out.
+ *
+ * @param {string|ArrayBuffer|Uint8Array} data - File contents; `.psq` is text, the others binary.
+ * @param {string} format - `FORMAT_PSQ`, `FORMAT_POS` or `FORMAT_RENLIB`.
+ * @param {Object} [options]
+ * @param {number} [options.boardSize] - Board to replay on; moves are re-centred when it differs
+ *   from the recorded size. `.pos` files carry no size and default to the engine default.
+ * @param {number} [options.maxBoardSize] - Largest board to use when `boardSize` is not given,
+ *   e.g. to fit 20x20 tournament games on a 19x19 board.
+ * @param {string} [options.rules] - Rule set used to validate the moves (freestyle by default).
+ * @returns {{engine: GomokuEngine, format: string, boardSize: number}}
+ */
+export function importGame(data, format, options = {}) {
+    const { rules = RULES_FREESTYLE, maxBoardSize = Infinity } = options;
+    const pickSize = recorded => options.boardSize ?? Math.min(recorded, maxBoardSize);
+    if (format === FORMAT_PSQ) {
+        const text = typeof data === 'string' ? data : new TextDecoder().decode(toBytes(data));
+        const parsed = parsePsq(text);
+        const boardSize = pickSize(parsed.boardSize);
+        const moves = recenterMoves(parsed.moves, parsed.boardSize, boardSize);
+        return { engine: createEngineFromMoves(moves, { boardSize, rules }), format, boardSize };
+    }
+    if (format === FORMAT_POS) {
+        const { moves } = parsePos(data);
+        const engine = createEngineFromMoves(moves, { boardSize: options.boardSize, rules });
+        return { engine, format, boardSize: engine.boardSize };
+    }
+    if (format === FORMAT_RENLIB) {
+        const parsed = parseRenLib(data);
+        const boardSize = pickSize(parsed.boardSize);
+        const variations = recenterTree(parsed.variations, parsed.boardSize, boardSize);
+        const [mainline = []] = listVariationLines(variations);
+        const engine = createEngineFromMoves(mainline, { boardSize, rules });
+        engine.loadState({
+            ...engine.toJSON(),
+            variations,
+            variationPath: mainline.map(() => 0)
+        });
+        return { engine, format, boardSize };
+    }
+    throw new Error(`Unsupported game format "${format}"`);
+}
+
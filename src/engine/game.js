@@ -1,4 +1,106 @@
-import { BOARD_SIZE, EMPTY, BLACK, WHITE } from '../../config.js';
+import { BOARD_SIZE, WIN_LENGTH, EMPTY, BLACK, WHITE, LOG_ERROR, log } from '../../config.js';
+import { findForbiddenReason } from './renju.js';
+import {
+    OPENING_NONE,
+    normalizeOpening,
+    getOpeningPhase,
+    checkOpeningPlacement,
+    listOpeningPlacements
+} from './opening.js';
+import {
+    createVariationNode,
+    isSameMove,
+    findChild,
+    getVariationPath,
+    getNodeAtPath,
+    getPathMoves,
+    describeBranches,
+    promoteLine,
+    serializeVariationTree,
+    deserializeVariationTree,
+    buildLinearTree
+} from './variations.js';
+
+export const RULES_FREESTYLE = 'freestyle';
+export const RULES_STANDARD = 'standard';
+export const RULES_RENJU = 'renju';
+
+const RULE_SETS = [RULES_FREESTYLE, RULES_STANDARD, RULES_RENJU];
+
+export const VARIANT_GOMOKU = 'gomoku';
+export const VARIANT_CONNECT6 = 'connect6';
+
+const VARIANTS = [VARIANT_GOMOKU, VARIANT_CONNECT6];
+
+export const EVENT_MOVE_APPLIED = 'move-applied';
+export const EVENT_MOVE_REJECTED = 'move-rejected';
+export const EVENT_UNDONE = 'undone';
+export const EVENT_STATE_LOADED = 'state-loaded';
+export const EVENT_RESET = 'reset';
+export const EVENT_GAME_OVER = 'game-over';
+// Subscribing to the wildcard receives every event; use the payload's `type` to tell them apart.
+export const EVENT_ANY = '*';
+
+const ENGINE_EVENTS = [
+    EVENT_MOVE_APPLIED,
+    EVENT_MOVE_REJECTED,
+    EVENT_UNDONE,
+    EVENT_STATE_LOADED,
+    EVENT_RESET,
+    EVENT_GAME_OVER,
+    EVENT_ANY
+];
+const CONNECT6_WIN_LENGTH = 6;
+
+export function normalizeRules(rules) {
+    return RULE_SETS.includes(rules) ? rules : RULES_FREESTYLE;
+}
+
+export function normalizeVariant(variant) {
+    return VARIANTS.includes(variant) ? variant : VARIANT_GOMOKU;
+}
+
+export function normalizeWinLength(winLength) {
+    return Number.isInteger(winLength) && winLength >= 3 ? winLength : WIN_LENGTH;
+}
+
+/**
+ * Stones the side to move still has to place, given how many stones are on the board.
+ * Connect6 opens with a single stone and then alternates two-stone turns.
+ */
+function stonesLeftInTurn(variant, stoneCount) {
+    if (variant !== VARIANT_CONNECT6 || stoneCount === 0) {
+        return 1;
+    }
+    return (stoneCount - 1) % 2 === 0 ? 2 : 1;
+}
+
+/**
+ * Who places the stone at position `index` (from 0) of a game's move order, e.g. to colour
+ * a bare list of moves. Gomoku alternates every stone; Connect6 every pair after the first.
+ *
+ * @param {number} index
+ * @param {Object} [options]
+ * @param {string} [options.variant='gomoku']
+ * @param {number} [options.startingPlayer=BLACK]
+ * @returns {number} `BLACK` or `WHITE`.
+ */
+export function getMovePlayer(index, options = {}) {
+    const { variant = VARIANT_GOMOKU, startingPlayer = BLACK } = options;
+    const first = startingPlayer === WHITE ? WHITE : BLACK;
+    const turn = normalizeVariant(variant) === VARIANT_CONNECT6 ? Math.floor((index + 1) / 2) : index;
+    if (turn % 2 === 0) {
+        return first;
+    }
+    return first === BLACK ? WHITE : BLACK;
+}
+
+function isWinningLength(length, player, rules, winLength) {
+    if (rules === RULES_STANDARD || (rules === RULES_RENJU && player === BLACK)) {
+        return length === winLength;
+    }
+    return length >= winLength;
+}
 
 export function createEmptyBoard(boardSize = BOARD_SIZE) {
     return Array.from({ length: boardSize }, () => Array(boardSize).fill(EMPTY));
@@ -20,7 +122,9 @@ function collectLine(board, row, col, dx, dy, player) {
     return cells;
 }
 
-export function determineWinningSequence(board, row, col) {
+export function determineWinningSequence(board, row, col, options = {}) {
+    const rules = normalizeRules(options.rules);
+    const winLength = rules === RULES_RENJU ? WIN_LENGTH : normalizeWinLength(options.winLength);
     const player = board[row][col];
     if (player === EMPTY) {
         return null;
@@ -37,21 +141,29 @@ export function determineWinningSequence(board, row, col) {
         const forward = collectLine(board, row, col, dx, dy, player);
         const backward = collectLine(board, row, col, -dx, -dy, player);
         const line = [{ row, col }, ...forward, ...backward];
-        if (line.length >= 5) {
+        if (isWinningLength(line.length, player, rules, winLength)) {
             return { sequence: line, direction: [dx, dy] };
         }
     }
     return null;
 }
 
-export function checkWin(board, row, col) {
-    return determineWinningSequence(board, row, col) !== null;
+export function checkWin(board, row, col, options = {}) {
+    return determineWinningSequence(board, row, col, options) !== null;
 }
 
 export function checkDraw(board) {
     return board.every(row => row.every(cell => cell !== EMPTY));
 }
 
+/**
+ * Whether (row, col) is one of `legalMoves`, a list such as `getAvailableMoves` returns.
+ * Without a list every cell qualifies; an empty list allows none.
+ */
+export function isListedMove(move, legalMoves) {
+    return !Array.isArray(legalMoves) || legalMoves.some(legal => legal.row === move.row && legal.col === move.col);
+}
+
 function cloneSequence(sequence) {
     return sequence.map(cell => ({ row: cell.row, col: cell.col }));
 }
@@ -77,6 +189,28 @@ function validateBoardState(board, boardSize) {
     });
 }
 
+function countStones(board) {
+    return board.reduce((total, row) => total + row.filter(cell => cell !== EMPTY).length, 0);
+}
+
+function cloneOpeningChoices(choices) {
+    return choices.map(entry => ({ choice: entry.choice, seat: entry.seat, stoneCount: entry.stoneCount }));
+}
+
+function findForbiddenHistoryEntry(moveHistory, boardSize) {
+    const replay = createEmptyBoard(boardSize);
+    for (const move of moveHistory) {
+        if (move.player === BLACK) {
+            const reason = findForbiddenReason(replay, move.row, move.col);
+            if (reason) {
+                return { move, reason };
+            }
+        }
+        replay[move.row][move.col] = move.player;
+    }
+    return null;
+}
+
 function hasNeighboringStone(board, row, col) {
     for (let dx = -1; dx <= 1; dx += 1) {
         for (let dy = -1; dy <= 1; dy += 1) {
@@ -91,11 +225,11 @@ function hasNeighboringStone(board, row, col) {
     return false;
 }
 
-export function findWinningSequence(board) {
+export function findWinningSequence(board, options = {}) {
     for (let row = 0; row < board.length; row += 1) {
         for (let col = 0; col < board[row].length; col += 1) {
             if (board[row][col] === EMPTY) continue;
-            const result = determineWinningSequence(board, row, col);
+            const result = determineWinningSequence(board, row, col, options);
             if (result) {
                 return result;
             }
@@ -109,16 +243,93 @@ export class GomokuEngine {
         const {
             boardSize = BOARD_SIZE,
             startingPlayer = BLACK,
-            maxHistory = null
+            maxHistory = null,
+            rules = RULES_FREESTYLE,
+            opening = OPENING_NONE,
+            winLength = WIN_LENGTH,
+            variant = VARIANT_GOMOKU
         } = options;
 
         this.boardSize = boardSize;
+        this.variant = normalizeVariant(variant);
+        if (this.variant === VARIANT_CONNECT6) {
+            // Connect6 is six-or-more to win with no restrictions or opening protocol.
+            this.rules = RULES_FREESTYLE;
+            this.winLength = CONNECT6_WIN_LENGTH;
+            this.opening = OPENING_NONE;
+        } else {
+            this.rules = normalizeRules(rules);
+            // Renju's forbidden-move patterns are defined for five in a row only.
+            this.winLength = this.rules === RULES_RENJU ? WIN_LENGTH : normalizeWinLength(winLength);
+            this.opening = normalizeOpening(opening);
+        }
+        this.stonesPerTurn = this.variant === VARIANT_CONNECT6 ? 2 : 1;
         this.startingPlayer = startingPlayer === WHITE ? WHITE : BLACK;
         this.maxHistory = Number.isInteger(maxHistory) && maxHistory > 0 ? maxHistory : null;
+        this.listeners = new Map();
 
         this.reset();
     }
 
+    /**
+     * Subscribe to engine changes so front-ends can render from a single source of truth.
+     * Every payload carries its event name as `type`:
+     * - `move-applied`: { move, outcome }
+     * - `move-rejected`: { move, player, reason } with the same reason `applyMove` returns
+     * - `undone`: { moves }
+     * - `state-loaded`: { state } as produced by `toJSON()`
+     * - `reset`: {}
+     * - `game-over`: the winning or drawing outcome
+     *
+     * @param {string} event - One of the `EVENT_*` names, or `EVENT_ANY` for all of them.
+     * @param {Function} listener - Called with the event payload.
+     * @returns {Function} Unsubscribe callback.
+     */
+    on(event, listener) {
+        if (!ENGINE_EVENTS.includes(event)) {
+            throw new Error(`Unknown engine event: ${event}`);
+        }
+        if (typeof listener !== 'function') {
+            throw new Error('Engine event listener must be a function');
+        }
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(listener);
+        return () => this.off(event, listener);
+    }
+
+    off(event, listener) {
+        const listeners = this.listeners.get(event);
+        if (listeners) {
+            listeners.delete(listener);
+        }
+    }
+
+    once(event, listener) {
+        const unsubscribe = this.on(event, payload => {
+            unsubscribe();
+            listener(payload);
+        });
+        return unsubscribe;
+    }
+
+    emit(event, payload = {}) {
+        const listeners = [
+            ...(this.listeners.get(event) || []),
+            ...(this.listeners.get(EVENT_ANY) || [])
+        ];
+        listeners.forEach(listener => {
+            // A failing subscriber must not leave the engine half-updated for the others.
+            try {
+                listener({ type: event, ...payload });
+            } catch (error) {
+                const message = error instanceof Error ? error.message : String(error);
+                log(LOG_ERROR, 'Engine event listener failed', { event, error: message });
+            }
+        });
+    }
+
     reset() {
         this.board = createEmptyBoard(this.boardSize);
         this.currentPlayer = this.startingPlayer;
@@ -126,6 +337,11 @@ export class GomokuEngine {
         this.moveHistory = [];
         this.lastMove = null;
         this.winningSequence = [];
+        this.openingChoices = [];
+        this.stonesRemaining = 1;
+        this.variationRoot = createVariationNode();
+        this.currentNode = this.variationRoot;
+        this.emit(EVENT_RESET);
         return this;
     }
 
@@ -157,18 +373,89 @@ export class GomokuEngine {
         return cloneSequence(this.winningSequence);
     }
 
-    applyMove(row, col) {
+    getRules() {
+        return this.rules;
+    }
+
+    getWinLength() {
+        return this.winLength;
+    }
+
+    getVariant() {
+        return this.variant;
+    }
+
+    getStonesRemaining() {
+        return this.stonesRemaining;
+    }
+
+    getOpening() {
+        return this.opening;
+    }
+
+    getOpeningState() {
+        const state = getOpeningPhase(this.opening, countStones(this.board), this.openingChoices);
+        return { ...state, choices: state.choices.slice() };
+    }
+
+    chooseOpening(choice) {
+        const state = this.getOpeningState();
+        if (state.phase !== 'choice') {
+            return { status: 'invalid', reason: 'no-opening-choice' };
+        }
+        if (!state.choices.includes(choice)) {
+            return { status: 'invalid', reason: 'invalid-opening-choice' };
+        }
+        const entry = { choice, seat: state.seat, stoneCount: countStones(this.board) };
+        this.openingChoices.push(entry);
+        this.currentNode.openingChoices.push({ ...entry });
+        return { status: 'opening-choice', choice, seat: state.seat, opening: this.getOpeningState() };
+    }
+
+    isForbiddenMove(row, col, player = this.currentPlayer) {
+        if (this.rules !== RULES_RENJU || player !== BLACK) {
+            return false;
+        }
+        return findForbiddenReason(this.board, row, col) !== null;
+    }
+
+    findMoveViolation(row, col) {
         if (this.gameOver) {
-            return { status: 'invalid', reason: 'game-over' };
+            return 'game-over';
         }
         if (!isInside(this.boardSize, row, col)) {
-            return { status: 'invalid', reason: 'out-of-bounds' };
+            return 'out-of-bounds';
         }
         if (this.board[row][col] !== EMPTY) {
-            return { status: 'invalid', reason: 'occupied' };
+            return 'occupied';
+        }
+
+        const stoneCount = countStones(this.board);
+        if (getOpeningPhase(this.opening, stoneCount, this.openingChoices).phase === 'choice') {
+            return 'opening-choice-pending';
+        }
+        const openingViolation = checkOpeningPlacement(this.opening, this.boardSize, stoneCount, row, col);
+        if (openingViolation) {
+            return openingViolation;
         }
 
+        if (this.rules === RULES_RENJU && this.currentPlayer === BLACK) {
+            const forbidden = findForbiddenReason(this.board, row, col);
+            if (forbidden) {
+                return `forbidden-${forbidden}`;
+            }
+        }
+        return null;
+    }
+
+    applyMove(row, col) {
         const player = this.currentPlayer;
+        const reason = this.findMoveViolation(row, col);
+        if (reason) {
+            this.emit(EVENT_MOVE_REJECTED, { move: { row, col }, player, reason });
+            return { status: 'invalid', reason };
+        }
+
         this.board[row][col] = player;
         const move = { row, col, player };
         this.moveHistory.push(move);
@@ -176,28 +463,38 @@ export class GomokuEngine {
             this.moveHistory.shift();
         }
         this.lastMove = move;
+        this.advanceVariation(move);
 
-        const winData = determineWinningSequence(this.board, row, col);
+        let outcome;
+        const winData = determineWinningSequence(this.board, row, col, { rules: this.rules, winLength: this.winLength });
         if (winData) {
             this.gameOver = true;
             this.winningSequence = winData.sequence;
-            return {
+            outcome = {
                 status: 'win',
                 player,
                 move: { row, col },
                 winningSequence: cloneSequence(this.winningSequence)
             };
-        }
-
-        if (checkDraw(this.board)) {
+        } else if (checkDraw(this.board)) {
             this.gameOver = true;
             this.winningSequence = [];
-            return { status: 'draw', player, move: { row, col } };
+            outcome = { status: 'draw', player, move: { row, col } };
+        } else {
+            this.stonesRemaining -= 1;
+            if (this.stonesRemaining === 0) {
+                this.currentPlayer = this.getOpponent(player);
+                this.stonesRemaining = this.stonesPerTurn;
+            }
+            this.winningSequence = [];
+            outcome = { status: 'continue', player, move: { row, col }, stonesRemaining: this.stonesRemaining };
         }
 
-        this.currentPlayer = this.getOpponent(player);
-        this.winningSequence = [];
-        return { status: 'continue', player, move: { row, col } };
+        this.emit(EVENT_MOVE_APPLIED, { move: { ...move }, outcome: { ...outcome } });
+        if (this.gameOver) {
+            this.emit(EVENT_GAME_OVER, { ...outcome });
+        }
+        return outcome;
     }
 
     undoLastMove(steps = 1) {
@@ -210,27 +507,154 @@ export class GomokuEngine {
         while (remaining > 0 && this.moveHistory.length > 0) {
             const move = this.moveHistory.pop();
             this.board[move.row][move.col] = EMPTY;
+            // The undone line stays in the variation tree so it can be redone.
+            this.currentNode = this.currentNode.parent || this.currentNode;
             undone.push(move);
             remaining -= 1;
         }
 
         if (undone.length > 0) {
             const mostRecent = this.moveHistory[this.moveHistory.length - 1] || null;
+            const stoneCount = countStones(this.board);
             this.lastMove = mostRecent;
-            this.currentPlayer = mostRecent ? this.getOpponent(mostRecent.player) : this.startingPlayer;
+            // Undoing the first stone of a Connect6 pair hands the turn back to the same player.
+            this.stonesRemaining = stonesLeftInTurn(this.variant, stoneCount);
+            if (!mostRecent) {
+                this.currentPlayer = this.startingPlayer;
+            } else if (this.stonesRemaining === this.stonesPerTurn) {
+                this.currentPlayer = this.getOpponent(mostRecent.player);
+            } else {
+                this.currentPlayer = mostRecent.player;
+            }
+            this.openingChoices = this.openingChoices.filter(entry => entry.stoneCount <= stoneCount);
         }
 
         this.gameOver = false;
         this.winningSequence = [];
+        if (undone.length > 0) {
+            this.emit(EVENT_UNDONE, { moves: undone.map(move => ({ ...move })) });
+        }
         return undone.map(move => ({ ...move }));
     }
 
+    advanceVariation(move) {
+        const node = this.currentNode;
+        let child = findChild(node, move);
+        if (!child) {
+            child = createVariationNode({ ...move }, node);
+            node.children.push(child);
+        }
+        node.activeChild = child;
+        this.currentNode = child;
+        // Colour choices made at this point of the line come back with it.
+        child.openingChoices.forEach(entry => {
+            if (!this.openingChoices.some(existing => existing.stoneCount === entry.stoneCount)) {
+                this.openingChoices.push({ ...entry });
+            }
+        });
+    }
+
+    canRedo() {
+        return !this.gameOver && this.currentNode.children.length > 0;
+    }
+
+    /**
+     * Replay undone moves along the most recently visited line.
+     *
+     * @param {number} [steps=1] - Number of moves to redo.
+     * @returns {Array<{row: number, col: number, player: number}>} The moves replayed.
+     */
+    redoMove(steps = 1) {
+        let remaining = Math.max(0, Math.floor(steps));
+        const redone = [];
+        while (remaining > 0 && this.canRedo()) {
+            const node = this.currentNode;
+            const next = node.activeChild || node.children[0];
+            if (next.move.player !== this.currentPlayer) {
+                break;
+            }
+            if (this.applyMove(next.move.row, next.move.col).status === 'invalid') {
+                break;
+            }
+            redone.push({ ...next.move });
+            remaining -= 1;
+        }
+        return redone;
+    }
+
+    getVariationPath() {
+        return getVariationPath(this.currentNode);
+    }
+
+    getVariationTree() {
+        return serializeVariationTree(this.variationRoot);
+    }
+
+    /**
+     * List the continuations recorded after a position; index 0 is the mainline.
+     *
+     * @param {number[]} [path] - Variation path of the position, defaulting to the current one.
+     */
+    listBranches(path = null) {
+        const node = path ? getNodeAtPath(this.variationRoot, path) : this.currentNode;
+        return node ? describeBranches(node) : [];
+    }
+
+    switchBranch(index) {
+        const next = this.currentNode.children[index];
+        if (!next) {
+            return { status: 'invalid', reason: 'unknown-branch' };
+        }
+        this.currentNode.activeChild = next;
+        return this.applyMove(next.move.row, next.move.col);
+    }
+
+    /**
+     * Move the game to any position in the variation tree by undoing back to the shared
+     * ancestor and replaying the target line.
+     */
+    goToVariation(path) {
+        const target = Array.isArray(path) ? getNodeAtPath(this.variationRoot, path) : null;
+        if (!target) {
+            return { status: 'invalid', reason: 'unknown-variation' };
+        }
+        const currentPath = getVariationPath(this.currentNode);
+        let shared = 0;
+        while (shared < currentPath.length && shared < path.length && currentPath[shared] === path[shared]) {
+            shared += 1;
+        }
+        if (currentPath.length - shared > this.moveHistory.length) {
+            return { status: 'invalid', reason: 'variation-unreachable' };
+        }
+        this.undoLastMove(currentPath.length - shared);
+        for (let depth = shared; depth < path.length; depth += 1) {
+            const outcome = this.switchBranch(path[depth]);
+            if (outcome.status === 'invalid') {
+                return outcome;
+            }
+        }
+        return { status: 'variation', path: getVariationPath(this.currentNode) };
+    }
+
+    promoteVariation(path = getVariationPath(this.currentNode)) {
+        const node = getNodeAtPath(this.variationRoot, path);
+        if (!node) {
+            return { status: 'invalid', reason: 'unknown-variation' };
+        }
+        promoteLine(node);
+        return { status: 'promoted', path: getVariationPath(node) };
+    }
+
     loadState(state = {}) {
         const {
             board,
             currentPlayer = this.startingPlayer,
             moveHistory = [],
-            startingPlayer = this.startingPlayer
+            startingPlayer = this.startingPlayer,
+            openingChoices = [],
+            stonesRemaining = null,
+            variations = null,
+            variationPath = []
         } = state;
 
         if (!board) {
@@ -240,6 +664,7 @@ export class GomokuEngine {
         this.board = validateBoardState(board, this.boardSize);
         this.startingPlayer = startingPlayer === WHITE ? WHITE : BLACK;
         this.currentPlayer = currentPlayer === WHITE ? WHITE : BLACK;
+        const visited = new Set();
         this.moveHistory = moveHistory.map(entry => {
             const normalized = {
                 row: Number(entry.row),
@@ -252,14 +677,46 @@ export class GomokuEngine {
             if (this.board[normalized.row][normalized.col] !== normalized.player) {
                 throw new Error(`Move history entry does not match board state at [${entry.row}, ${entry.col}]`);
             }
+            const key = normalized.row * this.boardSize + normalized.col;
+            if (visited.has(key)) {
+                throw new Error(`Move history repeats [${entry.row}, ${entry.col}]`);
+            }
+            visited.add(key);
             return normalized;
         });
+        const stoneCount = countStones(this.board);
+        if (stonesRemaining === null) {
+            this.stonesRemaining = stonesLeftInTurn(this.variant, stoneCount);
+        } else if (Number.isInteger(stonesRemaining) && stonesRemaining >= 1 && stonesRemaining <= this.stonesPerTurn) {
+            this.stonesRemaining = stonesRemaining;
+        } else {
+            throw new Error(`Invalid stones remaining: ${stonesRemaining}`);
+        }
+        if (this.rules === RULES_RENJU) {
+            // Only a complete history can be replayed; trimmed histories skip the check.
+            const violation = stoneCount === this.moveHistory.length
+                ? findForbiddenHistoryEntry(this.moveHistory, this.boardSize)
+                : null;
+            if (violation) {
+                const { move, reason } = violation;
+                throw new Error(`Move history entry is forbidden (${reason}) at [${move.row}, ${move.col}]`);
+            }
+        }
+        this.openingChoices = [];
+        for (const entry of openingChoices) {
+            const phase = getOpeningPhase(this.opening, entry.stoneCount, this.openingChoices);
+            if (entry.stoneCount > stoneCount || phase.phase !== 'choice' || !phase.choices.includes(entry.choice)) {
+                throw new Error(`Invalid opening choice "${entry.choice}" after ${entry.stoneCount} stones`);
+            }
+            this.openingChoices.push({ choice: entry.choice, seat: phase.seat, stoneCount: entry.stoneCount });
+        }
+        this.loadVariations(variations, variationPath, stoneCount);
         if (this.maxHistory && this.moveHistory.length > this.maxHistory) {
             this.moveHistory = this.moveHistory.slice(-this.maxHistory);
         }
         this.lastMove = this.moveHistory.length > 0 ? { ...this.moveHistory[this.moveHistory.length - 1] } : null;
 
-        const winData = findWinningSequence(this.board);
+        const winData = findWinningSequence(this.board, { rules: this.rules, winLength: this.winLength });
         if (winData) {
             this.gameOver = true;
             this.winningSequence = winData.sequence;
@@ -271,15 +728,58 @@ export class GomokuEngine {
             this.winningSequence = [];
         }
 
+        this.emit(EVENT_STATE_LOADED, { state: this.toJSON() });
         return this;
     }
 
+    loadVariations(variations, variationPath, stoneCount) {
+        if (!variations) {
+            const { root, current } = buildLinearTree(this.moveHistory);
+            // Attach colour choices to the position they were made in, if it is part of the history.
+            const offset = stoneCount - this.moveHistory.length;
+            const line = [];
+            for (let node = current; node; node = node.parent) {
+                line.unshift(node);
+            }
+            this.openingChoices.forEach(entry => {
+                const node = line[entry.stoneCount - offset];
+                if (node) {
+                    node.openingChoices.push({ ...entry });
+                }
+            });
+            this.variationRoot = root;
+            this.currentNode = current;
+            return;
+        }
+
+        const root = deserializeVariationTree(variations, this.boardSize);
+        const node = getNodeAtPath(root, Array.isArray(variationPath) ? variationPath : []);
+        if (!node) {
+            throw new Error('Variation path does not exist in the variation tree');
+        }
+        const lineMoves = getPathMoves(node);
+        const offset = lineMoves.length - this.moveHistory.length;
+        if (offset < 0 || this.moveHistory.some((move, index) => !isSameMove(move, lineMoves[offset + index]))) {
+            throw new Error('Variation path does not match move history');
+        }
+        this.variationRoot = root;
+        this.currentNode = node;
+    }
+
     toJSON() {
         return {
             board: this.getBoardSnapshot(),
             currentPlayer: this.currentPlayer,
             moveHistory: this.getMoveHistory(),
             startingPlayer: this.startingPlayer,
+            variant: this.variant,
+            stonesRemaining: this.stonesRemaining,
+            rules: this.rules,
+            winLength: this.winLength,
+            opening: this.opening,
+            openingChoices: cloneOpeningChoices(this.openingChoices),
+            variations: serializeVariationTree(this.variationRoot),
+            variationPath: getVariationPath(this.currentNode),
             gameOver: this.gameOver,
             winningSequence: cloneSequence(this.winningSequence)
         };
@@ -289,13 +789,21 @@ export class GomokuEngine {
         const clone = new GomokuEngine({
             boardSize: options.boardSize ?? this.boardSize,
             startingPlayer: options.startingPlayer ?? this.startingPlayer,
-            maxHistory: options.maxHistory ?? this.maxHistory
+            maxHistory: options.maxHistory ?? this.maxHistory,
+            rules: options.rules ?? this.rules,
+            winLength: options.winLength ?? this.winLength,
+            opening: options.opening ?? this.opening,
+            variant: options.variant ?? this.variant
         });
         clone.loadState({
             board: this.board,
             currentPlayer: this.currentPlayer,
             moveHistory: this.moveHistory,
-            startingPlayer: this.startingPlayer
+            startingPlayer: this.startingPlayer,
+            openingChoices: this.openingChoices,
+            stonesRemaining: clone.variant === this.variant ? this.stonesRemaining : null,
+            variations: serializeVariationTree(this.variationRoot),
+            variationPath: getVariationPath(this.currentNode)
         });
         clone.gameOver = this.gameOver;
         clone.winningSequence = cloneSequence(this.winningSequence);
@@ -304,6 +812,15 @@ export class GomokuEngine {
 
     getAvailableMoves(options = {}) {
         const { vicinityOnly = true } = options;
+        const stoneCount = countStones(this.board);
+        if (getOpeningPhase(this.opening, stoneCount, this.openingChoices).phase === 'choice') {
+            return [];
+        }
+        const openingMoves = listOpeningPlacements(this.opening, this.board, stoneCount);
+        if (openingMoves) {
+            return openingMoves;
+        }
+
         const moves = [];
         let hasStone = false;
 
@@ -311,7 +828,7 @@ export class GomokuEngine {
             for (let col = 0; col < this.boardSize; col += 1) {
                 const cell = this.board[row][col];
                 if (cell === EMPTY) {
-                    if (!vicinityOnly || hasNeighboringStone(this.board, row, col)) {
+                    if ((!vicinityOnly || hasNeighboringStone(this.board, row, col)) && !this.isForbiddenMove(row, col)) {
                         moves.push({ row, col });
                     }
                 } else {
@@ -337,7 +854,11 @@ export class GomokuEngine {
         const engine = new GomokuEngine({
             boardSize,
             startingPlayer: options.startingPlayer ?? state.startingPlayer ?? BLACK,
-            maxHistory: options.maxHistory ?? null
+            maxHistory: options.maxHistory ?? null,
+            rules: options.rules ?? state.rules,
+            winLength: options.winLength ?? state.winLength,
+            opening: options.opening ?? state.opening,
+            variant: options.variant ?? state.variant
         });
         engine.loadState(state);
         return engine;
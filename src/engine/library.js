@@ -0,0 +1,208 @@
+import { BLACK } from '../../config.js';
+import { serializeGameRecord, createEngineFromRecord, describeResult, RESULT_BLACK, RESULT_WHITE, RESULT_DRAW } from './record.js';
+
+export const LIBRARY_DB_NAME = 'gomoku-library';
+export const LIBRARY_DB_VERSION = 1;
+export const LIBRARY_STORE = 'games';
+
+export const OPPONENT_HUMAN = 'human';
+export const OPPONENT_AI = 'ai';
+
+const RESULT_LABELS = {
+    [RESULT_BLACK]: 'Black wins',
+    [RESULT_WHITE]: 'White wins',
+    [RESULT_DRAW]: 'Draw'
+};
+
+/**
+ * @param {string} result - A `RESULT_*` token.
+ * @returns {string} Human readable result, e.g. `'Black wins'`.
+ */
+export function describeLibraryResult(result) {
+    return RESULT_LABELS[result] || 'Unfinished';
+}
+
+/**
+ * Describe a finished game for the saved-games library. The full game is kept as a game
+ * record so it can be reopened with `createEngineFromRecord` or exported as-is.
+ *
+ * @param {GomokuEngine} engine - Finished game.
+ * @param {Object} details
+ * @param {string} details.gameMode - `'human'` or `'ai'`.
+ * @param {string} [details.aiDifficulty] - AI difficulty, for games against the AI.
+ * @param {?string} [details.aiProfile] - AI behaviour profile name, if one was used.
+ * @param {number} [details.humanColor] - Colour the human played against the AI.
+ * @param {Date} [details.date]
+ * @param {string} [details.name] - Defaults to the two players, e.g. `'Human vs AI (hard)'`.
+ * @returns {Object} Entry without an `id`; the library assigns one when it is stored.
+ */
+export function buildLibraryEntry(engine, details) {
+    const { gameMode, aiDifficulty, aiProfile = null, humanColor = BLACK, date = new Date() } = details;
+    const againstAI = gameMode === 'ai';
+    const opponent = againstAI ? `AI (${aiProfile ? `${aiDifficulty}/${aiProfile}` : aiDifficulty})` : 'Human';
+    const players = againstAI
+        ? { Black: humanColor === BLACK ? 'Human' : opponent, White: humanColor === BLACK ? opponent : 'Human' }
+        : { Black: 'Human', White: 'Human' };
+
+    return {
+        name: details.name || `${players.Black} vs ${players.White}`,
+        date: date.toISOString(),
+        result: describeResult(engine),
+        opponent,
+        opponentType: againstAI ? OPPONENT_AI : OPPONENT_HUMAN,
+        moveCount: engine.getMoveHistory().length,
+        boardSize: engine.boardSize,
+        rules: engine.getRules(),
+        record: serializeGameRecord(engine, {
+            Event: againstAI ? 'Human vs AI' : 'Human vs Human',
+            ...players
+        }, { date })
+    };
+}
+
+/**
+ * Filter library entries and sort them newest first.
+ *
+ * @param {Object[]} entries
+ * @param {Object} [filters]
+ * @param {string} [filters.query] - Case-insensitive text matched against the name, opponent and rules.
+ * @param {string} [filters.result] - A `RESULT_*` token, or `'all'`.
+ * @param {string} [filters.opponent] - `OPPONENT_HUMAN`, `OPPONENT_AI` or `'all'`.
+ * @returns {Object[]}
+ */
+export function filterLibraryEntries(entries, filters = {}) {
+    const { query = '', result = 'all', opponent = 'all' } = filters;
+    const needle = query.trim().toLowerCase();
+    return entries
+        .filter(entry => result === 'all' || entry.result === result)
+        .filter(entry => opponent === 'all' || entry.opponentType === opponent)
+        .filter(entry => !needle || [entry.name, entry.opponent, entry.rules]
+            .some(value => String(value).toLowerCase().includes(needle)))
+        .sort((a, b) => b.date.localeCompare(a.date));
+}
+
+/**
+ * In-memory storage for environments without IndexedDB, such as Node.
+ */
+export function createMemoryLibraryBackend() {
+    const entries = new Map();
+    let nextId = 1;
+    return {
+        async getAll() {
+            return Array.from(entries.values(), entry => ({ ...entry }));
+        },
+        async get(id) {
+            return entries.has(id) ? { ...entries.get(id) } : undefined;
+        },
+        async put(entry) {
+            const id = entry.id ?? nextId++;
+            entries.set(id, { ...entry, id });
+            return id;
+        },
+        async delete(id) {
+            entries.delete(id);
+        }
+    };
+}
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Open (creating on first use) the IndexedDB database behind the library.
+ *
+ * @param {IDBFactory} [factory] - Defaults to the global `indexedDB`.
+ * @returns {Promise<Object>} Backend for `GameLibrary`.
+ */
+export function openIndexedDbLibraryBackend(factory = globalThis.indexedDB) {
+    if (!factory) {
+        return Promise.reject(new Error('IndexedDB is not available'));
+    }
+    return new Promise((resolve, reject) => {
+        const request = factory.open(LIBRARY_DB_NAME, LIBRARY_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(LIBRARY_STORE)) {
+                db.createObjectStore(LIBRARY_STORE, { keyPath: 'id', autoIncrement: true });
+            }
+        };
+        request.onsuccess = () => {
+            const db = request.result;
+            const run = (mode, operation) => requestToPromise(operation(db.transaction(LIBRARY_STORE, mode).objectStore(LIBRARY_STORE)));
+            resolve({
+                getAll: () => run('readonly', store => store.getAll()),
+                get: id => run('readonly', store => store.get(id)),
+                put: entry => run('readwrite', store => store.put(entry)),
+                delete: id => run('readwrite', store => store.delete(id))
+            });
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Stores finished games. The storage itself is a backend with async `getAll`, `get`,
+ * `put` (returning the id) and `delete`.
+ */
+export class GameLibrary {
+    constructor(backend) {
+        this.backend = backend;
+    }
+
+    /**
+     * @param {Object} [filters] - See `filterLibraryEntries`.
+     */
+    async list(filters) {
+        return filterLibraryEntries(await this.backend.getAll(), filters);
+    }
+
+    async get(id) {
+        return (await this.backend.get(id)) || null;
+    }
+
+    /**
+     * Add an entry, or replace the stored one when the entry has an `id`.
+     * @returns {Promise<Object>} The stored entry including its id.
+     */
+    async save(entry) {
+        const stored = { ...entry };
+        if (stored.id === undefined || stored.id === null) {
+            // Let the store generate the key.
+            delete stored.id;
+        }
+        const id = await this.backend.put(stored);
+        return { ...stored, id };
+    }
+
+    async rename(id, name) {
+        const entry = await this.get(id);
+        if (!entry) {
+            throw new Error(`No saved game with id ${id}`);
+        }
+        const trimmed = String(name ?? '').trim();
+        if (!trimmed) {
+            throw new Error('Saved game name cannot be empty');
+        }
+        return this.save({ ...entry, name: trimmed });
+    }
+
+    async remove(id) {
+        await this.backend.delete(id);
+    }
+
+    /**
+     * Replay a stored game into a new engine.
+     * @returns {Promise<{engine: GomokuEngine, entry: Object}>}
+     */
+    async open(id) {
+        const entry = await this.get(id);
+        if (!entry) {
+            throw new Error(`No saved game with id ${id}`);
+        }
+        return { engine: createEngineFromRecord(entry.record).engine, entry };
+    }
+}
@@ -0,0 +1,112 @@
+import { EMPTY } from '../../config.js';
+
+export const OPENING_NONE = 'none';
+export const OPENING_PRO = 'pro';
+export const OPENING_LONG_PRO = 'long-pro';
+export const OPENING_SWAP = 'swap';
+export const OPENING_SWAP2 = 'swap2';
+
+const OPENING_PROTOCOLS = [OPENING_NONE, OPENING_PRO, OPENING_LONG_PRO, OPENING_SWAP, OPENING_SWAP2];
+
+// Minimum distance from the centre (in intersections) for the starting player's second stone.
+const PRO_MIN_DISTANCE = {
+    [OPENING_PRO]: 3,
+    [OPENING_LONG_PRO]: 4
+};
+
+export function normalizeOpening(opening) {
+    return OPENING_PROTOCOLS.includes(opening) ? opening : OPENING_NONE;
+}
+
+export function otherSeat(seat) {
+    return seat === 'first' ? 'second' : 'first';
+}
+
+function resolveBlackSeat(choiceEntry) {
+    return choiceEntry.choice === 'black' ? choiceEntry.seat : otherSeat(choiceEntry.seat);
+}
+
+/**
+ * Work out where a game sits within its opening protocol.
+ *
+ * Seats are protocol roles rather than colours: `first` places the opening stones and
+ * `second` answers them. Until a colour choice is made `blackSeat` stays null.
+ *
+ * @param {string} opening - Opening protocol name.
+ * @param {number} stoneCount - Stones currently on the board.
+ * @param {Array<{choice: string, seat: string}>} choices - Colour choices made so far, in order.
+ * @returns {{protocol: string, phase: ('placement'|'choice'|'complete'), seat: (string|null), choices: string[], blackSeat: (string|null)}}
+ */
+export function getOpeningPhase(opening, stoneCount, choices = []) {
+    const protocol = normalizeOpening(opening);
+    const state = (phase, seat, options = [], blackSeat = null) => ({
+        protocol,
+        phase,
+        seat,
+        choices: options,
+        blackSeat
+    });
+
+    if (protocol !== OPENING_SWAP && protocol !== OPENING_SWAP2) {
+        return state('complete', null, [], 'first');
+    }
+    if (stoneCount < 3) {
+        return state('placement', 'first');
+    }
+
+    const [firstChoice, secondChoice] = choices;
+    if (!firstChoice) {
+        return protocol === OPENING_SWAP2
+            ? state('choice', 'second', ['black', 'white', 'place-two'])
+            : state('choice', 'second', ['black', 'white']);
+    }
+    if (firstChoice.choice !== 'place-two') {
+        return state('complete', null, [], resolveBlackSeat(firstChoice));
+    }
+    if (stoneCount < 5) {
+        return state('placement', 'second');
+    }
+    if (!secondChoice) {
+        return state('choice', 'first', ['black', 'white']);
+    }
+    return state('complete', null, [], resolveBlackSeat(secondChoice));
+}
+
+/**
+ * Check a placement against the Pro / Long-Pro restrictions.
+ *
+ * @returns {string|null} An invalid-move reason, or null when the placement is allowed.
+ */
+export function checkOpeningPlacement(opening, boardSize, stoneCount, row, col) {
+    const minDistance = PRO_MIN_DISTANCE[normalizeOpening(opening)];
+    if (!minDistance) {
+        return null;
+    }
+    const center = Math.floor(boardSize / 2);
+    if (stoneCount === 0 && (row !== center || col !== center)) {
+        return 'opening-center-required';
+    }
+    if (stoneCount === 2 && Math.max(Math.abs(row - center), Math.abs(col - center)) < minDistance) {
+        return 'opening-too-close';
+    }
+    return null;
+}
+
+/**
+ * List the cells the opening protocol allows right now, or null when it imposes no restriction.
+ */
+export function listOpeningPlacements(opening, board, stoneCount) {
+    const protocol = normalizeOpening(opening);
+    if (!PRO_MIN_DISTANCE[protocol] || (stoneCount !== 0 && stoneCount !== 2)) {
+        return null;
+    }
+    const moves = [];
+    for (let row = 0; row < board.length; row += 1) {
+        for (let col = 0; col < board.length; col += 1) {
+            if (board[row][col] === EMPTY && checkOpeningPlacement(protocol, board.length, stoneCount, row, col) === null) {
+                moves.push({ row, col });
+            }
+        }
+    }
+    return moves;
+}
@@ -0,0 +1,264 @@
+import { BOARD_SIZE, EMPTY, BLACK, WHITE, WIN_LENGTH } from '../../config.js';
+import { GomokuEngine, RULES_FREESTYLE, VARIANT_GOMOKU } from './game.js';
+import { OPENING_NONE } from './opening.js';
+
+export const RESULT_BLACK = '1-0';
+export const RESULT_WHITE = '0-1';
+export const RESULT_DRAW = '1/2-1/2';
+export const RESULT_ONGOING = '*';
+
+const RESULTS = [RESULT_BLACK, RESULT_WHITE, RESULT_DRAW, RESULT_ONGOING];
+const OPENING_CHOICE_TOKENS = ['black', 'white', 'place-two'];
+
+// Tags written first and in this order; any other tags follow alphabetically.
+const TAG_ORDER = [
+    'Event',
+    'Date',
+    'Black',
+    'White',
+    'Result',
+    'Rules',
+    'BoardSize',
+    'WinLength',
+    'Opening',
+    'Variant',
+    'FirstPlayer',
+    'TimeControl'
+];
+
+/**
+ * Column letters in standard board notation, which skips "I".
+ */
+export function buildColumnLabels(size) {
+    const labels = [];
+    for (let code = 65; labels.length < size; code++) {
+        const letter = String.fromCharCode(code);
+        if (letter !== 'I') {
+            labels.push(letter);
+        }
+    }
+    return labels;
+}
+
+export function coordsToLabel(row, col) {
+    const [column] = buildColumnLabels(col + 1).slice(-1);
+    return column + (row + 1);
+}
+
+/**
+ * Parse a label such as `H8` back into zero-based coordinates.
+ * @returns {{row: number, col: number}|null} Null when the label is malformed or off the board.
+ */
+export function labelToCoords(label, boardSize) {
+    const match = /^([A-HJ-Z])(\d{1,2})$/i.exec(String(label).trim());
+    if (!match) {
+        return null;
+    }
+    const col = buildColumnLabels(boardSize).indexOf(match[1].toUpperCase());
+    const row = Number(match[2]) - 1;
+    if (col === -1 || row < 0 || row >= boardSize) {
+        return null;
+    }
+    return { row, col };
+}
+
+function formatDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}.${pad(date.getMonth() + 1)}.${pad(date.getDate())}`;
+}
+
+function escapeTagValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+/**
+ * @param {GomokuEngine} engine
+ * @returns {string} One of the `RESULT_*` tokens for the engine's current position.
+ */
+export function describeResult(engine) {
+    if (!engine.isGameOver()) {
+        return RESULT_ONGOING;
+    }
+    const winningSequence = engine.getWinningSequence();
+    const lastMove = engine.getLastMove();
+    if (winningSequence.length === 0 || !lastMove) {
+        return RESULT_DRAW;
+    }
+    return lastMove.player === BLACK ? RESULT_BLACK : RESULT_WHITE;
+}
+
+/**
+ * Write the engine's current line as a game record.
+ *
+ * @param {GomokuEngine} engine - Game to export.
+ * @param {Object<string, string>} [tags] - Extra or overriding header tags, e.g. `{ Black: 'Alice', TimeControl: '300' }`.
+ * @param {Object} [options]
+ * @param {Date} [options.date] - Date used when no `Date` tag is supplied.
+ * @returns {string} Header tags, a blank line, then the numbered move list ending with the result.
+ */
+export function serializeGameRecord(engine, tags = {}, options = {}) {
+    const { date = new Date() } = options;
+    const result = describeResult(engine);
+    const headers = {
+        Event: 'Casual game',
+        Date: formatDate(date),
+        Black: 'Black',
+        White: 'White',
+        Result: result,
+        Rules: engine.getRules(),
+        BoardSize: String(engine.boardSize),
+        WinLength: String(engine.getWinLength()),
+        Opening: engine.getOpening(),
+        TimeControl: '-',
+        ...tags
+    };
+    if (engine.getVariant() !== VARIANT_GOMOKU) {
+        headers.Variant = engine.getVariant();
+    }
+    if (engine.startingPlayer === WHITE) {
+        headers.FirstPlayer = 'white';
+    }
+
+    const tagNames = [
+        ...TAG_ORDER.filter(name => name in headers),
+        ...Object.keys(headers).filter(name => !TAG_ORDER.includes(name)).sort()
+    ];
+    const headerLines = tagNames
+        .filter(name => headers[name] !== undefined && headers[name] !== null)
+        .map(name => `[${name} "${escapeTagValue(headers[name])}"]`);
+
+    const state = engine.toJSON();
+    const choicesByCount = new Map(state.openingChoices.map(entry => [entry.stoneCount, entry.choice]));
+    // Stones placed before the recorded history (e.g. a trimmed history) offset the choice positions.
+    const stonesBefore = state.board.flat().filter(cell => cell !== EMPTY).length - state.moveHistory.length;
+
+    const tokens = [];
+    state.moveHistory.forEach((move, index) => {
+        tokens.push(`${index + 1}.`, coordsToLabel(move.row, move.col));
+        const choice = choicesByCount.get(stonesBefore + index + 1);
+        if (choice) {
+            tokens.push(`{${choice}}`);
+        }
+    });
+    tokens.push(result);
+
+    const moveLines = [];
+    let line = '';
+    tokens.forEach(token => {
+        if (line.length > 0 && line.length + token.length + 1 > 80) {
+            moveLines.push(line);
+            line = '';
+        }
+        line = line.length > 0 ? `${line} ${token}` : token;
+    });
+    moveLines.push(line);
+
+    return `${headerLines.join('\n')}\n\n${moveLines.join('\n')}\n`;
+}
+
+/**
+ * Parse a game record into headers, moves and opening choices without replaying it.
+ *
+ * @param {string} text - Record produced by `serializeGameRecord` or written by hand.
+ * @returns {{headers: Object<string, string>, moves: Array<{row: number, col: number}>, openingChoices: Array<{choice: string, stoneCount: number}>, result: string}}
+ */
+export function parseGameRecord(text) {
+    if (typeof text !== 'string') {
+        throw new Error('Game record must be a string');
+    }
+    const headers = {};
+    const bodyLines = [];
+    let inHeaders = true;
+
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (inHeaders && line.startsWith('[')) {
+            const match = /^\[([A-Za-z][A-Za-z0-9_]*)\s+"((?:[^"\\]|\\.)*)"\]$/.exec(line);
+            if (!match) {
+                throw new Error(`Malformed header tag on line ${index + 1}`);
+            }
+            headers[match[1]] = match[2].replace(/\\(.)/g, '$1');
+            return;
+        }
+        if (line.length > 0) {
+            inHeaders = false;
+            bodyLines.push(line);
+        }
+    });
+
+    const boardSize = headers.BoardSize ? Number(headers.BoardSize) : undefined;
+    if (boardSize !== undefined && (!Number.isInteger(boardSize) || boardSize < 1)) {
+        throw new Error(`Invalid BoardSize tag "${headers.BoardSize}"`);
+    }
+    const size = boardSize ?? BOARD_SIZE;
+
+    const moves = [];
+    const openingChoices = [];
+    let result = headers.Result && RESULTS.includes(headers.Result) ? headers.Result : RESULT_ONGOING;
+    // Brace comments may contain spaces, so pull them out before splitting on whitespace.
+    const tokens = bodyLines.join(' ').match(/\{[^}]*\}|[^\s{}]+/g) || [];
+    tokens.forEach(token => {
+        if (token.startsWith('{')) {
+            const comment = token.slice(1, -1).trim().toLowerCase();
+            if (OPENING_CHOICE_TOKENS.includes(comment)) {
+                openingChoices.push({ choice: comment, stoneCount: moves.length });
+            }
+            return;
+        }
+        if (/^\d+\.+$/.test(token)) {
+            return;
+        }
+        if (RESULTS.includes(token)) {
+            result = token;
+            return;
+        }
+        const coords = labelToCoords(token, size);
+        if (!coords) {
+            throw new Error(`Invalid move "${token}" after ${moves.length} moves`);
+        }
+        moves.push(coords);
+    });
+
+    return { headers, moves, openingChoices, result };
+}
+
+/**
+ * Replay a game record into a new engine, validating every move against the recorded rules.
+ *
+ * @param {string|Object} record - Record text or the result of `parseGameRecord`.
+ * @returns {{engine: GomokuEngine, headers: Object<string, string>, result: string}}
+ */
+export function createEngineFromRecord(record) {
+    const parsed = typeof record === 'string' ? parseGameRecord(record) : record;
+    const { headers } = parsed;
+    const engine = new GomokuEngine({
+        boardSize: headers.BoardSize ? Number(headers.BoardSize) : undefined,
+        rules: headers.Rules || RULES_FREESTYLE,
+        winLength: headers.WinLength ? Number(headers.WinLength) : WIN_LENGTH,
+        opening: headers.Opening || OPENING_NONE,
+        variant: headers.Variant || VARIANT_GOMOKU,
+        startingPlayer: String(headers.FirstPlayer).toLowerCase() === 'white' ? WHITE : BLACK
+    });
+
+    const choices = parsed.openingChoices.slice();
+    const applyChoices = () => {
+        while (choices.length > 0 && choices[0].stoneCount === engine.getMoveHistory().length) {
+            const { choice } = choices.shift();
+            const outcome = engine.chooseOpening(choice);
+            if (outcome.status === 'invalid') {
+                throw new Error(`Invalid opening choice "${choice}" (${outcome.reason})`);
+            }
+        }
+    };
+
+    parsed.moves.forEach((move, index) => {
+        applyChoices();
+        const outcome = engine.applyMove(move.row, move.col);
+        if (outcome.status === 'invalid') {
+            throw new Error(`Illegal move ${coordsToLabel(move.row, move.col)} at move ${index + 1} (${outcome.reason})`);
+        }
+    });
+    applyChoices();
+
+    return { engine, headers, result: parsed.result };
+}
@@ -0,0 +1,150 @@
+import { EMPTY, BLACK } from '../../config.js';
+
+const DIRECTIONS = [
+    [1, 0],
+    [0, 1],
+    [1, 1],
+    [1, -1]
+];
+
+// Deeper chains of "is the completing point itself forbidden?" are vanishingly rare in play.
+const MAX_THREE_RECURSION_DEPTH = 3;
+
+function isInside(board, row, col) {
+    return row >= 0 && row < board.length && col >= 0 && col < board.length;
+}
+
+function countRun(board, row, col, dx, dy) {
+    let count = 0;
+    let x = row + dx;
+    let y = col + dy;
+    while (isInside(board, x, y) && board[x][y] === BLACK) {
+        count += 1;
+        x += dx;
+        y += dy;
+    }
+    return count;
+}
+
+function runLength(board, row, col, dx, dy) {
+    return 1 + countRun(board, row, col, dx, dy) + countRun(board, row, col, -dx, -dy);
+}
+
+/**
+ * Offsets along (dx, dy) where one more black stone completes an exact five
+ * that still contains the stone at (row, col).
+ */
+function findFiveCompletions(board, row, col, dx, dy) {
+    const offsets = [];
+    for (let offset = -4; offset <= 4; offset += 1) {
+        if (offset === 0) continue;
+        const x = row + dx * offset;
+        const y = col + dy * offset;
+        if (!isInside(board, x, y) || board[x][y] !== EMPTY) continue;
+
+        board[x][y] = BLACK;
+        const start = offset - countRun(board, x, y, -dx, -dy);
+        const end = offset + countRun(board, x, y, dx, dy);
+        board[x][y] = EMPTY;
+
+        if (end - start + 1 === 5 && start <= 0 && end >= 0) {
+            offsets.push(offset);
+        }
+    }
+    return offsets;
+}
+
+function isStraightFour(completions) {
+    return completions.length === 2 && completions[1] - completions[0] === 5;
+}
+
+function countFours(board, row, col, dx, dy) {
+    const completions = findFiveCompletions(board, row, col, dx, dy);
+    return isStraightFour(completions) ? 1 : completions.length;
+}
+
+function hasOpenThree(board, row, col, dx, dy, depth) {
+    for (let offset = -3; offset <= 3; offset += 1) {
+        if (offset === 0) continue;
+        const x = row + dx * offset;
+        const y = col + dy * offset;
+        if (!isInside(board, x, y) || board[x][y] !== EMPTY) continue;
+
+        board[x][y] = BLACK;
+        const completions = findFiveCompletions(board, x, y, dx, dy);
+        board[x][y] = EMPTY;
+
+        if (!isStraightFour(completions)) continue;
+        // The straight four must run through the original stone as well.
+        const origin = -offset;
+        if (origin <= completions[0] || origin >= completions[1]) continue;
+        if (detectForbidden(board, x, y, depth + 1) === null) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function classifyPlacedStone(board, row, col, depth) {
+    let overline = false;
+    for (const [dx, dy] of DIRECTIONS) {
+        const length = runLength(board, row, col, dx, dy);
+        if (length === 5) {
+            return null;
+        }
+        if (length > 5) {
+            overline = true;
+        }
+    }
+    if (overline) {
+        return 'overline';
+    }
+
+    let fours = 0;
+    for (const [dx, dy] of DIRECTIONS) {
+        fours += countFours(board, row, col, dx, dy);
+    }
+    if (fours >= 2) {
+        return 'double-four';
+    }
+
+    if (depth >= MAX_THREE_RECURSION_DEPTH) {
+        return null;
+    }
+    let threes = 0;
+    for (const [dx, dy] of DIRECTIONS) {
+        if (hasOpenThree(board, row, col, dx, dy, depth)) {
+            threes += 1;
+        }
+    }
+    return threes >= 2 ? 'double-three' : null;
+}
+
+function detectForbidden(board, row, col, depth) {
+    if (!isInside(board, row, col) || board[row][col] !== EMPTY) {
+        return null;
+    }
+    board[row][col] = BLACK;
+    try {
+        return classifyPlacedStone(board, row, col, depth);
+    } finally {
+        board[row][col] = EMPTY;
+    }
+}
+
+/**
+ * Determine whether Black playing at (row, col) is forbidden under Renju rules.
+ * A move that completes an exact five is always allowed.
+ *
+ * @param {number[][]} board - Board matrix; the target cell must be empty.
+ * @param {number} row - Row index of the candidate move.
+ * @param {number} col - Column index of the candidate move.
+ * @returns {('overline'|'double-four'|'double-three'|null)} The violated restriction, or null when legal.
+ */
+export function findForbiddenReason(board, row, col) {
+    return detectForbidden(board, row, col, 0);
+}
+
+export function isForbiddenMove(board, row, col) {
+    return findForbiddenReason(board, row, col) !== null;
+}
@@ -0,0 +1,86 @@
+import { GomokuEngine } from './game.js';
+
+/**
+ * Bump when the saved shape changes, and teach `parseSavedGame` to read the old shape.
+ */
+export const SAVED_GAME_VERSION = 1;
+
+const GAME_MODES = ['human', 'ai'];
+const HUMAN_COLORS = ['black', 'white'];
+
+/**
+ * Serialize an in-progress game together with the UI settings needed to continue it.
+ *
+ * @param {GomokuEngine} engine - Game to save.
+ * @param {Object} details
+ * @param {string} details.gameMode - `'human'` or `'ai'`.
+ * @param {string} details.aiDifficulty - AI difficulty selected for the game.
+ * @param {string} details.humanColor - Colour the human picked at the start, `'black'` or `'white'`.
+ * @param {?number} [details.reviewIndex] - Review position, or null when playing live.
+ * @param {Date} [details.savedAt]
+ * @returns {string} JSON text.
+ */
+export function serializeSavedGame(engine, details) {
+    const { gameMode, aiDifficulty, humanColor, reviewIndex = null, savedAt = new Date() } = details;
+    return JSON.stringify({
+        version: SAVED_GAME_VERSION,
+        savedAt: savedAt.toISOString(),
+        gameMode,
+        aiDifficulty,
+        humanColor,
+        reviewIndex,
+        state: engine.toJSON()
+    });
+}
+
+/**
+ * Read a saved game back into a new engine.
+ *
+ * @param {string} text - JSON produced by `serializeSavedGame`.
+ * @param {Object} [options] - Engine options forwarded to `GomokuEngine.fromState`, e.g. `maxHistory`.
+ * @returns {{engine: GomokuEngine, gameMode: string, aiDifficulty: string, humanColor: string, reviewIndex: ?number, savedAt: Date}}
+ * @throws {Error} When the data is not a saved game, comes from another schema version, or
+ *   holds a position the engine rejects.
+ */
+export function parseSavedGame(text, options = {}) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('Saved game is not valid JSON');
+    }
+    if (!data || typeof data !== 'object') {
+        throw new Error('Saved game is not an object');
+    }
+    if (data.version !== SAVED_GAME_VERSION) {
+        throw new Error(`Unsupported saved game version: ${data.version}`);
+    }
+    if (!GAME_MODES.includes(data.gameMode)) {
+        throw new Error(`Invalid saved game mode: ${data.gameMode}`);
+    }
+    if (typeof data.aiDifficulty !== 'string') {
+        throw new Error('Saved game is missing the AI difficulty');
+    }
+    if (!HUMAN_COLORS.includes(data.humanColor)) {
+        throw new Error(`Invalid saved human color: ${data.humanColor}`);
+    }
+    if (!data.state || typeof data.state !== 'object') {
+        throw new Error('Saved game is missing the engine state');
+    }
+
+    const engine = GomokuEngine.fromState(data.state, options);
+    const { reviewIndex = null } = data;
+    if (reviewIndex !== null && (!Number.isInteger(reviewIndex) || reviewIndex < 0 || reviewIndex > engine.getMoveHistory().length)) {
+        throw new Error(`Invalid saved review position: ${reviewIndex}`);
+    }
+    const savedAt = new Date(data.savedAt);
+
+    return {
+        engine,
+        gameMode: data.gameMode,
+        aiDifficulty: data.aiDifficulty,
+        humanColor: data.humanColor,
+        reviewIndex,
+        savedAt: Number.isNaN(savedAt.getTime()) ? null : savedAt
+    };
+}
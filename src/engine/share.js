@@ -0,0 +1,164 @@
+import { BOARD_SIZE, WIN_LENGTH, BLACK, WHITE } from '../../config.js';
+import {
+    GomokuEngine,
+    createEmptyBoard,
+    getMovePlayer,
+    normalizeRules,
+    normalizeVariant,
+    RULES_FREESTYLE,
+    VARIANT_GOMOKU
+} from './game.js';
+import { normalizeOpening, OPENING_NONE } from './opening.js';
+
+// One letter per coordinate keeps a move to two characters; boards up to 26x26 fit.
+const COORDINATE_ALPHABET = 'abcdefghijklmnopqrstuvwxyz';
+
+function encodeCoordinate(value) {
+    return COORDINATE_ALPHABET[value];
+}
+
+function decodeCoordinate(char, boardSize) {
+    const value = COORDINATE_ALPHABET.indexOf(char);
+    return value >= 0 && value < boardSize ? value : null;
+}
+
+/**
+ * Encode a game as a URL hash (without the leading `#`), e.g. `b=15&r=freestyle&w=5&o=none&m=hhih&i=1`.
+ * Moves are column/row letter pairs; `c` lists opening choices as `stoneCount.choice` and
+ * `i` is an optional review position. `v` (variant) and `f` (first player, `white`) are only
+ * written when they differ from a Gomoku game Black starts.
+ *
+ * @param {GomokuEngine} engine - Game to share.
+ * @param {Object} [options]
+ * @param {?number} [options.reviewIndex] - Move number the link should open at.
+ * @returns {string} The hash, or an empty string when no moves have been played.
+ */
+export function encodeShareHash(engine, options = {}) {
+    const { reviewIndex = null } = options;
+    const history = engine.getMoveHistory();
+    if (history.length === 0) {
+        return '';
+    }
+    const params = new URLSearchParams({
+        b: String(engine.boardSize),
+        r: engine.getRules(),
+        w: String(engine.getWinLength()),
+        o: engine.getOpening(),
+        m: history.map(move => encodeCoordinate(move.col) + encodeCoordinate(move.row)).join('')
+    });
+    if (engine.getVariant() !== VARIANT_GOMOKU) {
+        params.set('v', engine.getVariant());
+    }
+    if (engine.startingPlayer === WHITE) {
+        params.set('f', 'white');
+    }
+    const choices = engine.toJSON().openingChoices;
+    if (choices.length > 0) {
+        params.set('c', choices.map(entry => `${entry.stoneCount}.${entry.choice}`).join(','));
+    }
+    if (Number.isInteger(reviewIndex) && reviewIndex >= 0 && reviewIndex < history.length) {
+        params.set('i', String(reviewIndex));
+    }
+    return params.toString();
+}
+
+/**
+ * Parse a hash produced by `encodeShareHash` without validating the position itself.
+ *
+ * @param {string} hash - Hash with or without the leading `#`.
+ * @returns {?{settings: Object, moves: Array<{row: number, col: number}>, openingChoices: Array<{choice: string, stoneCount: number}>, reviewIndex: ?number}}
+ *   Null when the hash does not describe a game.
+ */
+export function decodeShareHash(hash) {
+    const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+    if (!params.has('m')) {
+        return null;
+    }
+
+    const boardSize = params.has('b') ? Number(params.get('b')) : BOARD_SIZE;
+    if (!Number.isInteger(boardSize) || boardSize < 1 || boardSize > COORDINATE_ALPHABET.length) {
+        throw new Error(`Invalid board size "${params.get('b')}" in shared link`);
+    }
+    const rules = params.get('r') || RULES_FREESTYLE;
+    if (normalizeRules(rules) !== rules) {
+        throw new Error(`Unknown rule set "${rules}" in shared link`);
+    }
+    const opening = params.get('o') || OPENING_NONE;
+    if (normalizeOpening(opening) !== opening) {
+        throw new Error(`Unknown opening "${opening}" in shared link`);
+    }
+    const variant = params.get('v') || VARIANT_GOMOKU;
+    if (normalizeVariant(variant) !== variant) {
+        throw new Error(`Unknown variant "${variant}" in shared link`);
+    }
+    const firstPlayer = params.get('f') || 'black';
+    if (firstPlayer !== 'black' && firstPlayer !== 'white') {
+        throw new Error(`Invalid first player "${firstPlayer}" in shared link`);
+    }
+    const startingPlayer = firstPlayer === 'white' ? WHITE : BLACK;
+    const winLength = params.has('w') ? Number(params.get('w')) : WIN_LENGTH;
+    if (!Number.isInteger(winLength) || winLength < 3) {
+        throw new Error(`Invalid win length "${params.get('w')}" in shared link`);
+    }
+
+    const encodedMoves = params.get('m');
+    if (encodedMoves.length % 2 !== 0) {
+        throw new Error('Shared link has an incomplete move');
+    }
+    const moves = [];
+    for (let index = 0; index < encodedMoves.length; index += 2) {
+        const col = decodeCoordinate(encodedMoves[index], boardSize);
+        const row = decodeCoordinate(encodedMoves[index + 1], boardSize);
+        if (col === null || row === null) {
+            throw new Error(`Invalid move "${encodedMoves.slice(index, index + 2)}" in shared link`);
+        }
+        moves.push({ row, col });
+    }
+
+    const openingChoices = (params.get('c') || '').split(',').filter(Boolean).map(entry => {
+        const match = /^(\d+)\.([a-z-]+)$/.exec(entry);
+        if (!match) {
+            throw new Error(`Invalid opening choice "${entry}" in shared link`);
+        }
+        return { stoneCount: Number(match[1]), choice: match[2] };
+    });
+
+    let reviewIndex = null;
+    if (params.has('i')) {
+        reviewIndex = Number(params.get('i'));
+        if (!Number.isInteger(reviewIndex) || reviewIndex < 0 || reviewIndex > moves.length) {
+            throw new Error(`Invalid review position "${params.get('i')}" in shared link`);
+        }
+    }
+
+    return { settings: { boardSize, rules, winLength, opening, variant, startingPlayer }, moves, openingChoices, reviewIndex };
+}
+
+/**
+ * Restore a shared game into a new engine. Stones are coloured by the variant's turn order
+ * from the first player, and the position goes through `loadState`, so overlapping stones,
+ * forbidden Renju moves and impossible opening choices are rejected.
+ *
+ * @returns {?{engine: GomokuEngine, reviewIndex: ?number}} Null when the hash holds no game.
+ */
+export function createEngineFromShareHash(hash, options = {}) {
+    const shared = decodeShareHash(hash);
+    if (!shared) {
+        return null;
+    }
+    const engine = new GomokuEngine({ ...shared.settings, ...options });
+    const turnOrder = { variant: engine.getVariant(), startingPlayer: engine.startingPlayer };
+    const board = createEmptyBoard(engine.boardSize);
+    const moveHistory = shared.moves.map((move, index) => {
+        const player = getMovePlayer(index, turnOrder);
+        board[move.row][move.col] = player;
+        return { ...move, player };
+    });
+    engine.loadState({
+        board,
+        moveHistory,
+        currentPlayer: getMovePlayer(moveHistory.length, turnOrder),
+        openingChoices: shared.openingChoices
+    });
+    return { engine, reviewIndex: shared.reviewIndex };
+}
@@ -0,0 +1,155 @@
+import { EMPTY, BLACK } from '../../config.js';
+
+// The eight rotations and reflections of a square board, numbered 0-7. Transform 1 turns
+// the board a quarter clockwise and 3 a quarter counter-clockwise; the others are their own inverse.
+export const IDENTITY_TRANSFORM = 0;
+export const SYMMETRY_COUNT = 8;
+
+const TRANSFORMS = [
+    (row, col) => [row, col],
+    (row, col, size) => [col, size - 1 - row],
+    (row, col, size) => [size - 1 - row, size - 1 - col],
+    (row, col, size) => [size - 1 - col, row],
+    (row, col, size) => [row, size - 1 - col],
+    (row, col, size) => [size - 1 - row, col],
+    (row, col) => [col, row],
+    (row, col, size) => [size - 1 - col, size - 1 - row]
+];
+const INVERSES = [0, 3, 2, 1, 4, 5, 6, 7];
+
+function checkTransform(transform) {
+    if (!Number.isInteger(transform) || transform < 0 || transform >= SYMMETRY_COUNT) {
+        throw new Error(`Unknown board transform ${transform}`);
+    }
+}
+
+/**
+ * @returns {number} The transform that undoes `transform`.
+ */
+export function inverseTransform(transform) {
+    checkTransform(transform);
+    return INVERSES[transform];
+}
+
+/**
+ * Where a cell ends up when the board is transformed.
+ * @returns {{row: number, col: number}}
+ */
+export function transformPoint(row, col, transform, boardSize) {
+    checkTransform(transform);
+    const [x, y] = TRANSFORMS[transform](row, col, boardSize);
+    return { row: x, col: y };
+}
+
+/**
+ * Transform one move, keeping its other fields (such as `player`).
+ */
+export function transformMove(move, transform, boardSize) {
+    return { ...move, ...transformPoint(move.row, move.col, transform, boardSize) };
+}
+
+export function transformMoves(moves, transform, boardSize) {
+    return moves.map(move => transformMove(move, transform, boardSize));
+}
+
+/**
+ * Map a move found on a canonical board back onto the board it was canonicalized from.
+ * @param {number} transform - The transform `canonicalizeBoard` or `canonicalizeMoves` reported.
+ */
+export function restoreMove(move, transform, boardSize) {
+    return transformMove(move, inverseTransform(transform), boardSize);
+}
+
+/**
+ * @returns {number[][]} A transformed copy of a square board.
+ */
+export function transformBoard(board, transform) {
+    checkTransform(transform);
+    const size = board.length;
+    const result = Array.from({ length: size }, () => Array(size).fill(EMPTY));
+    board.forEach((cells, row) => cells.forEach((value, col) => {
+        const [x, y] = TRANSFORMS[transform](row, col, size);
+        result[x][y] = value;
+    }));
+    return result;
+}
+
+/**
+ * @returns {number[][][]} The board under each of the eight transforms, in transform order.
+ */
+export function listBoardSymmetries(board) {
+    return TRANSFORMS.map((_, transform) => transformBoard(board, transform));
+}
+
+/**
+ * @returns {Array<Array<Object>>} The move list under each of the eight transforms, in transform order.
+ */
+export function listMoveSymmetries(moves, boardSize) {
+    return TRANSFORMS.map((_, transform) => transformMoves(moves, transform, boardSize));
+}
+
+/**
+ * Pick one representative among the eight images of a position: the one whose stones, as
+ * sorted cell codes, compare smallest. Equal positions get equal keys however they are turned.
+ *
+ * @param {number[][]} board
+ * @returns {{board: number[][], key: string, transform: number, transforms: number[]}} The
+ *   canonical board and its key, the transform that maps `board` onto it, and every such
+ *   transform (more than one when the position is itself symmetric).
+ */
+export function canonicalizeBoard(board) {
+    const size = board.length;
+    const stones = [];
+    board.forEach((cells, row) => cells.forEach((player, col) => {
+        if (player !== EMPTY) {
+            stones.push({ row, col, player });
+        }
+    }));
+    let best = null;
+    TRANSFORMS.forEach((apply, transform) => {
+        const key = stones
+            .map(({ row, col, player }) => {
+                const [x, y] = apply(row, col, size);
+                return (x * size + y) * 2 + (player === BLACK ? 0 : 1);
+            })
+            .sort((a, b) => a - b)
+            .join('.');
+        if (!best || key < best.key) {
+            best = { key, transforms: [transform] };
+        } else if (key === best.key) {
+            best.transforms.push(transform);
+        }
+    });
+    const [transform] = best.transforms;
+    return { board: transformBoard(board, transform), key: best.key, transform, transforms: best.transforms };
+}
+
+/**
+ * Canonical form of a move sequence: the image whose moves, in play order, compare smallest.
+ * Unlike `canonicalizeBoard` the order matters, so two games match only when they were
+ * played move for move the same way up to symmetry.
+ *
+ * @param {Array<{row: number, col: number}>} moves
+ * @param {number} boardSize
+ * @returns {{moves: Array<Object>, key: string, transform: number}}
+ */
+export function canonicalizeMoves(moves, boardSize) {
+    let best = null;
+    TRANSFORMS.forEach((_, transform) => {
+        const transformed = transformMoves(moves, transform, boardSize);
+        const codes = transformed.map(({ row, col }) => row * boardSize + col);
+        if (!best || compareCodes(codes, best.codes) < 0) {
+            best = { moves: transformed, codes, transform };
+        }
+    });
+    return { moves: best.moves, key: best.codes.join('.'), transform: best.transform };
+}
+
+function compareCodes(a, b) {
+    for (let index = 0; index < a.length; index++) {
+        if (a[index] !== b[index]) {
+            return a[index] - b[index];
+        }
+    }
+    return 0;
+}
@@ -0,0 +1,150 @@
+import { BLACK, WHITE } from '../../config.js';
+
+/**
+ * Variation trees record every line tried from the starting position. The root holds no
+ * move; each child is the next move of one line, and `children[0]` is the mainline.
+ * `activeChild` remembers which line redo should follow. A move may carry a `comment`
+ * (imported from RenLib libraries), which serialization keeps.
+ */
+export function createVariationNode(move = null, parent = null) {
+    return {
+        move,
+        parent,
+        children: [],
+        activeChild: null,
+        openingChoices: []
+    };
+}
+
+export function isSameMove(a, b) {
+    return Boolean(a && b) && a.row === b.row && a.col === b.col && a.player === b.player;
+}
+
+export function findChild(node, move) {
+    return node.children.find(child => isSameMove(child.move, move)) || null;
+}
+
+/**
+ * Child indices leading from the root to `node`.
+ */
+export function getVariationPath(node) {
+    const path = [];
+    let current = node;
+    while (current.parent) {
+        path.unshift(current.parent.children.indexOf(current));
+        current = current.parent;
+    }
+    return path;
+}
+
+export function getNodeAtPath(root, path) {
+    let node = root;
+    for (const index of path) {
+        if (!Number.isInteger(index) || !node.children[index]) {
+            return null;
+        }
+        node = node.children[index];
+    }
+    return node;
+}
+
+export function getPathMoves(node) {
+    const moves = [];
+    let current = node;
+    while (current.parent) {
+        moves.unshift({ ...current.move });
+        current = current.parent;
+    }
+    return moves;
+}
+
+/**
+ * Number of moves along a line when it is followed through its mainline continuations.
+ */
+function measureLine(node) {
+    let length = 1;
+    let current = node;
+    while (current.children.length > 0) {
+        current = current.children[0];
+        length += 1;
+    }
+    return length;
+}
+
+export function describeBranches(node) {
+    const active = node.activeChild || node.children[0] || null;
+    return node.children.map((child, index) => ({
+        index,
+        move: { ...child.move },
+        mainline: index === 0,
+        active: child === active,
+        length: measureLine(child)
+    }));
+}
+
+/**
+ * Move every node on the path to the front of its siblings so the line becomes the mainline.
+ */
+export function promoteLine(node) {
+    let current = node;
+    while (current.parent) {
+        const siblings = current.parent.children;
+        siblings.splice(siblings.indexOf(current), 1);
+        siblings.unshift(current);
+        current = current.parent;
+    }
+}
+
+export function serializeVariationTree(node) {
+    const entry = {
+        move: node.move ? { ...node.move } : null,
+        children: node.children.map(serializeVariationTree)
+    };
+    if (node.openingChoices.length > 0) {
+        entry.openingChoices = node.openingChoices.map(choice => ({ ...choice }));
+    }
+    return entry;
+}
+
+function normalizeTreeMove(move, boardSize) {
+    const row = Number(move && move.row);
+    const col = Number(move && move.col);
+    const player = move && move.player;
+    if (!Number.isInteger(row) || !Number.isInteger(col) || row < 0 || col < 0 || row >= boardSize || col >= boardSize) {
+        throw new Error(`Variation move out of bounds at [${move && move.row}, ${move && move.col}]`);
+    }
+    if (player !== BLACK && player !== WHITE) {
+        throw new Error(`Invalid variation player at [${row}, ${col}]`);
+    }
+    const normalized = { row, col, player };
+    if (typeof move.comment === 'string' && move.comment.length > 0) {
+        normalized.comment = move.comment;
+    }
+    return normalized;
+}
+
+/**
+ * Rebuild a tree produced by `serializeVariationTree`, validating every move.
+ */
+export function deserializeVariationTree(data, boardSize, parent = null) {
+    if (!data || !Array.isArray(data.children)) {
+        throw new Error('Invalid variation tree');
+    }
+    const node = createVariationNode(parent ? normalizeTreeMove(data.move, boardSize) : null, parent);
+    if (Array.isArray(data.openingChoices)) {
+        node.openingChoices = data.openingChoices.map(choice => ({ ...choice }));
+    }
+    node.children = data.children.map(child => deserializeVariationTree(child, boardSize, node));
+    return node;
+}
+
+export function buildLinearTree(moves) {
+    const root = createVariationNode();
+    let node = root;
+    moves.forEach(move => {
+        const child = createVariationNode({ row: move.row, col: move.col, player: move.player }, node);
+        node.children.push(child);
+        node = child;
+    });
+    return { root, current: node };
+}
@@ -120,11 +120,79 @@ describe('AIPlayer', () => {
         expect(expanded).toBeGreaterThan(8);
     });
 
+    it('scales threat detection and winning moves to the configured win length', () => {
+        const board = createEmptyBoard();
+        board[6][6] = BLACK;
+        board[6][7] = BLACK;
+        board[6][8] = BLACK;
+
+        const connectFour = new AIPlayer('hard', WHITE, { random: () => 0, winLength: 4 });
+        expect(connectFour.hasCriticalThreat(board, BLACK)).toBe(true);
+        expect(connectFour.checkWinningMove(board, 6, 9, BLACK)).toBe(true);
+
+        const connectSix = new AIPlayer('hard', WHITE, { random: () => 0, winLength: 6 });
+        expect(connectSix.hasCriticalThreat(board, BLACK)).toBe(false);
+        expect(connectSix.scorePattern(5, true, false)).toBeGreaterThan(connectSix.scorePattern(4, true, true));
+    });
+
+    it('recognises split fours and split open threes as critical threats', () => {
+        const ai = new AIPlayer('hard', WHITE, { random: () => 0 });
+
+        const splitFour = createEmptyBoard();
+        [[7, 4, WHITE], [7, 5, BLACK], [7, 7, BLACK], [7, 8, BLACK], [7, 9, BLACK], [7, 10, WHITE]].forEach(([row, col, player]) => {
+            splitFour[row][col] = player;
+        });
+        expect(ai.hasCriticalThreat(splitFour, BLACK)).toBe(true);
+
+        const splitThree = createEmptyBoard();
+        splitThree[7][5] = BLACK;
+        splitThree[7][7] = BLACK;
+        splitThree[7][8] = BLACK;
+        expect(ai.hasCriticalThreat(splitThree, BLACK)).toBe(true);
+
+        splitThree[7][4] = WHITE;
+        splitThree[7][9] = WHITE;
+        expect(ai.hasCriticalThreat(splitThree, BLACK)).toBe(false);
+    });
+
+    it('scores gapped patterns from a pattern table that behavior can override', () => {
+        const board = createEmptyBoard();
+        board[7][5] = BLACK;
+        board[7][6] = BLACK;
+        board[7][8] = BLACK;
+        board[7][9] = BLACK;
+
+        const ai = new AIPlayer('medium', WHITE);
+        const tuned = new AIPlayer('medium', WHITE, { behavior: { patternScores: { brokenFour: 0, openTwo: 'strong' } } });
+        expect(ai.evaluateBoard(board, BLACK) - tuned.evaluateBoard(board, BLACK)).toBe(15000);
+        expect(tuned.patternScores.openTwo).toBe(800);
+        expect(ai.scoreGappedPattern(1, 2, true, true)).toBe(6000);
+        expect(ai.scoreGappedPattern(1, 2, true, false)).toBe(1500);
+        expect(ai.scoreGappedPattern(1, 2, false, false)).toBe(0);
+        expect(ai.scoreGappedPattern(1, 1, true, true)).toBe(0);
+    });
+
     it('throws when provided a malformed board state', () => {
         const ai = new AIPlayer('easy', BLACK);
         expect(() => ai.makeMove([[BLACK]])).toThrow('Invalid board state');
     });
 
+    it('plays on the configured board size', () => {
+        const board = createEmptyBoard(19);
+        board[18][14] = WHITE;
+        board[18][15] = WHITE;
+        board[18][16] = WHITE;
+        board[18][17] = WHITE;
+        board[18][13] = BLACK;
+
+        const ai = new AIPlayer('hard', WHITE, { random: () => 0, boardSize: 19 });
+        expect(ai.makeMove(board)).toEqual({ row: 18, col: 18 });
+        expect(() => ai.makeMove(createEmptyBoard())).toThrow('Invalid board state');
+
+        const small = new AIPlayer('medium', BLACK, { random: () => 0, boardSize: 9 });
+        expect(small.makeMove(createEmptyBoard(9))).toEqual({ row: 4, col: 4 });
+    });
+
     it('hard difficulty seizes immediate winning move', () => {
         const board = createEmptyBoard();
         board[5][4] = WHITE;
@@ -189,4 +257,157 @@ describe('AIPlayer', () => {
         expect(event.strategy).toBe('hard');
     });
 
+    it('deepens iteratively within a time budget and reports the completed depth', () => {
+        const board = createEmptyBoard();
+        board[7][7] = BLACK;
+        board[7][8] = WHITE;
+        board[6][7] = BLACK;
+
+        const events = [];
+        const depths = new Set();
+        const ai = new AIPlayer('hard', WHITE, {
+            random: () => 0.5,
+            telemetry: entry => events.push(entry),
+            behavior: { timeLimitMs: 60000 }
+        });
+        const move = ai.makeMove(board, { onProgress: update => depths.add(update.depth) });
+        expect(board[move.row][move.col]).toBe(0);
+        expect([...depths]).toEqual([1, 2, 3]);
+        expect(events[0]).toMatchObject({ decision: 'search', timeLimitMs: 60000, completedDepth: 3, searchAborted: null });
+
+        const unbounded = new AIPlayer('hard', WHITE, { random: () => 0.5, telemetry: entry => events.push(entry) });
+        unbounded.makeMove(board);
+        expect(events[1]).toMatchObject({ timeLimitMs: null, completedDepth: 3, searchAborted: null });
+    });
+
+    it('plays the best move of the deepest finished iteration when the search is aborted', () => {
+        const board = createEmptyBoard();
+        board[7][7] = BLACK;
+        board[7][8] = WHITE;
+        board[6][7] = BLACK;
+
+        const events = [];
+        const ai = new AIPlayer('hard', WHITE, {
+            random: () => 0.5,
+            telemetry: entry => events.push(entry),
+            behavior: { timeLimitMs: 60000 }
+        });
+        const controller = new AbortController();
+        const move = ai.makeMove(board, {
+            signal: controller.signal,
+            onProgress: update => {
+                if (update.depth === 2) {
+                    controller.abort();
+                }
+            }
+        });
+        expect(move).toBeTruthy();
+        expect(events[0]).toMatchObject({ decision: 'search', completedDepth: 1, searchAborted: 'signal' });
+
+        const aborted = new AbortController();
+        aborted.abort();
+        expect(ai.makeMove(board, { signal: aborted.signal })).toBeTruthy();
+        expect(events[1]).toMatchObject({ decision: 'search-aborted', completedDepth: 0, searchAborted: 'signal' });
+    });
+
+    it('reuses transposition table entries without changing the chosen move', () => {
+        const board = createEmptyBoard();
+        board[7][7] = BLACK;
+        board[7][8] = WHITE;
+        board[6][7] = BLACK;
+        board[8][8] = WHITE;
+
+        const events = [];
+        const cached = new AIPlayer('hard', WHITE, { random: () => 0.5, telemetry: entry => events.push(entry) });
+        const uncached = new AIPlayer('hard', WHITE, {
+            random: () => 0.5,
+            telemetry: entry => events.push(entry),
+            behavior: { transpositionTableSize: 0 }
+        });
+        expect(cached.makeMove(board)).toEqual(uncached.makeMove(board));
+
+        const [withTable, withoutTable] = events;
+        expect(withTable.ttProbes).toBeGreaterThan(0);
+        expect(withTable.ttHits).toBeGreaterThan(0);
+        expect(withTable.ttHitRate).toBeCloseTo(withTable.ttHits / withTable.ttProbes, 3);
+        expect(withTable.ttSize).toBeGreaterThan(0);
+        expect(withoutTable).toMatchObject({ ttProbes: 0, ttHits: 0, ttSize: 0 });
+    });
+
+    it('replaces moves outside the supplied legal set with the best legal option', () => {
+        const board = createEmptyBoard();
+        board[7][7] = BLACK;
+        board[7][8] = WHITE;
+        const legalMoves = [{ row: 0, col: 0 }, { row: 8, col: 7 }];
+        const ai = new AIPlayer('medium', BLACK, { random: () => 0 });
+        const move = ai.makeMove(board, { legalMoves });
+        expect(legalMoves).toContainEqual(move);
+        expect(move).toEqual({ row: 8, col: 7 });
+    });
+
+    it('chooses opening colours from the position balance', () => {
+        const board = createEmptyBoard();
+        board[7][7] = BLACK;
+        board[7][8] = BLACK;
+        board[7][9] = BLACK;
+        board[0][0] = WHITE;
+        const ai = new AIPlayer('hard', WHITE, { random: () => 0 });
+        expect(ai.chooseOpening(board, ['black', 'white'])).toBe('black');
+
+        const balanced = createEmptyBoard();
+        balanced[7][7] = BLACK;
+        balanced[7][8] = WHITE;
+        expect(ai.chooseOpening(balanced, ['black', 'white', 'place-two'])).toBe('place-two');
+    });
+
+    it('does not win or block through an overline under the standard rules', () => {
+        // White's only five-in-a-row point, (7, 6), would make six.
+        const board = createEmptyBoard();
+        [2, 3, 4, 5, 7].forEach(col => {
+            board[7][col] = WHITE;
+        });
+        board[7][1] = BLACK;
+        board[0][0] = BLACK;
+        board[14][14] = BLACK;
+        board[0][14] = BLACK;
+
+        const freestyle = new AIPlayer('medium', BLACK);
+        expect(freestyle.findWinningMove(board, WHITE)).toEqual({ row: 7, col: 6 });
+
+        const events = [];
+        const white = new AIPlayer('medium', WHITE, { rules: 'standard', random: () => 0, telemetry: entry => events.push(entry) });
+        expect(white.checkWinningMove(board, 7, 6, WHITE)).toBe(false);
+        white.makeMove(board);
+        expect(events[0].decision).not.toBe('immediate-win');
+
+        const black = new AIPlayer('medium', BLACK, { rules: 'standard', random: () => 0, telemetry: entry => events.push(entry) });
+        expect(black.findWinningMove(board, WHITE)).toBeNull();
+        black.makeMove(board);
+        expect(events[1].decision).not.toBe('block-threat');
+    });
+
+    it('keeps Black off forbidden points throughout the search under Renju', () => {
+        // (7, 7) would make a double three for Black.
+        const board = createEmptyBoard();
+        [[7, 5], [7, 6], [5, 7], [6, 7]].forEach(([row, col]) => {
+            board[row][col] = BLACK;
+        });
+        [[0, 0], [0, 14], [14, 0], [14, 14]].forEach(([row, col]) => {
+            board[row][col] = WHITE;
+        });
+
+        const freestyle = new AIPlayer('medium', BLACK, { random: () => 0.3 });
+        expect(freestyle.makeMove(board)).toEqual({ row: 7, col: 7 });
+
+        const options = { rules: 'renju', random: () => 0.3, behavior: { mctsIterations: 100 } };
+        const renju = new AIPlayer('medium', BLACK, options);
+        expect(renju.canPlay(board, 7, 7, BLACK)).toBe(false);
+        expect(renju.canPlay(board, 7, 7, WHITE)).toBe(true);
+        expect(renju.findPlayableMoves(board, BLACK)).not.toContainEqual({ row: 7, col: 7 });
+        expect(renju.findPlayableMoves(board, WHITE)).toContainEqual({ row: 7, col: 7 });
+        ['easy', 'medium', 'hard', 'mcts'].forEach(difficulty => {
+            expect(new AIPlayer(difficulty, BLACK, options).makeMove(board)).not.toEqual({ row: 7, col: 7 });
+        });
+    });
+
 });
@@ -0,0 +1,150 @@
+import { describe, expect, it } from 'vitest';
+import AIPlayer from '../ai-player.js';
+import { BLACK, WHITE } from '../config.js';
+import {
+    createAIWorkerHandler,
+    createSeededRandom,
+    AI_CREATE_PLAYER,
+    AI_REQUEST_MOVE,
+    AI_REQUEST_OPENING,
+    AI_CANCEL,
+    AI_STARTED,
+    AI_PROGRESS,
+    AI_RESULT,
+    AI_ERROR,
+    AI_CANCELLED
+} from '../src/ai/worker-protocol.js';
+import { AIWorkerClient, isCancelledAIRequest } from '../src/ai/ai-worker-client.js';
+import { createNodeWorkerPort } from '../src/ai/node-worker-port.js';
+
+function createBoard(size, stones = []) {
+    const board = Array.from({ length: size }, () => Array(size).fill(0));
+    stones.forEach(([row, col, player]) => {
+        board[row][col] = player;
+    });
+    return board;
+}
+
+// Runs the worker handler on the calling thread; `flush` starts the queued requests.
+function createLoopbackPort(log) {
+    const tasks = [];
+    let listener = null;
+    const handle = createAIWorkerHandler(message => listener && listener(message), {
+        schedule: task => tasks.push(task)
+    });
+    const port = {
+        terminated: false,
+        postMessage: message => handle(structuredClone(message)),
+        onMessage: handler => {
+            listener = handler;
+        },
+        onError: () => {},
+        terminate: () => {
+            port.terminated = true;
+            tasks.length = 0;
+        },
+        flush: () => {
+            while (tasks.length > 0) {
+                tasks.shift()();
+            }
+        }
+    };
+    log.push(port);
+    return port;
+}
+
+describe('AI worker protocol', () => {
+    it('answers move and opening requests and reports progress', () => {
+        const posted = [];
+        const tasks = [];
+        const handle = createAIWorkerHandler(message => posted.push(message), { schedule: task => tasks.push(task) });
+        const board = createBoard(9, [[4, 4, BLACK]]);
+
+        handle({ type: AI_CREATE_PLAYER, playerId: 'p1', difficulty: 'hard', playerColor: WHITE, options: { boardSize: 9, seed: 3 } });
+        handle({ type: AI_REQUEST_MOVE, id: 1, playerId: 'p1', board });
+        handle({ type: AI_REQUEST_OPENING, id: 2, playerId: 'p1', board, choices: ['black', 'white'] });
+        expect(posted).toEqual([]);
+
+        while (tasks.length > 0) {
+            tasks.shift()();
+        }
+        const expected = new AIPlayer('hard', WHITE, { boardSize: 9, random: createSeededRandom(3) }).makeMove(createBoard(9, [[4, 4, BLACK]]));
+        expect(posted[0]).toEqual({ type: AI_STARTED, id: 1 });
+        const progress = posted.filter(message => message.type === AI_PROGRESS);
+        expect(progress.length).toBeGreaterThan(0);
+        expect(progress[0].progress).toMatchObject({ difficulty: 'hard', stage: 'search', completed: 0 });
+        expect(posted.find(message => message.type === AI_RESULT && message.id === 1).result).toEqual(expected);
+        expect(posted.find(message => message.type === AI_RESULT && message.id === 2).result).toMatch(/^(black|white)$/);
+    });
+
+    it('drops cancelled requests that have not started and reports unknown players', () => {
+        const posted = [];
+        const tasks = [];
+        const handle = createAIWorkerHandler(message => posted.push(message), { schedule: task => tasks.push(task) });
+
+        handle({ type: AI_REQUEST_MOVE, id: 1, playerId: 'missing', board: createBoard(9) });
+        handle({ type: AI_REQUEST_MOVE, id: 2, playerId: 'missing', board: createBoard(9) });
+        handle({ type: AI_CANCEL, id: 2 });
+        while (tasks.length > 0) {
+            tasks.shift()();
+        }
+
+        expect(posted).toEqual([
+            { type: AI_CANCELLED, id: 2 },
+            { type: AI_STARTED, id: 1 },
+            { type: AI_ERROR, id: 1, message: 'Unknown AI player "missing"' }
+        ]);
+    });
+});
+
+describe('AIWorkerClient', () => {
+    it('forwards telemetry and progress, and restarts the worker after cancelling a running search', async () => {
+        const ports = [];
+        const client = new AIWorkerClient({ createPort: () => createLoopbackPort(ports) });
+        const telemetry = [];
+        const progress = [];
+        const player = client.createPlayer('medium', WHITE, { boardSize: 9, seed: 1, telemetry: entry => telemetry.push(entry) });
+        const board = createBoard(9, [[4, 4, BLACK]]);
+
+        const first = player.makeMove(board, { onProgress: update => progress.push(update) });
+        ports[0].flush();
+        expect(await first).toEqual(expect.objectContaining({ row: expect.any(Number), col: expect.any(Number) }));
+        expect(telemetry).toHaveLength(1);
+        expect(telemetry[0]).toMatchObject({ difficulty: 'medium', result: 'move-selected' });
+        expect(progress.length).toBeGreaterThan(0);
+
+        // Not started yet: the worker drops it from its queue and keeps running.
+        const queued = player.makeMove(board);
+        expect(client.cancel()).toBe(true);
+        await expect(queued).rejects.toSatisfy(isCancelledAIRequest);
+        expect(ports[0].terminated).toBe(false);
+
+        // Started: only terminating the worker stops it.
+        const running = player.makeMove(board);
+        client.handleMessage({ type: AI_STARTED, id: client.nextRequestId - 1 });
+        client.cancel();
+        await expect(running).rejects.toSatisfy(isCancelledAIRequest);
+        expect(ports[0].terminated).toBe(true);
+
+        player.difficulty = 'easy';
+        const next = player.makeMove(board);
+        expect(ports).toHaveLength(2);
+        ports[1].flush();
+        expect(await next).not.toBeNull();
+        expect(telemetry.at(-1)).toMatchObject({ difficulty: 'easy' });
+        client.terminate();
+    });
+
+    it('runs players in a worker_threads worker with the same results as in-process players', async () => {
+        const client = new AIWorkerClient({ createPort: createNodeWorkerPort });
+        const board = createBoard(9, [[4, 4, BLACK], [4, 5, WHITE], [5, 5, BLACK]]);
+        try {
+            const remote = client.createPlayer('medium', WHITE, { boardSize: 9, seed: 42 });
+            const local = new AIPlayer('medium', WHITE, { boardSize: 9, random: createSeededRandom(42) });
+            expect(await remote.makeMove(board)).toEqual(local.makeMove(board.map(row => row.slice())));
+            expect(await remote.makeTurn(board, { stonesRemaining: 1 })).toHaveLength(1);
+        } finally {
+            client.terminate();
+        }
+    });
+});
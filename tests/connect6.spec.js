@@ -0,0 +1,105 @@
+import { describe, expect, it } from 'vitest';
+import AIPlayer from '../ai-player.js';
+import { GomokuEngine, VARIANT_CONNECT6, RULES_RENJU, createEmptyBoard } from '../src/engine/game.js';
+import { BLACK, WHITE, EMPTY } from '../config.js';
+
+function place(board, player, cells) {
+    cells.forEach(([row, col]) => {
+        board[row][col] = player;
+    });
+    return board;
+}
+
+describe('GomokuEngine in Connect6 mode', () => {
+    it('opens with one stone and then alternates two-stone turns', () => {
+        const engine = new GomokuEngine({ variant: VARIANT_CONNECT6 });
+        expect(engine.getWinLength()).toBe(6);
+        expect(engine.getStonesRemaining()).toBe(1);
+
+        expect(engine.applyMove(7, 7)).toMatchObject({ status: 'continue', player: BLACK, stonesRemaining: 2 });
+        expect(engine.getCurrentPlayer()).toBe(WHITE);
+        expect(engine.applyMove(6, 6)).toMatchObject({ player: WHITE, stonesRemaining: 1 });
+        expect(engine.getCurrentPlayer()).toBe(WHITE);
+        expect(engine.applyMove(6, 8)).toMatchObject({ player: WHITE, stonesRemaining: 2 });
+        expect(engine.getCurrentPlayer()).toBe(BLACK);
+    });
+
+    it('undoes stones within a turn without handing the move over', () => {
+        const engine = new GomokuEngine({ variant: VARIANT_CONNECT6 });
+        engine.applyMove(7, 7);
+        engine.applyMove(6, 6);
+        engine.applyMove(6, 8);
+        engine.applyMove(8, 8);
+
+        engine.undoLastMove();
+        expect(engine.getCurrentPlayer()).toBe(BLACK);
+        expect(engine.getStonesRemaining()).toBe(2);
+
+        engine.undoLastMove();
+        expect(engine.getCurrentPlayer()).toBe(WHITE);
+        expect(engine.getStonesRemaining()).toBe(1);
+
+        engine.undoLastMove(2);
+        expect(engine.getCurrentPlayer()).toBe(BLACK);
+        expect(engine.getStonesRemaining()).toBe(1);
+    });
+
+    it('needs six in a row to win', () => {
+        const engine = new GomokuEngine({ variant: VARIANT_CONNECT6, rules: RULES_RENJU });
+        expect(engine.getRules()).toBe('freestyle');
+        place(engine.getBoard(), BLACK, [[3, 0], [3, 1], [3, 2], [3, 3]]);
+
+        expect(engine.applyMove(3, 4).status).toBe('continue');
+        engine.applyMove(10, 10);
+        engine.applyMove(10, 11);
+        expect(engine.applyMove(3, 5).status).toBe('win');
+    });
+
+    it('round-trips the turn position through serialization', () => {
+        const engine = new GomokuEngine({ variant: VARIANT_CONNECT6 });
+        engine.applyMove(7, 7);
+        engine.applyMove(6, 6);
+
+        const state = engine.toJSON();
+        expect(state).toMatchObject({ variant: VARIANT_CONNECT6, stonesRemaining: 1 });
+        const restored = GomokuEngine.fromState(state);
+        expect(restored.getCurrentPlayer()).toBe(WHITE);
+        expect(restored.getStonesRemaining()).toBe(1);
+        expect(engine.clone().getStonesRemaining()).toBe(1);
+        expect(() => GomokuEngine.fromState({ ...state, stonesRemaining: 3 })).toThrow(/stones remaining/);
+    });
+});
+
+describe('AIPlayer two-stone turns', () => {
+    it('completes six with a pair of stones', () => {
+        const board = place(createEmptyBoard(), BLACK, [[7, 4], [7, 5], [7, 6], [7, 7]]);
+        const ai = new AIPlayer('medium', BLACK, { random: () => 0, winLength: 6 });
+
+        const moves = ai.makeTurn(board, { stonesRemaining: 2 });
+        expect(moves).toHaveLength(2);
+        moves.forEach(({ row, col }) => {
+            board[row][col] = BLACK;
+        });
+        const last = moves[1];
+        expect(ai.checkWinningMove(board, last.row, last.col, BLACK)).toBe(true);
+    });
+
+    it('blocks both ends of an open four', () => {
+        const board = place(createEmptyBoard(), BLACK, [[7, 4], [7, 5], [7, 6], [7, 7]]);
+        board[8][8] = WHITE;
+        const ai = new AIPlayer('hard', WHITE, { random: () => 0, winLength: 6 });
+
+        const moves = ai.makeTurn(board, { stonesRemaining: 2 });
+        expect(moves).toHaveLength(2);
+        expect(moves).toEqual(expect.arrayContaining([{ row: 7, col: 3 }, { row: 7, col: 8 }]));
+        expect(board[7][3]).toBe(EMPTY);
+    });
+
+    it('falls back to a single move when one stone remains', () => {
+        const board = place(createEmptyBoard(), BLACK, [[7, 7]]);
+        const ai = new AIPlayer('easy', WHITE, { random: () => 0, winLength: 6 });
+
+        expect(ai.makeTurn(board, { stonesRemaining: 1 })).toHaveLength(1);
+        expect(ai.makeTurn(board, { stonesRemaining: 2 })).toHaveLength(2);
+    });
+});
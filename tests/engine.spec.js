@@ -1,5 +1,20 @@
 import { describe, expect, it, beforeEach } from 'vitest';
-import { GomokuEngine, checkDraw, determineWinningSequence, createEmptyBoard } from '../src/engine/game.js';
+import {
+    GomokuEngine,
+    EVENT_ANY,
+    EVENT_GAME_OVER,
+    EVENT_MOVE_APPLIED,
+    EVENT_MOVE_REJECTED,
+    EVENT_RESET,
+    EVENT_STATE_LOADED,
+    EVENT_UNDONE,
+    RULES_STANDARD,
+    checkDraw,
+    checkWin,
+    determineWinningSequence,
+    createEmptyBoard,
+    findWinningSequence
+} from '../src/engine/game.js';
 import { BLACK, WHITE, EMPTY, BOARD_SIZE } from '../config.js';
 
 describe('GomokuEngine', () => {
@@ -154,5 +169,136 @@ describe('GomokuEngine', () => {
         expect(winningSequence[0]).toEqual({ row: 4, col: 0 });
     });
 
+    it('does not award overlines under standard rules', () => {
+        const board = createEmptyBoard();
+        for (let col = 0; col < 6; col += 1) {
+            board[4][col] = BLACK;
+        }
+        expect(checkWin(board, 4, 0)).toBe(true);
+        expect(checkWin(board, 4, 0, { rules: RULES_STANDARD })).toBe(false);
+        expect(findWinningSequence(board, { rules: RULES_STANDARD })).toBeNull();
+    });
 
+    it('keeps playing after an overline and reports exact fives under standard rules', () => {
+        const standard = new GomokuEngine({ rules: RULES_STANDARD });
+        const board = standard.getBoard();
+        [0, 1, 2, 4, 5].forEach(col => {
+            board[7][col] = BLACK;
+        });
+        [3, 4, 5, 6].forEach(row => {
+            board[row][9] = BLACK;
+        });
+
+        const overline = standard.applyMove(7, 3);
+        expect(overline.status).toBe('continue');
+        expect(standard.isGameOver()).toBe(false);
+
+        standard.applyMove(0, 14);
+        const five = standard.applyMove(7, 9);
+        expect(five.status).toBe('win');
+        expect(five.winningSequence).toHaveLength(5);
+        const state = standard.toJSON();
+        expect(state.rules).toBe(RULES_STANDARD);
+        expect(state.winningSequence).toHaveLength(5);
+    });
+
+    it('honours a configurable win length', () => {
+        const connectFour = new GomokuEngine({ winLength: 4 });
+        [0, 1, 2].forEach(col => {
+            connectFour.getBoard()[3][col] = BLACK;
+        });
+        const outcome = connectFour.applyMove(3, 3);
+        expect(outcome.status).toBe('win');
+        expect(outcome.winningSequence).toHaveLength(4);
+        expect(connectFour.toJSON().winLength).toBe(4);
+
+        const board = createEmptyBoard();
+        for (let col = 0; col < 5; col += 1) {
+            board[4][col] = WHITE;
+        }
+        expect(checkWin(board, 4, 0, { winLength: 6 })).toBe(false);
+        expect(checkWin(board, 4, 0, { winLength: 4, rules: RULES_STANDARD })).toBe(false);
+        expect(new GomokuEngine({ winLength: 1 }).getWinLength()).toBe(5);
+    });
+
+});
+
+describe('GomokuEngine events', () => {
+    let engine;
+    let events;
+
+    beforeEach(() => {
+        engine = new GomokuEngine();
+        events = [];
+        engine.on(EVENT_ANY, payload => events.push(payload));
+    });
+
+    it('reports applied moves, undo, game over and reset', () => {
+        engine.applyMove(7, 7);
+        expect(events).toEqual([{
+            type: EVENT_MOVE_APPLIED,
+            move: { row: 7, col: 7, player: BLACK },
+            outcome: { status: 'continue', player: BLACK, move: { row: 7, col: 7 }, stonesRemaining: 1 }
+        }]);
+
+        engine.undoLastMove();
+        expect(events[1]).toEqual({ type: EVENT_UNDONE, moves: [{ row: 7, col: 7, player: BLACK }] });
+        engine.undoLastMove();
+        expect(events).toHaveLength(2);
+
+        const board = engine.getBoard();
+        [3, 4, 5, 6].forEach(col => {
+            board[0][col] = BLACK;
+        });
+        engine.applyMove(0, 7);
+        expect(events.map(event => event.type)).toEqual([EVENT_MOVE_APPLIED, EVENT_UNDONE, EVENT_MOVE_APPLIED, EVENT_GAME_OVER]);
+        expect(events[3]).toMatchObject({ status: 'win', player: BLACK });
+
+        engine.reset();
+        expect(events[4]).toEqual({ type: EVENT_RESET });
+    });
+
+    it('reports rejected moves with the invalid reason', () => {
+        engine.applyMove(7, 7);
+        const rejected = [];
+        engine.on(EVENT_MOVE_REJECTED, payload => rejected.push(payload));
+
+        expect(engine.applyMove(7, 7).reason).toBe('occupied');
+        engine.applyMove(-1, 3);
+        expect(rejected).toEqual([
+            { type: EVENT_MOVE_REJECTED, move: { row: 7, col: 7 }, player: WHITE, reason: 'occupied' },
+            { type: EVENT_MOVE_REJECTED, move: { row: -1, col: 3 }, player: WHITE, reason: 'out-of-bounds' }
+        ]);
+        expect(engine.getMoveHistory()).toHaveLength(1);
+    });
+
+    it('reports loaded states', () => {
+        const source = new GomokuEngine();
+        source.applyMove(7, 7);
+        engine.loadState(source.toJSON());
+
+        expect(events).toHaveLength(1);
+        expect(events[0].type).toBe(EVENT_STATE_LOADED);
+        expect(events[0].state.moveHistory).toEqual([{ row: 7, col: 7, player: BLACK }]);
+    });
+
+    it('supports once, unsubscribe and isolates failing listeners', () => {
+        const seen = [];
+        engine.once(EVENT_MOVE_APPLIED, payload => seen.push(payload.move));
+        const unsubscribe = engine.on(EVENT_MOVE_APPLIED, () => {
+            throw new Error('listener failure');
+        });
+
+        expect(engine.applyMove(7, 7).status).toBe('continue');
+        unsubscribe();
+        engine.applyMove(7, 8);
+
+        expect(seen).toEqual([{ row: 7, col: 7, player: BLACK }]);
+        expect(events).toHaveLength(2);
+        expect(engine.clone().listeners.size).toBe(0);
+    });
+
+    it('rejects unknown event names', () => {
+        expect(() => engine.on('moved', () => {})).toThrow(/Unknown engine event/);
+    });
 });
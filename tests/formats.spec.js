@@ -0,0 +1,132 @@
+import { describe, expect, it } from 'vitest';
+import { GomokuEngine } from '../src/engine/game.js';
+import {
+    detectGameFormat,
+    parsePsq,
+    serializePsq,
+    parsePos,
+    serializePos,
+    parseRenLib,
+    serializeRenLib,
+    listVariationLines,
+    recenterMoves,
+    importGame,
+    FORMAT_PSQ,
+    FORMAT_POS,
+    FORMAT_RENLIB,
+    FORMAT_RECORD
+} from '../src/engine/formats.js';
+import { BLACK, WHITE } from '../config.js';
+
+function play(engine, moves) {
+    moves.forEach(([row, col]) => {
+        expect(engine.applyMove(row, col).status).not.toBe('invalid');
+    });
+}
+
+const RENLIB_HEADER = [0xFF, 0x52, 0x65, 0x6E, 0x4C, 0x69, 0x62, 0xFF, 3, 4, ...Array(10).fill(0xFF)];
+
+describe('detectGameFormat', () => {
+    it('maps file extensions to formats', () => {
+        expect(detectGameFormat('final.PSQ')).toBe(FORMAT_PSQ);
+        expect(detectGameFormat('opening.pos')).toBe(FORMAT_POS);
+        expect(detectGameFormat('book.lib')).toBe(FORMAT_RENLIB);
+        expect(detectGameFormat('game.txt')).toBe(FORMAT_RECORD);
+        expect(detectGameFormat('notes.md')).toBeNull();
+    });
+});
+
+describe('PSQ records', () => {
+    it('reads Piskvork records and ignores the trailer', () => {
+        const parsed = parsePsq('Piskvork 20x20, 11:11, 0\n10,10,312\n11,10,0\n11,11\n-1\npbrain-example.exe\n');
+        expect(parsed.boardSize).toBe(20);
+        expect(parsed.moves).toEqual([{ row: 9, col: 9 }, { row: 9, col: 10 }, { row: 10, col: 10 }]);
+        expect(parsed.times).toEqual([312, 0, null]);
+        expect(() => parsePsq('Piskvork 15x15, 11:11, 0\n16,1,0')).toThrow(/outside a 15x15 board/);
+    });
+
+    it('round-trips an engine history', () => {
+        const engine = new GomokuEngine();
+        play(engine, [[7, 7], [7, 8], [8, 8]]);
+        const text = serializePsq(engine);
+        expect(text.split('\n')[0]).toBe('Piskvork 15x15, 11:11, 0');
+        expect(parsePsq(text).moves).toEqual([{ row: 7, col: 7 }, { row: 7, col: 8 }, { row: 8, col: 8 }]);
+    });
+
+    it('re-centres 20x20 games onto smaller boards', () => {
+        const { engine, boardSize } = importGame('Piskvork 20x20, 11:11, 0\n10,10,0\n11,10,0\n-1', FORMAT_PSQ, { maxBoardSize: 15 });
+        expect(boardSize).toBe(15);
+        expect(engine.getMoveHistory().map(({ row, col }) => [row, col])).toEqual([[6, 6], [6, 7]]);
+        expect(() => recenterMoves([{ row: 0, col: 0 }, { row: 19, col: 0 }], 20, 15)).toThrow(/does not fit/);
+    });
+});
+
+describe('POS positions', () => {
+    it('round-trips the move list as bytes', () => {
+        const engine = new GomokuEngine();
+        play(engine, [[7, 7], [6, 8]]);
+        const bytes = serializePos(engine);
+        expect(Array.from(bytes)).toEqual([2, 7, 7, 8, 6]);
+        expect(parsePos(bytes.buffer).moves).toEqual([{ row: 7, col: 7 }, { row: 6, col: 8 }]);
+        expect(() => parsePos(new Uint8Array([3, 7, 7]))).toThrow(/truncated/);
+    });
+
+    it('replays positions through the engine rules', () => {
+        expect(() => importGame(new Uint8Array([2, 7, 7, 7, 7]), FORMAT_POS)).toThrow('Illegal move H8 at move 2 (occupied)');
+    });
+});
+
+describe('RenLib libraries', () => {
+    // H8 with two replies: J8 (then J9) and G7.
+    const library = new Uint8Array([
+        ...RENLIB_HEADER,
+        0x78, 0x00,
+        0x79, 0x40,
+        0x89, 0x88, 0x4D, 0x61, 0x69, 0x6E, 0x00,
+        0x67, 0x80
+    ]);
+
+    it('reads the move tree with alternating colours and comments', () => {
+        const { boardSize, variations } = parseRenLib(library);
+        expect(boardSize).toBe(15);
+        const lines = listVariationLines(variations);
+        expect(lines).toEqual([
+            [{ row: 7, col: 7, player: BLACK }, { row: 7, col: 8, player: WHITE }, { row: 8, col: 8, player: BLACK }],
+            [{ row: 7, col: 7, player: BLACK }, { row: 6, col: 6, player: WHITE }]
+        ]);
+        expect(variations.children[0].children[0].children[0].move.comment).toBe('Main');
+        expect(() => parseRenLib(new Uint8Array(20))).toThrow(/Not a RenLib library/);
+    });
+
+    it('writes libraries that read back to the same tree', () => {
+        expect(Array.from(serializeRenLib(parseRenLib(library).variations))).toEqual(Array.from(library));
+
+        const engine = new GomokuEngine();
+        play(engine, [[7, 7], [7, 8]]);
+        engine.undoLastMove();
+        play(engine, [[8, 8]]);
+        expect(listVariationLines(parseRenLib(serializeRenLib(engine)).variations)).toHaveLength(2);
+        expect(() => serializeRenLib(new GomokuEngine({ boardSize: 13 }))).toThrow(/15x15 only/);
+    });
+
+    it('imports the whole library as variations with the mainline played', () => {
+        const { engine } = importGame(library.buffer, FORMAT_RENLIB);
+        expect(engine.getMoveHistory()).toHaveLength(3);
+        expect(engine.getVariationPath()).toEqual([0, 0, 0]);
+        expect(engine.listBranches([0]).map(branch => branch.move)).toEqual([
+            { row: 7, col: 8, player: WHITE },
+            { row: 6, col: 6, player: WHITE }
+        ]);
+        expect(engine.goToVariation([0, 1]).status).toBe('variation');
+    });
+
+    it('keeps comments through the import and the engine state', () => {
+        const { engine } = importGame(library.buffer, FORMAT_RENLIB);
+        const tree = engine.getVariationTree();
+        expect(tree.children[0].children[0].children[0].move.comment).toBe('Main');
+        expect(engine.listBranches([0, 0]).map(branch => branch.move.comment)).toEqual(['Main']);
+
+        const restored = new GomokuEngine().loadState(engine.toJSON());
+        expect(Array.from(serializeRenLib(restored))).toEqual(Array.from(library));
+    });
+});
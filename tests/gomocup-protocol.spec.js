@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+import { GomocupSession } from '../src/ai/gomocup-protocol.js';
+import { createSeededRandom } from '../src/ai/worker-protocol.js';
+
+function createSession(options = {}) {
+    return new GomocupSession({
+        difficulty: 'medium',
+        random: createSeededRandom(7),
+        about: { name: 'test-brain', version: '1.2.3' },
+        ...options
+    });
+}
+
+function send(session, lines) {
+    return lines.flatMap(line => session.handleLine(line));
+}
+
+function parseMove(reply) {
+    const match = /^(\d+),(\d+)$/.exec(reply);
+    expect(match).not.toBeNull();
+    return { x: Number(match[1]), y: Number(match[2]) };
+}
+
+describe('Gomocup protocol session', () => {
+    it('starts a board, describes itself and opens the game on BEGIN', () => {
+        const session = createSession();
+        expect(send(session, ['START 15', 'ABOUT'])).toEqual(['OK', 'name="test-brain", version="1.2.3"']);
+        const [reply] = send(session, ['BEGIN']);
+        const { x, y } = parseMove(reply);
+        expect(x).toBeLessThan(15);
+        expect(y).toBeLessThan(15);
+        expect(session.cells[y][x]).toBe(1);
+    });
+
+    it('answers TURN with a move on an empty square and rejects occupied ones', () => {
+        const session = createSession();
+        send(session, ['START 15']);
+        const [reply] = send(session, ['TURN 7,7']);
+        const { x, y } = parseMove(reply);
+        expect(session.cells[7][7]).toBe(2);
+        expect(`${x},${y}`).not.toBe('7,7');
+        expect(send(session, [`TURN ${x},${y}`])[0]).toMatch(/^ERROR/);
+        expect(send(session, ['TURN 15,0'])[0]).toMatch(/^ERROR/);
+    });
+
+    it('plays the winning move of a position sent with BOARD', () => {
+        const session = createSession();
+        const replies = send(session, [
+            'START 15',
+            'BOARD',
+            '3,5,1', '4,5,1', '5,5,1', '6,5,1',
+            '3,6,2', '4,6,2', '5,6,2',
+            'DONE'
+        ]);
+        expect(['2,5', '7,5']).toContain(replies[1]);
+    });
+
+    it('turns INFO time limits into a search budget for the player', () => {
+        const session = createSession({ difficulty: 'hard' });
+        send(session, ['START 15']);
+        expect(session.player.timeLimitMs).toBeNull();
+        send(session, ['INFO timeout_turn 1000']);
+        expect(session.player.timeLimitMs).toBe(800);
+        send(session, ['INFO timeout_match 60000', 'INFO time_left 4000']);
+        expect(session.player.timeLimitMs).toBe(200);
+        send(session, ['INFO timeout_turn 0']);
+        expect(session.getTurnBudget()).toBe(10);
+        // Limits sent before START carry over to the new game.
+        send(session, ['START 20']);
+        expect(session.player.timeLimitMs).toBe(10);
+    });
+
+    it('reports unknown commands, refuses to move without a board and stops after END', () => {
+        const session = createSession();
+        expect(send(session, ['BEGIN'])[0]).toMatch(/^ERROR/);
+        expect(send(session, ['START 3'])[0]).toMatch(/^ERROR/);
+        expect(send(session, ['PLAY 1,1'])).toEqual(['UNKNOWN command PLAY']);
+        expect(send(session, ['END', 'START 15'])).toEqual([]);
+        expect(session.finished).toBe(true);
+    });
+});
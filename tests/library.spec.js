@@ -0,0 +1,90 @@
+import { describe, expect, it } from 'vitest';
+import { WHITE } from '../config.js';
+import { GomokuEngine } from '../src/engine/game.js';
+import { RESULT_BLACK, RESULT_WHITE, RESULT_DRAW } from '../src/engine/record.js';
+import {
+    GameLibrary,
+    buildLibraryEntry,
+    filterLibraryEntries,
+    createMemoryLibraryBackend,
+    openIndexedDbLibraryBackend,
+    OPPONENT_AI,
+    OPPONENT_HUMAN
+} from '../src/engine/library.js';
+
+function play(engine, moves) {
+    moves.forEach(([row, col]) => {
+        expect(engine.applyMove(row, col).status).not.toBe('invalid');
+    });
+}
+
+function finishedGame() {
+    const engine = new GomokuEngine({ boardSize: 13, rules: 'standard' });
+    play(engine, [[6, 2], [7, 2], [6, 3], [7, 3], [6, 4], [7, 4], [6, 5], [7, 5], [6, 6]]);
+    return engine;
+}
+
+describe('saved-games library', () => {
+    it('describes a finished game with its result, opponent and record', () => {
+        const date = new Date('2024-05-01T12:00:00Z');
+        const entry = buildLibraryEntry(finishedGame(), {
+            gameMode: 'ai', aiDifficulty: 'hard', aiProfile: 'aggressive', humanColor: WHITE, date
+        });
+
+        expect(entry).toMatchObject({
+            name: 'AI (hard/aggressive) vs Human',
+            date: '2024-05-01T12:00:00.000Z',
+            result: RESULT_BLACK,
+            opponent: 'AI (hard/aggressive)',
+            opponentType: OPPONENT_AI,
+            moveCount: 9,
+            boardSize: 13,
+            rules: 'standard'
+        });
+        expect(entry.record).toContain('[White "Human"]');
+        expect(buildLibraryEntry(finishedGame(), { gameMode: 'human', date })).toMatchObject({
+            name: 'Human vs Human', opponent: 'Human', opponentType: OPPONENT_HUMAN
+        });
+    });
+
+    it('filters by text, result and opponent, newest first', () => {
+        const entries = [
+            { name: 'Morning game', opponent: 'AI (easy)', opponentType: OPPONENT_AI, rules: 'freestyle', result: RESULT_BLACK, date: '2024-01-01T00:00:00.000Z' },
+            { name: 'Rematch', opponent: 'Human', opponentType: OPPONENT_HUMAN, rules: 'renju', result: RESULT_WHITE, date: '2024-03-01T00:00:00.000Z' },
+            { name: 'Long one', opponent: 'AI (hard)', opponentType: OPPONENT_AI, rules: 'freestyle', result: RESULT_DRAW, date: '2024-02-01T00:00:00.000Z' }
+        ];
+        const names = filters => filterLibraryEntries(entries, filters).map(entry => entry.name);
+
+        expect(names()).toEqual(['Rematch', 'Long one', 'Morning game']);
+        expect(names({ query: '  ai (' })).toEqual(['Long one', 'Morning game']);
+        expect(names({ query: 'RENJU' })).toEqual(['Rematch']);
+        expect(names({ result: RESULT_DRAW })).toEqual(['Long one']);
+        expect(names({ opponent: OPPONENT_HUMAN })).toEqual(['Rematch']);
+        expect(names({ opponent: OPPONENT_AI, result: RESULT_WHITE })).toEqual([]);
+    });
+
+    it('stores, renames, reopens and deletes games', async () => {
+        const library = new GameLibrary(createMemoryLibraryBackend());
+        const engine = finishedGame();
+        const stored = await library.save(buildLibraryEntry(engine, { gameMode: 'human' }));
+        expect(stored.id).toBeDefined();
+
+        const renamed = await library.rename(stored.id, '  Club final ');
+        expect(renamed).toMatchObject({ id: stored.id, name: 'Club final' });
+        expect(await library.list()).toHaveLength(1);
+        await expect(library.rename(stored.id, ' ')).rejects.toThrow('cannot be empty');
+
+        const { engine: reopened, entry } = await library.open(stored.id);
+        expect(entry.name).toBe('Club final');
+        expect(reopened.getMoveHistory()).toEqual(engine.getMoveHistory());
+        expect(reopened.isGameOver()).toBe(true);
+
+        await library.remove(stored.id);
+        expect(await library.list()).toEqual([]);
+        await expect(library.open(stored.id)).rejects.toThrow('No saved game');
+    });
+
+    it('reports a missing IndexedDB', async () => {
+        await expect(openIndexedDbLibraryBackend(null)).rejects.toThrow('IndexedDB is not available');
+    });
+});
@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest';
+import AIPlayer from '../ai-player.js';
+import { BLACK, WHITE, EMPTY } from '../config.js';
+import { LineEvaluator, scoreLineRuns } from '../src/ai/line-evaluator.js';
+import { createSeededRandom } from '../src/ai/worker-protocol.js';
+
+function createBoard(size) {
+    return Array.from({ length: size }, () => Array(size).fill(EMPTY));
+}
+
+function createEvaluator(ai, board) {
+    return new LineEvaluator(board, ai.boardSize, (cells, length, player) => scoreLineRuns(cells, length, player, ai));
+}
+
+describe('LineEvaluator', () => {
+    it('matches a full rescan after every placement and removal', () => {
+        const ai = new AIPlayer('hard', WHITE, { boardSize: 9 });
+        const board = createBoard(9);
+        const evaluator = createEvaluator(ai, board);
+        const random = createSeededRandom(7);
+        const placed = [];
+
+        for (let step = 0; step < 200; step += 1) {
+            // Mostly undo the latest stone, sometimes an older one, to cover out-of-order removals.
+            if (placed.length > 0 && random() < 0.4) {
+                const index = random() < 0.7 ? placed.length - 1 : Math.floor(random() * placed.length);
+                const [{ row, col }] = placed.splice(index, 1);
+                board[row][col] = EMPTY;
+                evaluator.update(row, col);
+            } else {
+                const row = Math.floor(random() * 9);
+                const col = Math.floor(random() * 9);
+                if (board[row][col] !== EMPTY) {
+                    continue;
+                }
+                board[row][col] = random() < 0.5 ? BLACK : WHITE;
+                placed.push({ row, col });
+                evaluator.update(row, col);
+            }
+            expect(evaluator.total(BLACK)).toBe(ai.scoreLinesForPlayer(board, BLACK));
+            expect(evaluator.total(WHITE)).toBe(ai.scoreLinesForPlayer(board, WHITE));
+        }
+    });
+
+    it('gives AIPlayer the same scores as the full-board evaluation', () => {
+        const ai = new AIPlayer('medium', BLACK);
+        const board = createBoard(15);
+        [[7, 7, BLACK], [7, 8, WHITE], [6, 7, BLACK], [8, 8, WHITE], [5, 7, BLACK]].forEach(([row, col, player]) => {
+            board[row][col] = player;
+        });
+        const expected = ai.rankCandidates(board, ai.findPotentialMoves(board), WHITE, BLACK);
+        const snapshot = board.map(row => row.slice());
+
+        const ranked = ai.withEvaluator(board, () => ai.rankCandidates(board, ai.findPotentialMoves(board), WHITE, BLACK));
+        expect(ranked).toEqual(expected);
+        expect(board).toEqual(snapshot);
+    });
+});
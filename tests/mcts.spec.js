@@ -0,0 +1,108 @@
+import { describe, expect, it } from 'vitest';
+import AIPlayer from '../ai-player.js';
+import { BLACK, WHITE } from '../config.js';
+import { createEmptyBoard } from '../src/engine/game.js';
+import { MctsNode } from '../src/ai/mcts.js';
+
+function createSeededRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 16807) % 2147483647;
+        return (state - 1) / 2147483646;
+    };
+}
+
+function openingBoard() {
+    const board = createEmptyBoard();
+    board[7][7] = BLACK;
+    board[7][8] = WHITE;
+    board[6][7] = BLACK;
+    board[8][8] = WHITE;
+    return board;
+}
+
+describe('MctsNode', () => {
+    it('tries unvisited children first and then balances value against visits', () => {
+        const root = new MctsNode(null, null, WHITE);
+        const strong = root.addChild({ row: 0, col: 0 }, BLACK);
+        const weak = root.addChild({ row: 0, col: 1 }, BLACK);
+        expect(root.selectChild()).toBe(strong);
+
+        strong.backpropagate(1, BLACK);
+        expect(root.selectChild()).toBe(weak);
+        weak.backpropagate(1, WHITE);
+        expect(root).toMatchObject({ visits: 2, value: 1 });
+        expect(weak.meanValue).toBe(0);
+        expect(root.selectChild(0)).toBe(strong);
+        expect(root.mostVisitedChild()).toBe(strong);
+    });
+});
+
+describe('AIPlayer mcts difficulty', () => {
+    it('repeats its search under the same seed and reports simulations and tree size', () => {
+        const play = () => {
+            const events = [];
+            const ai = new AIPlayer('mcts', BLACK, {
+                random: createSeededRandom(11),
+                telemetry: entry => events.push(entry),
+                behavior: { mctsIterations: 60 }
+            });
+            const board = openingBoard();
+            const move = ai.makeMove(board);
+            expect(board).toEqual(openingBoard());
+            return { move, entry: events[0] };
+        };
+        const first = play();
+        const second = play();
+        expect(second.move).toEqual(first.move);
+        expect(first.entry).toMatchObject({ strategy: 'mcts', decision: 'search', simulations: 60, searchAborted: null });
+        expect(first.entry.treeSize).toBeGreaterThan(1);
+        expect(first.entry.treeSize).toBeLessThanOrEqual(61);
+        expect(second.entry.treeSize).toBe(first.entry.treeSize);
+        expect(second.entry.selectedVisits).toBe(first.entry.selectedVisits);
+    });
+
+    it('finds a winning continuation and blocks a threatened five', () => {
+        const board = createEmptyBoard();
+        // Black's open three on row 7 becomes an open four, which White cannot stop.
+        [[7, 5], [7, 6], [7, 7]].forEach(([row, col]) => {
+            board[row][col] = BLACK;
+        });
+        [[3, 3], [3, 5], [11, 11]].forEach(([row, col]) => {
+            board[row][col] = WHITE;
+        });
+        const ai = new AIPlayer('mcts', BLACK, { random: createSeededRandom(3), behavior: { mctsIterations: 200 } });
+        const move = ai.makeMove(board);
+        expect(move.row).toBe(7);
+        expect([4, 8]).toContain(move.col);
+
+        const events = [];
+        const defender = new AIPlayer('mcts', WHITE, { random: createSeededRandom(3), telemetry: entry => events.push(entry) });
+        board[7][8] = BLACK;
+        board[7][4] = WHITE;
+        expect(defender.makeMove(board)).toEqual({ row: 7, col: 9 });
+        expect(events[0]).toMatchObject({ decision: 'block-threat', simulations: 0 });
+    });
+
+    it('stops at the time budget or abort signal after at least one simulation', () => {
+        const events = [];
+        const ai = new AIPlayer('mcts', WHITE, {
+            random: createSeededRandom(5),
+            telemetry: entry => events.push(entry),
+            behavior: { mctsIterations: 100000 }
+        });
+        const aborted = new AbortController();
+        aborted.abort();
+        expect(ai.makeMove(openingBoard(), { signal: aborted.signal })).toBeTruthy();
+        expect(events[0]).toMatchObject({ decision: 'search', simulations: 1, searchAborted: 'signal' });
+
+        const timed = new AIPlayer('mcts', WHITE, {
+            random: createSeededRandom(5),
+            telemetry: entry => events.push(entry),
+            behavior: { mctsIterations: 100000, timeLimitMs: 20 }
+        });
+        expect(timed.makeMove(openingBoard())).toBeTruthy();
+        expect(events[1]).toMatchObject({ searchAborted: 'time', timeLimitMs: 20 });
+        expect(events[1].simulations).toBeLessThan(100000);
+    });
+});
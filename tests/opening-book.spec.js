@@ -0,0 +1,111 @@
+import { describe, expect, it } from 'vitest';
+import AIPlayer from '../ai-player.js';
+import { BLACK, WHITE } from '../config.js';
+import { createEmptyBoard } from '../src/engine/game.js';
+import { OpeningBook, OPENING_BOOK_VERSION, bookMoveWeight } from '../src/ai/opening-book.js';
+
+function play(board, moves) {
+    moves.forEach(({ row, col, player }) => {
+        board[row][col] = player;
+    });
+    return board;
+}
+
+const GAME = [
+    { row: 7, col: 7, player: BLACK },
+    { row: 6, col: 9, player: WHITE },
+    { row: 8, col: 8, player: BLACK }
+];
+
+describe('OpeningBook', () => {
+    it('shares entries between rotated and mirrored copies of a position', () => {
+        const book = new OpeningBook({ boardSize: 15 });
+        book.recordGame(GAME, BLACK);
+        // The same game turned a quarter clockwise: (row, col) -> (col, 14 - row).
+        book.recordGame(GAME.map(({ row, col, player }) => ({ row: col, col: 14 - row, player })), WHITE);
+        expect(book.size).toBe(3);
+
+        const board = play(createEmptyBoard(15), GAME.slice(0, 2));
+        const [reply] = book.lookup(board);
+        expect(reply).toMatchObject({ row: 8, col: 8, games: 2, wins: 1, losses: 1, draws: 0 });
+
+        // Mirrored left to right, the reply is mirrored too.
+        const mirrored = play(createEmptyBoard(15), GAME.slice(0, 2).map(move => ({ ...move, col: 14 - move.col })));
+        expect(book.lookup(mirrored).map(({ row, col }) => ({ row, col }))).toEqual([{ row: 8, col: 6 }]);
+    });
+
+    it('merges equivalent replies in a symmetric position', () => {
+        const book = new OpeningBook({ boardSize: 15 });
+        book.recordGame([{ row: 7, col: 7, player: BLACK }, { row: 6, col: 8, player: WHITE }], WHITE);
+        book.recordGame([{ row: 7, col: 7, player: BLACK }, { row: 8, col: 6, player: WHITE }], BLACK);
+        const replies = book.lookup(play(createEmptyBoard(15), [{ row: 7, col: 7, player: BLACK }]));
+        expect(replies).toHaveLength(1);
+        expect(replies[0]).toMatchObject({ games: 2, wins: 1, losses: 1 });
+    });
+
+    it('picks replies in proportion to their weight and honours the legal moves', () => {
+        const book = new OpeningBook({ boardSize: 15 });
+        const opening = GAME.slice(0, 2);
+        book.recordGame([...opening, { row: 8, col: 8, player: BLACK }], BLACK);
+        book.recordGame([...opening, { row: 8, col: 9, player: BLACK }], WHITE);
+        const board = play(createEmptyBoard(15), opening);
+
+        const replies = book.lookup(board);
+        expect(replies.map(reply => reply.weight)).toEqual([2 / 3, 1 / 3]);
+        expect(replies[0].weight).toBe(bookMoveWeight({ games: 1, wins: 1, draws: 0, losses: 0 }));
+        expect(book.chooseMove(board, () => 0.5)).toEqual({ row: 8, col: 8 });
+        expect(book.chooseMove(board, () => 0.9)).toEqual({ row: 8, col: 9 });
+        expect(book.chooseMove(board, () => 0, [{ row: 8, col: 9 }])).toEqual({ row: 8, col: 9 });
+        expect(book.chooseMove(board, () => 0, [{ row: 0, col: 0 }])).toBeNull();
+    });
+
+    it('round-trips through JSON and rejects unknown versions', () => {
+        const book = new OpeningBook({ boardSize: 15, maxPlies: 2 });
+        expect(book.recordGame(GAME, null)).toBe(2);
+        const copy = new OpeningBook(JSON.parse(JSON.stringify(book)));
+        expect(copy.toJSON()).toEqual(book.toJSON());
+        expect(copy.toJSON().version).toBe(OPENING_BOOK_VERSION);
+        expect(() => new OpeningBook({ version: OPENING_BOOK_VERSION + 1 })).toThrow('Unsupported opening book version');
+    });
+});
+
+describe('AIPlayer opening book', () => {
+    it('plays a book move before searching and reports it in telemetry', () => {
+        const book = new OpeningBook({ boardSize: 15 });
+        book.recordGame(GAME, BLACK);
+        const telemetry = [];
+        // Plain book data works as well as an OpeningBook instance.
+        const ai = new AIPlayer('hard', BLACK, { openingBook: book.toJSON(), telemetry: entry => telemetry.push(entry) });
+        const board = play(createEmptyBoard(15), GAME.slice(0, 2));
+
+        expect(ai.makeMove(board)).toEqual({ row: 8, col: 8 });
+        expect(telemetry[0]).toMatchObject({ strategy: 'book', decision: 'opening-book', bookCandidates: 1 });
+
+        const withoutBook = new AIPlayer('hard', BLACK, { openingBook: book, behavior: { useOpeningBook: false } });
+        expect(withoutBook.openingBook).toBeNull();
+        expect(new AIPlayer('hard', BLACK, { openingBook: book, boardSize: 9 }).openingBook).toBeNull();
+    });
+
+    it('reads an empty legal move list as no move allowed, like the search', () => {
+        const book = new OpeningBook({ boardSize: 15 });
+        book.recordGame(GAME, BLACK);
+        const board = play(createEmptyBoard(15), GAME.slice(0, 2));
+        expect(book.chooseMove(board, () => 0, null)).toEqual({ row: 8, col: 8 });
+        expect(book.chooseMove(board, () => 0, [])).toBeNull();
+
+        expect(new AIPlayer('hard', BLACK, { openingBook: book }).makeMove(board, { legalMoves: [] })).toBeNull();
+        expect(new AIPlayer('medium', BLACK).makeMove(board, { legalMoves: [] })).toBeNull();
+        expect(new AIPlayer('medium', BLACK).makeTurn(board, { stonesRemaining: 2, legalMoves: [] })).toEqual([]);
+    });
+
+    it('only uses a book built for the same rule set and variant', () => {
+        const book = new OpeningBook({ boardSize: 15 });
+        expect(book.toJSON()).toMatchObject({ rules: 'freestyle', variant: 'gomoku' });
+        expect(new AIPlayer('hard', BLACK, { openingBook: book, rules: 'renju' }).openingBook).toBeNull();
+        expect(new AIPlayer('hard', BLACK, { openingBook: book, variant: 'connect6' }).openingBook).toBeNull();
+
+        const renjuBook = new OpeningBook({ boardSize: 15, rules: 'renju' }).toJSON();
+        expect(new AIPlayer('hard', BLACK, { openingBook: renjuBook }).openingBook).toBeNull();
+        expect(new AIPlayer('hard', BLACK, { openingBook: renjuBook, rules: 'renju' }).openingBook).not.toBeNull();
+    });
+});
@@ -0,0 +1,93 @@
+import { describe, expect, it } from 'vitest';
+import {
+    OPENING_LONG_PRO,
+    OPENING_PRO,
+    OPENING_SWAP,
+    OPENING_SWAP2,
+    checkOpeningPlacement,
+    getOpeningPhase
+} from '../src/engine/opening.js';
+import { GomokuEngine } from '../src/engine/game.js';
+import { BLACK, WHITE } from '../config.js';
+
+describe('opening protocols', () => {
+    it('restricts Pro openings to the centre and a distant third stone', () => {
+        expect(checkOpeningPlacement(OPENING_PRO, 15, 0, 6, 7)).toBe('opening-center-required');
+        expect(checkOpeningPlacement(OPENING_PRO, 15, 0, 7, 7)).toBeNull();
+        expect(checkOpeningPlacement(OPENING_PRO, 15, 2, 9, 9)).toBe('opening-too-close');
+        expect(checkOpeningPlacement(OPENING_PRO, 15, 2, 10, 7)).toBeNull();
+        expect(checkOpeningPlacement(OPENING_LONG_PRO, 15, 2, 10, 7)).toBe('opening-too-close');
+        expect(checkOpeningPlacement(OPENING_LONG_PRO, 15, 2, 11, 7)).toBeNull();
+        expect(checkOpeningPlacement(OPENING_PRO, 15, 4, 8, 8)).toBeNull();
+    });
+
+    it('walks through the Swap2 phases', () => {
+        expect(getOpeningPhase(OPENING_SWAP2, 2).phase).toBe('placement');
+        expect(getOpeningPhase(OPENING_SWAP2, 3)).toMatchObject({
+            phase: 'choice',
+            seat: 'second',
+            choices: ['black', 'white', 'place-two']
+        });
+        const deferred = [{ choice: 'place-two', seat: 'second' }];
+        expect(getOpeningPhase(OPENING_SWAP2, 4, deferred)).toMatchObject({ phase: 'placement', seat: 'second' });
+        expect(getOpeningPhase(OPENING_SWAP2, 5, deferred)).toMatchObject({ phase: 'choice', seat: 'first' });
+        const settled = [...deferred, { choice: 'white', seat: 'first' }];
+        expect(getOpeningPhase(OPENING_SWAP2, 5, settled)).toMatchObject({ phase: 'complete', blackSeat: 'second' });
+    });
+});
+
+describe('GomokuEngine openings', () => {
+    it('rejects Pro violations with an opening reason', () => {
+        const engine = new GomokuEngine({ opening: OPENING_PRO });
+        expect(engine.applyMove(0, 0)).toEqual({ status: 'invalid', reason: 'opening-center-required' });
+        expect(engine.getAvailableMoves()).toEqual([{ row: 7, col: 7 }]);
+        engine.applyMove(7, 7);
+        engine.applyMove(7, 8);
+        expect(engine.applyMove(8, 8).reason).toBe('opening-too-close');
+        expect(engine.getAvailableMoves().every(move => Math.max(Math.abs(move.row - 7), Math.abs(move.col - 7)) >= 3)).toBe(true);
+        expect(engine.applyMove(7, 11).status).toBe('continue');
+    });
+
+    it('pauses for the colour choice in Swap and records who plays Black', () => {
+        const engine = new GomokuEngine({ opening: OPENING_SWAP });
+        engine.applyMove(7, 7);
+        engine.applyMove(7, 8);
+        engine.applyMove(8, 8);
+
+        expect(engine.getOpeningState()).toMatchObject({ phase: 'choice', seat: 'second', choices: ['black', 'white'] });
+        expect(engine.getAvailableMoves()).toEqual([]);
+        expect(engine.applyMove(9, 9)).toEqual({ status: 'invalid', reason: 'opening-choice-pending' });
+        expect(engine.chooseOpening('place-two').reason).toBe('invalid-opening-choice');
+
+        const outcome = engine.chooseOpening('black');
+        expect(outcome.status).toBe('opening-choice');
+        expect(outcome.opening).toMatchObject({ phase: 'complete', blackSeat: 'second' });
+        expect(engine.getCurrentPlayer()).toBe(WHITE);
+        expect(engine.applyMove(9, 9).status).toBe('continue');
+        expect(engine.chooseOpening('white').reason).toBe('no-opening-choice');
+    });
+
+    it('drops opening choices when undoing past them and restores them from state', () => {
+        const engine = new GomokuEngine({ opening: OPENING_SWAP2 });
+        engine.applyMove(7, 7);
+        engine.applyMove(7, 8);
+        engine.applyMove(8, 8);
+        engine.chooseOpening('white');
+
+        const state = engine.toJSON();
+        expect(state.opening).toBe(OPENING_SWAP2);
+        const restored = GomokuEngine.fromState(state);
+        expect(restored.getOpeningState()).toMatchObject({ phase: 'complete', blackSeat: 'first' });
+
+        engine.undoLastMove();
+        expect(engine.getOpeningState().phase).toBe('placement');
+        expect(engine.getCurrentPlayer()).toBe(BLACK);
+    });
+
+    it('rejects opening choices that the protocol never offered', () => {
+        const engine = new GomokuEngine({ opening: OPENING_SWAP });
+        engine.applyMove(7, 7);
+        const state = { ...engine.toJSON(), openingChoices: [{ choice: 'black', stoneCount: 1 }] };
+        expect(() => GomokuEngine.fromState(state)).toThrow(/Invalid opening choice/);
+    });
+});
@@ -0,0 +1,116 @@
+import { describe, expect, it } from 'vitest';
+import { GomokuEngine, VARIANT_CONNECT6 } from '../src/engine/game.js';
+import { OPENING_SWAP } from '../src/engine/opening.js';
+import {
+    buildColumnLabels,
+    coordsToLabel,
+    labelToCoords,
+    serializeGameRecord,
+    parseGameRecord,
+    createEngineFromRecord,
+    RESULT_BLACK,
+    RESULT_ONGOING
+} from '../src/engine/record.js';
+import { BLACK, WHITE } from '../config.js';
+
+function play(engine, moves) {
+    moves.forEach(([row, col]) => {
+        expect(engine.applyMove(row, col).status).not.toBe('invalid');
+    });
+}
+
+const FIXED_DATE = new Date(2024, 2, 5);
+
+describe('board labels', () => {
+    it('skips the letter I and maps labels back to coordinates', () => {
+        expect(buildColumnLabels(9)).toEqual(['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'J']);
+        expect(coordsToLabel(7, 8)).toBe('J8');
+        expect(labelToCoords('j8', 15)).toEqual({ row: 7, col: 8 });
+        expect(labelToCoords('I8', 15)).toBeNull();
+        expect(labelToCoords('A16', 15)).toBeNull();
+    });
+});
+
+describe('serializeGameRecord', () => {
+    it('writes headers followed by the numbered move list', () => {
+        const engine = new GomokuEngine();
+        play(engine, [[7, 7], [7, 8]]);
+
+        const record = serializeGameRecord(engine, { Black: 'Alice', Round: '3' }, { date: FIXED_DATE });
+        expect(record).toBe([
+            '[Event "Casual game"]',
+            '[Date "2024.03.05"]',
+            '[Black "Alice"]',
+            '[White "White"]',
+            '[Result "*"]',
+            '[Rules "freestyle"]',
+            '[BoardSize "15"]',
+            '[WinLength "5"]',
+            '[Opening "none"]',
+            '[TimeControl "-"]',
+            '[Round "3"]',
+            '',
+            '1. H8 2. J8 *',
+            ''
+        ].join('\n'));
+    });
+
+    it('records the result and opening choices', () => {
+        const engine = new GomokuEngine({ opening: OPENING_SWAP });
+        play(engine, [[7, 7], [7, 8], [8, 8]]);
+        engine.chooseOpening('white');
+
+        const record = serializeGameRecord(engine, {}, { date: FIXED_DATE });
+        expect(record).toContain('[Opening "swap"]');
+        expect(record).toContain('1. H8 2. J8 3. J9 {white} *');
+    });
+});
+
+describe('parseGameRecord', () => {
+    it('round-trips a finished game', () => {
+        const engine = new GomokuEngine({ rules: 'standard', boardSize: 13 });
+        play(engine, [[0, 0], [1, 0], [0, 1], [1, 1], [0, 2], [1, 2], [0, 3], [1, 3], [0, 4]]);
+        const record = serializeGameRecord(engine, { White: 'Bob "the Wall"' }, { date: FIXED_DATE });
+
+        const parsed = parseGameRecord(record);
+        expect(parsed.headers).toMatchObject({ White: 'Bob "the Wall"', Rules: 'standard', BoardSize: '13', Result: RESULT_BLACK });
+        expect(parsed.result).toBe(RESULT_BLACK);
+        expect(parsed.moves).toHaveLength(9);
+
+        const { engine: replayed, result } = createEngineFromRecord(record);
+        expect(result).toBe(RESULT_BLACK);
+        expect(replayed.isGameOver()).toBe(true);
+        expect(replayed.getRules()).toBe('standard');
+        expect(replayed.getBoard()).toEqual(engine.getBoard());
+    });
+
+    it('ignores comments and tolerates missing headers', () => {
+        const parsed = parseGameRecord('1. H8 {a good start} 2. J8\n3. J9');
+        expect(parsed.headers).toEqual({});
+        expect(parsed.result).toBe(RESULT_ONGOING);
+        expect(parsed.moves).toEqual([{ row: 7, col: 7 }, { row: 7, col: 8 }, { row: 8, col: 8 }]);
+    });
+
+    it('rejects malformed records', () => {
+        expect(() => parseGameRecord('[Event Casual]\n\n1. H8')).toThrow(/Malformed header tag on line 1/);
+        expect(() => parseGameRecord('[BoardSize "big"]\n\n1. H8')).toThrow(/Invalid BoardSize/);
+        expect(() => parseGameRecord('1. H8 2. Z99')).toThrow(/Invalid move "Z99" after 1 moves/);
+    });
+});
+
+describe('createEngineFromRecord', () => {
+    it('replays opening choices and variants', () => {
+        const swap = createEngineFromRecord('[Opening "swap"]\n\n1. H8 2. J8 3. J9 {black} 4. G7 *').engine;
+        expect(swap.getOpeningState()).toMatchObject({ phase: 'complete', blackSeat: 'second' });
+        expect(swap.getCurrentPlayer()).toBe(BLACK);
+
+        const connect6 = createEngineFromRecord('[Variant "connect6"]\n\n1. H8 2. G7 3. G9').engine;
+        expect(connect6.getVariant()).toBe(VARIANT_CONNECT6);
+        expect(connect6.getCurrentPlayer()).toBe(BLACK);
+    });
+
+    it('reports illegal moves with their position in the record', () => {
+        expect(() => createEngineFromRecord('1. H8 2. H8')).toThrow('Illegal move H8 at move 2 (occupied)');
+        expect(createEngineFromRecord('[FirstPlayer "white"]\n\n1. H8').engine.getBoard()[7][7]).toBe(WHITE);
+    });
+});
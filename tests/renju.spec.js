@@ -0,0 +1,109 @@
+import { describe, expect, it } from 'vitest';
+import { findForbiddenReason } from '../src/engine/renju.js';
+import { GomokuEngine, RULES_RENJU, createEmptyBoard, determineWinningSequence } from '../src/engine/game.js';
+import { BLACK, WHITE, EMPTY } from '../config.js';
+
+function place(board, player, cells) {
+    cells.forEach(([row, col]) => {
+        board[row][col] = player;
+    });
+    return board;
+}
+
+describe('Renju forbidden moves', () => {
+    it('flags a double open three', () => {
+        const board = place(createEmptyBoard(), BLACK, [[7, 5], [7, 6], [5, 7], [6, 7]]);
+        expect(findForbiddenReason(board, 7, 7)).toBe('double-three');
+        expect(board[7][7]).toBe(EMPTY);
+    });
+
+    it('ignores threes that cannot become a straight four', () => {
+        const board = place(createEmptyBoard(), BLACK, [[7, 5], [7, 6], [5, 7], [6, 7]]);
+        board[7][4] = WHITE;
+        expect(findForbiddenReason(board, 7, 7)).toBeNull();
+    });
+
+    it('flags a double four', () => {
+        const board = place(createEmptyBoard(), BLACK, [[7, 4], [7, 5], [7, 6], [4, 7], [5, 7], [6, 7]]);
+        expect(findForbiddenReason(board, 7, 7)).toBe('double-four');
+    });
+
+    it('flags a double four along a single line', () => {
+        const board = place(createEmptyBoard(), BLACK, [[7, 3], [7, 5], [7, 6], [7, 9]]);
+        expect(findForbiddenReason(board, 7, 7)).toBe('double-four');
+    });
+
+    it('flags an overline', () => {
+        const board = place(createEmptyBoard(), BLACK, [[7, 2], [7, 3], [7, 4], [7, 6], [7, 7]]);
+        expect(findForbiddenReason(board, 7, 5)).toBe('overline');
+    });
+
+    it('allows an exact five even when it also forms a double four', () => {
+        const board = place(createEmptyBoard(), BLACK, [[7, 3], [7, 4], [7, 5], [7, 6], [4, 7], [5, 7], [6, 7]]);
+        expect(findForbiddenReason(board, 7, 7)).toBeNull();
+    });
+
+    it('only lets White win with an overline', () => {
+        const blackBoard = place(createEmptyBoard(), BLACK, [[3, 0], [3, 1], [3, 2], [3, 3], [3, 4], [3, 5]]);
+        expect(determineWinningSequence(blackBoard, 3, 0, { rules: RULES_RENJU })).toBeNull();
+        expect(determineWinningSequence(blackBoard, 3, 0)).not.toBeNull();
+
+        const whiteBoard = place(createEmptyBoard(), WHITE, [[3, 0], [3, 1], [3, 2], [3, 3], [3, 4], [3, 5]]);
+        const result = determineWinningSequence(whiteBoard, 3, 0, { rules: RULES_RENJU });
+        expect(result.sequence).toHaveLength(6);
+    });
+});
+
+describe('GomokuEngine with Renju rules', () => {
+    it('rejects forbidden moves for Black without changing state', () => {
+        const engine = new GomokuEngine({ rules: RULES_RENJU });
+        place(engine.getBoard(), BLACK, [[7, 5], [7, 6], [5, 7], [6, 7]]);
+
+        const outcome = engine.applyMove(7, 7);
+        expect(outcome).toEqual({ status: 'invalid', reason: 'forbidden-double-three' });
+        expect(engine.getBoard()[7][7]).toBe(EMPTY);
+        expect(engine.getCurrentPlayer()).toBe(BLACK);
+        expect(engine.getAvailableMoves()).not.toContainEqual({ row: 7, col: 7 });
+    });
+
+    it('lets White play the same point', () => {
+        const engine = new GomokuEngine({ rules: RULES_RENJU, startingPlayer: WHITE });
+        place(engine.getBoard(), WHITE, [[7, 5], [7, 6], [5, 7], [6, 7]]);
+
+        expect(engine.applyMove(7, 7).status).toBe('continue');
+    });
+
+    it('rejects loaded histories containing forbidden moves', () => {
+        const engine = new GomokuEngine({ rules: RULES_RENJU });
+        const moves = [
+            { row: 7, col: 5, player: BLACK },
+            { row: 0, col: 0, player: WHITE },
+            { row: 7, col: 6, player: BLACK },
+            { row: 0, col: 2, player: WHITE },
+            { row: 5, col: 7, player: BLACK },
+            { row: 0, col: 4, player: WHITE },
+            { row: 6, col: 7, player: BLACK },
+            { row: 0, col: 6, player: WHITE },
+            { row: 7, col: 7, player: BLACK }
+        ];
+        const board = createEmptyBoard();
+        moves.forEach(move => {
+            board[move.row][move.col] = move.player;
+        });
+
+        expect(() => engine.loadState({ board, currentPlayer: WHITE, moveHistory: moves }))
+            .toThrow(/forbidden \(double-three\)/);
+        expect(() => new GomokuEngine().loadState({ board, currentPlayer: WHITE, moveHistory: moves }))
+            .not.toThrow();
+    });
+
+    it('carries the rule set through serialization and clones', () => {
+        const engine = new GomokuEngine({ rules: RULES_RENJU });
+        engine.applyMove(7, 7);
+
+        const state = engine.toJSON();
+        expect(state.rules).toBe(RULES_RENJU);
+        expect(GomokuEngine.fromState(state).getRules()).toBe(RULES_RENJU);
+        expect(engine.clone().getRules()).toBe(RULES_RENJU);
+    });
+});
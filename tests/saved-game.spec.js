@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest';
+import { GomokuEngine } from '../src/engine/game.js';
+import { serializeSavedGame, parseSavedGame, SAVED_GAME_VERSION } from '../src/engine/saved-game.js';
+
+function play(engine, moves) {
+    moves.forEach(([row, col]) => {
+        expect(engine.applyMove(row, col).status).not.toBe('invalid');
+    });
+}
+
+const DETAILS = { gameMode: 'ai', aiDifficulty: 'hard', humanColor: 'white', reviewIndex: 1 };
+
+describe('saved games', () => {
+    it('round-trips the engine state and UI settings', () => {
+        const engine = new GomokuEngine({ boardSize: 13, rules: 'standard' });
+        play(engine, [[6, 6], [6, 7], [7, 7]]);
+        const savedAt = new Date('2024-03-05T10:00:00Z');
+
+        const text = serializeSavedGame(engine, { ...DETAILS, savedAt });
+        expect(JSON.parse(text)).toMatchObject({ version: SAVED_GAME_VERSION, savedAt: '2024-03-05T10:00:00.000Z' });
+
+        const saved = parseSavedGame(text);
+        expect(saved).toMatchObject({ gameMode: 'ai', aiDifficulty: 'hard', humanColor: 'white', reviewIndex: 1, savedAt });
+        expect(saved.engine.boardSize).toBe(13);
+        expect(saved.engine.getRules()).toBe('standard');
+        expect(saved.engine.getMoveHistory()).toEqual(engine.getMoveHistory());
+        expect(parseSavedGame(text, { maxHistory: 2 }).engine.getMoveHistory()).toHaveLength(2);
+    });
+
+    it('rejects data from other schema versions or with invalid fields', () => {
+        const engine = new GomokuEngine();
+        play(engine, [[7, 7]]);
+        const data = JSON.parse(serializeSavedGame(engine, DETAILS));
+
+        expect(() => parseSavedGame('{oops')).toThrow(/not valid JSON/);
+        expect(() => parseSavedGame('null')).toThrow(/not an object/);
+        expect(() => parseSavedGame(JSON.stringify({ ...data, version: SAVED_GAME_VERSION + 1 }))).toThrow(/Unsupported saved game version/);
+        expect(() => parseSavedGame(JSON.stringify({ ...data, gameMode: 'online' }))).toThrow(/Invalid saved game mode/);
+        expect(() => parseSavedGame(JSON.stringify({ ...data, humanColor: 'red' }))).toThrow(/Invalid saved human color/);
+        expect(() => parseSavedGame(JSON.stringify({ ...data, reviewIndex: 5 }))).toThrow(/Invalid saved review position/);
+        expect(() => parseSavedGame(JSON.stringify({ ...data, state: undefined }))).toThrow(/missing the engine state/);
+    });
+
+    it('rejects positions the engine does not accept', () => {
+        const engine = new GomokuEngine();
+        play(engine, [[7, 7], [7, 8]]);
+        const data = JSON.parse(serializeSavedGame(engine, DETAILS));
+        data.state.moveHistory[1].col = 9;
+        expect(() => parseSavedGame(JSON.stringify(data))).toThrow(/does not match board state/);
+    });
+});
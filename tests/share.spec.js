@@ -0,0 +1,104 @@
+import { describe, expect, it } from 'vitest';
+import { GomokuEngine, createEmptyBoard, VARIANT_CONNECT6 } from '../src/engine/game.js';
+import { OPENING_SWAP } from '../src/engine/opening.js';
+import { encodeShareHash, decodeShareHash, createEngineFromShareHash } from '../src/engine/share.js';
+import { BLACK, WHITE } from '../config.js';
+
+function play(engine, moves) {
+    moves.forEach(([row, col]) => {
+        expect(engine.applyMove(row, col).status).not.toBe('invalid');
+    });
+}
+
+describe('encodeShareHash', () => {
+    it('encodes settings, moves and the review position', () => {
+        const engine = new GomokuEngine({ boardSize: 13, rules: 'standard' });
+        play(engine, [[6, 6], [7, 7], [8, 6]]);
+        expect(encodeShareHash(engine)).toBe('b=13&r=standard&w=5&o=none&m=gghhgi');
+        expect(encodeShareHash(engine, { reviewIndex: 1 })).toBe('b=13&r=standard&w=5&o=none&m=gghhgi&i=1');
+        expect(encodeShareHash(new GomokuEngine())).toBe('');
+    });
+
+    it('round-trips games with opening choices', () => {
+        const engine = new GomokuEngine({ opening: OPENING_SWAP });
+        play(engine, [[7, 7], [7, 8], [8, 8]]);
+        engine.chooseOpening('black');
+        play(engine, [[6, 6]]);
+
+        const hash = encodeShareHash(engine, { reviewIndex: 2 });
+        expect(hash).toContain('c=3.black');
+        const { engine: restored, reviewIndex } = createEngineFromShareHash(`#${hash}`);
+        expect(reviewIndex).toBe(2);
+        expect(restored.getBoard()).toEqual(engine.getBoard());
+        expect(restored.getCurrentPlayer()).toBe(BLACK);
+        expect(restored.getOpeningState()).toEqual(engine.getOpeningState());
+    });
+
+    it('round-trips Connect6 games with their two-stone turns', () => {
+        const engine = new GomokuEngine({ variant: VARIANT_CONNECT6 });
+        play(engine, [[7, 7], [6, 6], [6, 7], [8, 8], [8, 9], [5, 5]]);
+
+        const hash = encodeShareHash(engine);
+        expect(hash).toContain('v=connect6');
+        const { engine: restored } = createEngineFromShareHash(hash);
+        expect(restored.getVariant()).toBe(VARIANT_CONNECT6);
+        expect(restored.getMoveHistory().map(move => move.player)).toEqual([BLACK, WHITE, WHITE, BLACK, BLACK, WHITE]);
+        expect(restored.getBoard()).toEqual(engine.getBoard());
+        expect(restored.getCurrentPlayer()).toBe(engine.getCurrentPlayer());
+        expect(restored.getStonesRemaining()).toBe(1);
+    });
+
+    it('round-trips games White started', () => {
+        const engine = new GomokuEngine({ startingPlayer: WHITE });
+        play(engine, [[7, 7], [7, 8], [8, 8]]);
+
+        const hash = encodeShareHash(engine);
+        expect(hash).toContain('f=white');
+        const { engine: restored } = createEngineFromShareHash(hash);
+        expect(restored.getBoard()).toEqual(engine.getBoard());
+        expect(restored.getBoard()[7][7]).toBe(WHITE);
+        expect(restored.getCurrentPlayer()).toBe(BLACK);
+        expect(restored.toJSON().startingPlayer).toBe(WHITE);
+    });
+});
+
+describe('decodeShareHash', () => {
+    it('ignores hashes without a game', () => {
+        expect(decodeShareHash('')).toBeNull();
+        expect(decodeShareHash('#section-2')).toBeNull();
+        expect(createEngineFromShareHash('#b=15')).toBeNull();
+    });
+
+    it('rejects malformed links', () => {
+        expect(() => decodeShareHash('#m=hhi')).toThrow(/incomplete move/);
+        expect(() => decodeShareHash('#b=9&m=hhzz')).toThrow(/Invalid move "zz"/);
+        expect(() => decodeShareHash('#b=0&m=aa')).toThrow(/Invalid board size/);
+        expect(() => decodeShareHash('#r=gomoku&m=aa')).toThrow(/Unknown rule set/);
+        expect(() => decodeShareHash('#o=x&m=aa')).toThrow(/Unknown opening/);
+        expect(() => decodeShareHash('#v=renju&m=aa')).toThrow(/Unknown variant/);
+        expect(() => decodeShareHash('#f=red&m=aa')).toThrow(/Invalid first player/);
+        expect(() => decodeShareHash('#m=aa&i=2')).toThrow(/Invalid review position/);
+        expect(() => decodeShareHash('#m=aa&c=black')).toThrow(/Invalid opening choice/);
+    });
+
+    it('validates the position through loadState', () => {
+        expect(() => createEngineFromShareHash('#m=hhih')).not.toThrow();
+        expect(() => createEngineFromShareHash('#m=hhhh')).toThrow(/does not match board state/);
+        expect(() => createEngineFromShareHash('#m=hhaahh')).toThrow(/repeats/);
+        expect(() => createEngineFromShareHash('#m=aa&c=1.black')).toThrow(/Invalid opening choice/);
+    });
+});
+
+describe('GomokuEngine.loadState', () => {
+    it('rejects histories that play the same point twice', () => {
+        const board = createEmptyBoard();
+        board[7][7] = BLACK;
+        board[0][0] = WHITE;
+        const moveHistory = [
+            { row: 7, col: 7, player: BLACK },
+            { row: 0, col: 0, player: WHITE },
+            { row: 7, col: 7, player: BLACK }
+        ];
+        expect(() => new GomokuEngine().loadState({ board, moveHistory })).toThrow('Move history repeats [7, 7]');
+    });
+});
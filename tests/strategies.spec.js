@@ -0,0 +1,78 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import AIPlayer from '../ai-player.js';
+import { BLACK, WHITE } from '../config.js';
+import { createEmptyBoard } from '../src/engine/game.js';
+import {
+    registerStrategy,
+    unregisterStrategy,
+    listStrategies,
+    getStrategy,
+    OPTION_INTEGER
+} from '../src/ai/strategies.js';
+
+describe('AI strategy registry', () => {
+    afterEach(() => {
+        unregisterStrategy('corner');
+        unregisterStrategy('edge');
+    });
+
+    it('lists the built-in strategies with their labels and option schemas', () => {
+        const strategies = listStrategies();
+        expect(strategies.map(strategy => strategy.name).slice(0, 4)).toEqual(['easy', 'medium', 'hard', 'mcts']);
+        expect(strategies[3].label).toBe('Monte Carlo');
+        expect(strategies[2].options.hardSearchDepth).toMatchObject({ type: OPTION_INTEGER, default: 3 });
+        expect(strategies[0]).not.toHaveProperty('selectMove');
+        expect(getStrategy('missing')).toBeNull();
+    });
+
+    it('lets AIPlayer play any registered strategy with its resolved options', () => {
+        registerStrategy('corner', {
+            label: 'Corner',
+            options: { cornerOffset: { type: OPTION_INTEGER, default: 0, min: 0 } },
+            selectMove: (player, board, metrics, options) => {
+                if (metrics) {
+                    metrics.strategy = 'corner';
+                }
+                return { row: options.cornerOffset, col: options.cornerOffset };
+            }
+        });
+        const events = [];
+        const ai = new AIPlayer('corner', BLACK, { behavior: { cornerOffset: 2.7 }, telemetry: entry => events.push(entry) });
+        expect(ai.makeMove(createEmptyBoard())).toEqual({ row: 2, col: 2 });
+        expect(events[0]).toMatchObject({ difficulty: 'corner', strategy: 'corner', result: 'move-selected' });
+        expect(new AIPlayer('corner', BLACK, { behavior: { cornerOffset: -1 } }).makeMove(createEmptyBoard())).toEqual({ row: 0, col: 0 });
+
+        // Options of other strategies still resolve, so the difficulty can change between moves.
+        ai.difficulty = 'easy';
+        expect(ai.getStrategyOptions('easy').easyCandidateLimit).toBe(12);
+        expect(ai.makeMove(createEmptyBoard())).toEqual({ row: 7, col: 7 });
+    });
+
+    it('keeps strategy options apart from the player and from each other', () => {
+        registerStrategy('corner', {
+            options: {
+                depth: { type: OPTION_INTEGER, default: 1 },
+                boardSize: { type: OPTION_INTEGER, default: 3 },
+                random: { type: OPTION_INTEGER, default: 4 }
+            },
+            selectMove: (player, board, metrics, options) => ({ row: options.depth, col: options.depth })
+        });
+        registerStrategy('edge', {
+            options: { depth: { type: OPTION_INTEGER, default: 5 } },
+            selectMove: (player, board, metrics, options) => ({ row: 0, col: options.depth })
+        });
+        const ai = new AIPlayer('corner', BLACK);
+        expect(ai.boardSize).toBe(15);
+        expect(typeof ai.random).toBe('function');
+        expect(ai.getStrategyOptions()).toEqual({ depth: 1, boardSize: 3, random: 4 });
+        expect(ai.makeMove(createEmptyBoard())).toEqual({ row: 1, col: 1 });
+        ai.difficulty = 'edge';
+        expect(ai.makeMove(createEmptyBoard())).toEqual({ row: 0, col: 5 });
+    });
+
+    it('rejects duplicate or incomplete registrations and unknown difficulties', () => {
+        expect(() => registerStrategy('hard', { selectMove: () => null })).toThrow('already registered');
+        expect(() => registerStrategy('corner', {})).toThrow('needs a selectMove function');
+        expect(() => new AIPlayer('corner', WHITE).makeMove(createEmptyBoard())).toThrow('Invalid difficulty level');
+    });
+});
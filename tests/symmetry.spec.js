@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+import { BLACK, WHITE } from '../config.js';
+import { createEmptyBoard } from '../src/engine/game.js';
+import {
+    canonicalizeBoard,
+    canonicalizeMoves,
+    inverseTransform,
+    listBoardSymmetries,
+    listMoveSymmetries,
+    restoreMove,
+    transformBoard,
+    transformPoint,
+    IDENTITY_TRANSFORM,
+    SYMMETRY_COUNT
+} from '../src/engine/symmetry.js';
+
+const MOVES = [
+    { row: 7, col: 7, player: BLACK },
+    { row: 6, col: 9, player: WHITE },
+    { row: 9, col: 8, player: BLACK }
+];
+
+function boardFrom(moves, size = 15) {
+    const board = createEmptyBoard(size);
+    moves.forEach(({ row, col, player }) => {
+        board[row][col] = player;
+    });
+    return board;
+}
+
+describe('board symmetry', () => {
+    it('maps every point back with the inverse transform', () => {
+        for (let transform = 0; transform < SYMMETRY_COUNT; transform++) {
+            const point = transformPoint(2, 5, transform, 9);
+            expect(transformPoint(point.row, point.col, inverseTransform(transform), 9)).toEqual({ row: 2, col: 5 });
+        }
+        expect(transformPoint(0, 1, 1, 9)).toEqual({ row: 1, col: 8 });
+        expect(transformPoint(2, 5, IDENTITY_TRANSFORM, 9)).toEqual({ row: 2, col: 5 });
+        expect(() => transformPoint(0, 0, 8, 9)).toThrow('Unknown board transform 8');
+    });
+
+    it('gives every image of a position the same canonical form', () => {
+        const board = boardFrom(MOVES);
+        const images = listBoardSymmetries(board);
+        expect(images).toHaveLength(SYMMETRY_COUNT);
+        const canonical = canonicalizeBoard(board);
+        images.forEach(image => {
+            const result = canonicalizeBoard(image);
+            expect(result.key).toBe(canonical.key);
+            expect(result.board).toEqual(canonical.board);
+            expect(transformBoard(image, result.transform)).toEqual(result.board);
+        });
+        expect(canonicalizeBoard(boardFrom(MOVES.slice(0, 2))).key).not.toBe(canonical.key);
+    });
+
+    it('maps a move on the canonical board back to the original one', () => {
+        const board = boardFrom(MOVES);
+        const { board: canonicalBoard, transform } = canonicalizeBoard(board);
+        const found = transformPoint(8, 6, transform, 15);
+        expect(canonicalBoard[found.row][found.col]).toBe(0);
+        expect(restoreMove({ ...found, player: WHITE }, transform, 15)).toEqual({ row: 8, col: 6, player: WHITE });
+    });
+
+    it('reports every transform that fixes a symmetric position', () => {
+        const { transforms } = canonicalizeBoard(boardFrom([{ row: 7, col: 7, player: BLACK }]));
+        expect(transforms).toEqual([0, 1, 2, 3, 4, 5, 6, 7]);
+        expect(canonicalizeBoard(createEmptyBoard(9)).key).toBe('');
+    });
+
+    it('matches move sequences up to symmetry but not up to move order', () => {
+        const { key, moves } = canonicalizeMoves(MOVES, 15);
+        listMoveSymmetries(MOVES, 15).forEach(image => {
+            expect(canonicalizeMoves(image, 15).key).toBe(key);
+        });
+        expect(moves.map(move => move.player)).toEqual([BLACK, WHITE, BLACK]);
+        const reordered = [MOVES[2], MOVES[1], MOVES[0]];
+        expect(canonicalizeMoves(reordered, 15).key).not.toBe(key);
+        // Same final position, so the boards still match.
+        expect(canonicalizeBoard(boardFrom(reordered)).key).toBe(canonicalizeBoard(boardFrom(MOVES)).key);
+    });
+});
@@ -0,0 +1,114 @@
+import { describe, expect, it } from 'vitest';
+import AIPlayer from '../ai-player.js';
+import { BLACK, WHITE, EMPTY } from '../config.js';
+import { checkWin, createEmptyBoard, RULES_STANDARD, RULES_RENJU } from '../src/engine/game.js';
+import { isForbiddenMove } from '../src/engine/renju.js';
+import { findVCF, findVCT, THREAT_VCF, THREAT_VCT } from '../src/ai/threat-search.js';
+
+function createBoard(stones) {
+    const board = createEmptyBoard(15);
+    stones.forEach(([row, col, player]) => {
+        board[row][col] = player;
+    });
+    return board;
+}
+
+// Plays the sequence on a copy and checks that it alternates and ends with a win.
+function replay(board, sequence, attacker) {
+    const copy = board.map(row => row.slice());
+    sequence.forEach((move, index) => {
+        expect(move.player).toBe(index % 2 === 0 ? attacker : (attacker === BLACK ? WHITE : BLACK));
+        expect(copy[move.row][move.col]).toBe(EMPTY);
+        copy[move.row][move.col] = move.player;
+    });
+    const last = sequence[sequence.length - 1];
+    expect(checkWin(copy, last.row, last.col)).toBe(true);
+}
+
+const DOUBLE_FOUR = [
+    [7, 7, BLACK], [7, 8, BLACK], [7, 9, BLACK], [7, 6, WHITE],
+    [8, 10, BLACK], [9, 10, BLACK], [10, 10, BLACK], [11, 10, WHITE],
+    [0, 0, WHITE], [0, 2, WHITE], [14, 14, WHITE]
+];
+
+const TWO_TWOS = [
+    [7, 7, BLACK], [7, 8, BLACK], [8, 9, BLACK], [9, 9, BLACK],
+    [0, 0, WHITE], [14, 14, WHITE], [0, 14, WHITE], [14, 0, WHITE]
+];
+
+describe('threat-space search', () => {
+    it('finds a win by continuous fours without touching the board', () => {
+        const board = createBoard(DOUBLE_FOUR);
+        const snapshot = board.map(row => row.slice());
+        const result = findVCF(board, BLACK);
+        expect(result.mode).toBe(THREAT_VCF);
+        expect(result.sequence[0]).toEqual({ row: 7, col: 10, player: BLACK });
+        replay(board, result.sequence, BLACK);
+        expect(board).toEqual(snapshot);
+
+        expect(findVCF(board, WHITE).sequence).toBeNull();
+    });
+
+    it('uses threes as threats only in VCT mode', () => {
+        const board = createBoard(TWO_TWOS);
+        expect(findVCF(board, BLACK).sequence).toBeNull();
+
+        const result = findVCT(board, BLACK);
+        expect(result.mode).toBe(THREAT_VCT);
+        expect(result.sequence.length).toBeGreaterThan(3);
+        replay(board, result.sequence, BLACK);
+
+        expect(findVCT(board, BLACK, { maxDepth: 1 }).sequence).toBeNull();
+        const limited = findVCT(board, BLACK, { maxNodes: 3 });
+        expect(limited).toMatchObject({ sequence: null, nodes: 3, exhausted: true });
+    });
+
+    it('follows the rule set when deciding what completes a win', () => {
+        // Filling the gap makes six in a row: a win in freestyle but not under standard rules.
+        const board = createBoard([
+            [7, 3, BLACK], [7, 4, BLACK], [7, 5, BLACK], [7, 7, BLACK], [7, 8, BLACK],
+            [7, 2, WHITE], [7, 9, WHITE]
+        ]);
+        expect(findVCF(board, BLACK).sequence).toEqual([{ row: 7, col: 6, player: BLACK }]);
+        expect(findVCF(board, BLACK, { rules: RULES_STANDARD }).sequence).toBeNull();
+    });
+});
+
+describe('AIPlayer forced wins', () => {
+    it('plays the first move of a forcing sequence on hard difficulty', () => {
+        const events = [];
+        const ai = new AIPlayer('hard', BLACK, { random: () => 0, telemetry: entry => events.push(entry) });
+        expect(ai.makeMove(createBoard(DOUBLE_FOUR))).toEqual({ row: 7, col: 10 });
+        expect(events[0]).toMatchObject({ decision: 'vcf', selectedScore: 1_000_000, forcingSequenceLength: 3 });
+        expect(events[0].threatNodes).toBeGreaterThan(0);
+
+        const board = createBoard(TWO_TWOS);
+        const expected = findVCT(board, BLACK, { maxDepth: 2 }).sequence[0];
+        expect(ai.makeMove(board)).toEqual({ row: expected.row, col: expected.col });
+        expect(events[1].decision).toBe('vct');
+
+        const plain = new AIPlayer('hard', BLACK, {
+            random: () => 0,
+            telemetry: entry => events.push(entry),
+            behavior: { vcfDepth: 0, vctDepth: 0 }
+        });
+        plain.makeMove(board);
+        expect(events[2]).toMatchObject({ decision: 'search', threatNodes: 0 });
+    });
+
+    it('searches with the player\'s rule set', () => {
+        // The freestyle VCF starts on a double four, which is forbidden for Renju Black.
+        const board = createBoard(DOUBLE_FOUR);
+        expect(isForbiddenMove(board, 7, 10)).toBe(true);
+        expect(findVCF(board, BLACK, { rules: RULES_RENJU }).sequence).toBeNull();
+
+        const events = [];
+        const ai = new AIPlayer('hard', BLACK, { random: () => 0, rules: RULES_RENJU, telemetry: entry => events.push(entry) });
+        const move = ai.makeMove(board);
+        expect(move).not.toEqual({ row: 7, col: 10 });
+        // Black still has a Renju-legal win through threes.
+        const [expected] = findVCT(board, BLACK, { rules: RULES_RENJU, maxDepth: 2 }).sequence;
+        expect(move).toEqual({ row: expected.row, col: expected.col });
+        expect(events[0].decision).toBe('vct');
+    });
+});
@@ -0,0 +1,55 @@
+import { describe, expect, it } from 'vitest';
+import { BLACK, WHITE } from '../config.js';
+import { ZobristHasher, TranspositionTable, TT_EXACT } from '../src/ai/transposition.js';
+
+function createBoard(size, stones = []) {
+    const board = Array.from({ length: size }, () => Array(size).fill(0));
+    stones.forEach(([row, col, player]) => {
+        board[row][col] = player;
+    });
+    return board;
+}
+
+describe('ZobristHasher', () => {
+    it('hashes the same position identically regardless of move order', () => {
+        const hasher = new ZobristHasher(9);
+        const board = createBoard(9, [[4, 4, BLACK], [4, 5, WHITE], [5, 5, BLACK]]);
+        const incremental = hasher.hashBoard(createBoard(9));
+        hasher.toggle(incremental, 5, 5, BLACK);
+        hasher.toggle(incremental, 4, 5, WHITE);
+        hasher.toggle(incremental, 4, 4, BLACK);
+        expect(incremental).toEqual(hasher.hashBoard(board));
+        expect(new ZobristHasher(9).hashBoard(board)).toEqual(incremental);
+
+        hasher.toggle(incremental, 4, 4, BLACK);
+        expect(incremental).toEqual(hasher.hashBoard(createBoard(9, [[4, 5, WHITE], [5, 5, BLACK]])));
+    });
+
+    it('distinguishes the side to move and the scoring perspective', () => {
+        const hasher = new ZobristHasher(9);
+        const hash = hasher.hashBoard(createBoard(9, [[4, 4, BLACK]]));
+        const keys = new Set([
+            hasher.key(hash, BLACK, BLACK),
+            hasher.key(hash, WHITE, BLACK),
+            hasher.key(hash, BLACK, WHITE),
+            hasher.key(hash, WHITE, WHITE)
+        ]);
+        expect(keys.size).toBe(4);
+        keys.forEach(key => expect(Number.isSafeInteger(key)).toBe(true));
+    });
+});
+
+describe('TranspositionTable', () => {
+    it('evicts the oldest entry once full', () => {
+        const table = new TranspositionTable(2);
+        const entry = score => ({ depth: 1, score, flag: TT_EXACT, bestMove: null });
+        table.set(1, entry(10));
+        table.set(2, entry(20));
+        table.set(1, entry(11));
+        table.set(3, entry(30));
+        expect(table.size).toBe(2);
+        expect(table.get(2)).toBeUndefined();
+        expect(table.get(1).score).toBe(11);
+        expect(table.get(3).score).toBe(30);
+    });
+});
@@ -0,0 +1,129 @@
+import { describe, expect, it, beforeEach } from 'vitest';
+import { GomokuEngine } from '../src/engine/game.js';
+import { OPENING_SWAP } from '../src/engine/opening.js';
+import { BLACK, WHITE, EMPTY } from '../config.js';
+
+function play(engine, moves) {
+    moves.forEach(([row, col]) => {
+        expect(engine.applyMove(row, col).status).not.toBe('invalid');
+    });
+}
+
+describe('GomokuEngine redo', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new GomokuEngine();
+    });
+
+    it('replays undone moves in order', () => {
+        play(engine, [[7, 7], [7, 8], [8, 8]]);
+        engine.undoLastMove(2);
+        expect(engine.canRedo()).toBe(true);
+
+        expect(engine.redoMove()).toEqual([{ row: 7, col: 8, player: WHITE }]);
+        expect(engine.redoMove(5)).toEqual([{ row: 8, col: 8, player: BLACK }]);
+        expect(engine.canRedo()).toBe(false);
+        expect(engine.getCurrentPlayer()).toBe(WHITE);
+    });
+
+    it('keeps the old line as a branch when a different move is played', () => {
+        play(engine, [[7, 7], [7, 8], [8, 8]]);
+        engine.undoLastMove();
+        play(engine, [[6, 6]]);
+
+        expect(engine.getVariationPath()).toEqual([0, 0, 1]);
+        expect(engine.listBranches([0, 0])).toEqual([
+            { index: 0, move: { row: 8, col: 8, player: BLACK }, mainline: true, active: false, length: 1 },
+            { index: 1, move: { row: 6, col: 6, player: BLACK }, mainline: false, active: true, length: 1 }
+        ]);
+
+        engine.undoLastMove();
+        expect(engine.redoMove()).toEqual([{ row: 6, col: 6, player: BLACK }]);
+    });
+
+    it('reuses an existing branch when the same move is played again', () => {
+        play(engine, [[7, 7], [7, 8]]);
+        engine.undoLastMove();
+        play(engine, [[7, 8]]);
+        expect(engine.listBranches([0])).toHaveLength(1);
+    });
+});
+
+describe('GomokuEngine variation tree', () => {
+    let engine;
+
+    beforeEach(() => {
+        engine = new GomokuEngine();
+        play(engine, [[7, 7], [7, 8], [8, 8], [9, 9]]);
+        engine.undoLastMove(2);
+        play(engine, [[6, 6], [5, 5]]);
+    });
+
+    it('switches between branches and navigates to any position', () => {
+        engine.undoLastMove(2);
+        expect(engine.switchBranch(0).status).toBe('continue');
+        expect(engine.getBoard()[8][8]).toBe(BLACK);
+        expect(engine.getBoard()[6][6]).toBe(EMPTY);
+        expect(engine.switchBranch(3)).toEqual({ status: 'invalid', reason: 'unknown-branch' });
+
+        expect(engine.goToVariation([0, 0, 1, 0])).toEqual({ status: 'variation', path: [0, 0, 1, 0] });
+        expect(engine.getMoveHistory().map(move => [move.row, move.col])).toEqual([[7, 7], [7, 8], [6, 6], [5, 5]]);
+        expect(engine.getBoard()[8][8]).toBe(EMPTY);
+
+        expect(engine.goToVariation([0, 0, 0, 0]).status).toBe('variation');
+        expect(engine.getBoard()[9][9]).toBe(WHITE);
+        expect(engine.goToVariation([0, 4]).reason).toBe('unknown-variation');
+    });
+
+    it('promotes a variation to the mainline', () => {
+        expect(engine.promoteVariation()).toEqual({ status: 'promoted', path: [0, 0, 0, 0] });
+        expect(engine.getVariationPath()).toEqual([0, 0, 0, 0]);
+        expect(engine.listBranches([0, 0]).map(branch => branch.move)).toEqual([
+            { row: 6, col: 6, player: BLACK },
+            { row: 8, col: 8, player: BLACK }
+        ]);
+    });
+
+    it('serializes and restores the whole tree', () => {
+        const state = engine.toJSON();
+        expect(state.variationPath).toEqual([0, 0, 1, 0]);
+        expect(state.variations.children[0].children[0].children).toHaveLength(2);
+
+        const restored = GomokuEngine.fromState(JSON.parse(JSON.stringify(state)));
+        expect(restored.getVariationTree()).toEqual(state.variations);
+        expect(restored.getVariationPath()).toEqual([0, 0, 1, 0]);
+        restored.goToVariation([0, 0, 0, 0]);
+        expect(restored.getBoard()[9][9]).toBe(WHITE);
+        expect(engine.clone().getVariationTree()).toEqual(state.variations);
+    });
+
+    it('rejects trees that disagree with the move history', () => {
+        const state = engine.toJSON();
+        expect(() => GomokuEngine.fromState({ ...state, variationPath: [0, 0, 0, 0] }))
+            .toThrow(/does not match move history/);
+        expect(() => GomokuEngine.fromState({ ...state, variationPath: [0, 3] }))
+            .toThrow(/does not exist/);
+    });
+
+    it('builds a single line from histories saved without a tree', () => {
+        const { variations, variationPath, ...state } = engine.toJSON();
+        const restored = GomokuEngine.fromState(state);
+        expect(restored.getVariationPath()).toEqual([0, 0, 0, 0]);
+        expect(restored.getVariationTree().children[0].children[0].children).toHaveLength(1);
+    });
+});
+
+describe('GomokuEngine variations with openings', () => {
+    it('restores opening choices when redoing through them', () => {
+        const engine = new GomokuEngine({ opening: OPENING_SWAP });
+        play(engine, [[7, 7], [7, 8], [8, 8]]);
+        engine.chooseOpening('black');
+        play(engine, [[9, 9]]);
+
+        engine.undoLastMove(2);
+        expect(engine.getOpeningState().phase).toBe('placement');
+        expect(engine.redoMove(2)).toHaveLength(2);
+        expect(engine.getOpeningState()).toMatchObject({ phase: 'complete', blackSeat: 'second' });
+    });
+});